@@ -41,6 +41,17 @@ const HTTPS_AGENT = E2E_CDN_HOST === LOCALHOST
   ? new https.Agent({ rejectUnauthorized: false })
   : undefined
 
+// a multipart/form-data body, with a form field and the file parts of the test fixtures
+const createFormDataBody = async () => {
+  const fixtureFile = (name) => fs.readFileSync(path.join(__dirname, '..', 'test', '__fixtures__', 'multipart', name))
+  const formData = new FormData()
+  formData.append('title', 'Paperback Writer')
+  formData.append('manuscript', new Blob([fixtureFile('manuscript.txt')]), 'manuscript.txt')
+  formData.append('pixel', new Blob([fixtureFile('pixel.png')]), 'pixel.png')
+  const request = new Request('https://localhost', { method: 'POST', body: formData })
+  return { body: Buffer.from(await request.arrayBuffer()), contentType: request.headers.get('content-type') }
+}
+
 const waitForServerReady = async ({ host, startTime, period, timeout, lastStatus }) => {
   const now = Date.now()
   if (now > (startTime + timeout)) {
@@ -153,6 +164,27 @@ describe('http api tests', () => {
     expect(responseJson.params).toMatchObject({ __ow_body: Buffer.from(body).toString('base64') })
   })
 
+  test('non-raw: post multipart/form-data content-type, with file parts and boundary', async () => {
+    const url = createApiUrl({ actionName: 'post-data' })
+    const { body, contentType } = await createFormDataBody()
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType
+      },
+      body,
+      agent: HTTPS_AGENT
+    })
+
+    expect(response.ok).toBeTruthy()
+    expect(response.status).toEqual(200)
+    const responseJson = await response.json()
+    expect(responseJson.params).toMatchObject({ __ow_body: body.toString('base64') })
+    expect(responseJson.params.__ow_headers['content-type']).toEqual(contentType)
+    expect(responseJson.params.title).not.toBeDefined()
+  })
+
   test('non-raw: post application/x-www-form-urlencoded (should be promoted to params)', async () => {
     const key = 'some_key'
     const value = 'some_value'
@@ -262,6 +294,27 @@ describe('http api tests', () => {
     expect(responseJson.params).toMatchObject({ __ow_body: Buffer.from(body).toString('base64') })
   })
 
+  test('raw: post multipart/form-data content-type, with file parts and boundary', async () => {
+    const url = createApiUrl({ actionName: 'post-raw-data' })
+    const { body, contentType } = await createFormDataBody()
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType
+      },
+      body,
+      agent: HTTPS_AGENT
+    })
+
+    expect(response.ok).toBeTruthy()
+    expect(response.status).toEqual(200)
+    const responseJson = await response.json()
+    expect(responseJson.params).toMatchObject({ __ow_body: body.toString('base64') })
+    expect(responseJson.params.__ow_headers['content-type']).toEqual(contentType)
+    expect(responseJson.params.title).not.toBeDefined()
+  })
+
   test('raw: post application/json content-type', async () => {
     // NOTE: raw will always set __ow_body (base64 encoded) and not promote the body to parameters
     const url = createApiUrl({ actionName: 'post-raw-data' })
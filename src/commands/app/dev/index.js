@@ -26,6 +26,9 @@ const BaseCommand = require('../../../BaseCommand')
 const { runDev } = require('../../../lib/run-dev')
 const { runInProcess } = require('../../../lib/app-helper')
 const { createWatcher } = require('../../../lib/actions-watcher')
+const { getOrCreateSigningKeys } = require('../../../lib/local-ims')
+const { sequenceComponentNames, validateSequence } = require('../../../lib/sequences')
+const { validateTriggers } = require('../../../lib/triggers')
 
 const APP_EVENT_PRE_APP_DEV = 'pre-app-dev'
 const APP_EVENT_POST_APP_DEV = 'post-app-dev'
@@ -77,42 +80,49 @@ class Dev extends BaseCommand {
     }
   }
 
-  displayActionUrls (actionUrls) {
+  displayActionUrls (actionUrls, apiUrls = [], triggerUrls = {}) {
     const blueBoldLog = (...args) => this.log(chalk.blue(chalk.bold(...args)))
     const printUrl = (url) => blueBoldLog(`  -> ${url}`)
 
     blueBoldLog('Your actions:')
     const webActions = Object.values(actionUrls).filter(url => url.includes(DEV_API_WEB_PREFIX))
-    const nonWebActions = Object.keys(actionUrls).filter((key) => {
-      const url = actionUrls[key]
-      return !url.includes(DEV_API_WEB_PREFIX)
-    })
+    const nonWebActions = Object.values(actionUrls).filter(url => !url.includes(DEV_API_WEB_PREFIX))
 
     this.log('web actions:')
     webActions.forEach(printUrl)
-    this.log('non-web actions:')
+    this.log('non-web actions (POST, authenticated with your AIO_RUNTIME_AUTH key):')
     nonWebActions.forEach(printUrl)
+    if (apiUrls.length > 0) {
+      this.log('API Gateway routes (manifest apis):')
+      apiUrls.forEach(({ method, url }) => printUrl(`${method} ${url}`))
+    }
+    if (Object.keys(triggerUrls).length > 0) {
+      this.log('triggers (POST to fire now, authenticated with your AIO_RUNTIME_AUTH key):')
+      Object.values(triggerUrls).forEach(printUrl)
+    }
   }
 
   /**
    * Verifies the app config sequences and actions, based on criteria.
-   * 1. all actions in sequences must exist
+   * 1. all actions in sequences must exist (in the same package, another package, or fully qualified),
+   * and nested sequences may not refer to the sequence
    * 2. a sequence cannot have the same name as an action
+   * 3. the rules must refer to triggers and actions of the manifest, and the alarm triggers must have valid inputs
    *
    * @param {object} config the config for the app
    */
   async verifyActionConfig (config) {
     const actionConfig = config.manifest.full.packages
+    const namespace = config.ow?.namespace
     const errors = []
 
     // 1. all actions in sequences must exist
-    Object.entries(actionConfig).forEach(([_, pkg]) => { // iterate through each package
+    Object.entries(actionConfig).forEach(([packageName, pkg]) => { // iterate through each package
       const sequences = pkg?.sequences || {}
       const actions = pkg?.actions || {}
 
       Object.entries(sequences).forEach(([sequenceName, sequence]) => {
-        const sequenceActions = sequence?.actions?.split(',') || []
-        if (sequenceActions.length === 0) {
+        if (sequenceComponentNames(sequence).length === 0) {
           this.error(`Actions for the sequence '${sequenceName}' not provided.`)
         }
 
@@ -122,17 +132,13 @@ class Dev extends BaseCommand {
           return
         }
 
-        sequenceActions
-          .map((a) => a.trim())
-          .forEach((actionName) => {
-            const action = actions[actionName]
-            if (!action) {
-              errors.push(`Sequence component '${actionName}' does not exist (sequence = '${sequenceName}')`)
-            }
-          })
+        errors.push(...validateSequence({ actionConfig, packageName, sequenceName, namespace }))
       })
     })
 
+    // 3. the triggers and rules must be valid
+    errors.push(...validateTriggers({ actionConfig }))
+
     if (errors.length) {
       this.error(errors.join('\n'))
     }
@@ -162,7 +168,13 @@ class Dev extends BaseCommand {
         shouldContentHash: false
       },
       fetchLogs: true,
-      verbose: flags.verbose
+      verbose: flags.verbose,
+      isolate: flags.isolate,
+      cold: flags.cold
+    }
+    if (flags['local-ims']) {
+      // the tokens are created with `aio app dev token`, which signs them with the same key pair
+      runOptions.localIms = { publicKey: getOrCreateSigningKeys().publicKey }
     }
 
     try {
@@ -188,7 +200,7 @@ class Dev extends BaseCommand {
     const cleanup = new Cleanup()
 
     await this.runAppBuild(config)
-    const { frontendUrl, actionUrls, serverCleanup } = await runDev(runOptions, config, inprocHook)
+    const { frontendUrl, actionUrls, apiUrls, triggerUrls, serverCleanup } = await runDev(runOptions, config, inprocHook)
 
     cleanup.add(() => serverCleanup(), 'cleaning up runDev...')
 
@@ -203,7 +215,7 @@ class Dev extends BaseCommand {
       this.displayFrontendUrl(flags, frontendUrl)
     }
     if (hasBackend) {
-      this.displayActionUrls(actionUrls)
+      this.displayActionUrls(actionUrls, apiUrls, triggerUrls)
     }
     this.log('press CTRL+C to terminate the dev environment')
 
@@ -305,6 +317,18 @@ Dev.flags = {
     parse: (str) => [str],
     // we do not support multiple yet
     multiple: false
+  }),
+  isolate: Flags.boolean({
+    description: 'Run each action in its own process, with its own working directory and environment',
+    default: false
+  }),
+  cold: Flags.boolean({
+    description: 'Cold start every action activation, instead of reusing the warm container of the previous activation',
+    default: false
+  }),
+  'local-ims': Flags.boolean({
+    description: 'Validate the tokens of actions with the require-adobe-auth annotation, with a local IMS stand-in (create tokens with `aio app dev token`)',
+    default: false
   })
 }
 
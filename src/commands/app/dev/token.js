@@ -0,0 +1,67 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Flags } = require('@oclif/core')
+
+const BaseCommand = require('../../../BaseCommand')
+const { createToken, getOrCreateSigningKeys } = require('../../../lib/local-ims')
+
+const MS_PER_HOUR = 60 * 60 * 1000
+
+class Token extends BaseCommand {
+  async run () {
+    const { flags } = await this.parse(Token)
+
+    const { privateKey } = getOrCreateSigningKeys()
+    const token = createToken({
+      privateKey,
+      orgId: flags.org,
+      userId: flags.user,
+      clientId: flags['client-id'],
+      scopes: flags.scope,
+      expiresIn: flags['expires-in'] * MS_PER_HOUR
+    })
+    this.log(token)
+  }
+}
+
+Token.description = `Create an access token for the local IMS stand-in of aio app dev --local-ims
+The token is accepted by actions with the require-adobe-auth annotation, with the same org id in the x-gw-ims-org-id header.`
+
+Token.args = {}
+
+Token.flags = {
+  ...BaseCommand.flags,
+  org: Flags.string({
+    description: 'The IMS org id of the token',
+    required: true
+  }),
+  user: Flags.string({
+    description: 'The IMS user id of the token',
+    default: 'developer@AdobeID'
+  }),
+  scope: Flags.string({
+    description: 'A scope of the token, this flag can be specified multiple times',
+    multiple: true,
+    default: ['openid', 'AdobeID']
+  }),
+  'client-id': Flags.string({
+    description: 'The client id of the token',
+    default: 'aio-app-dev'
+  }),
+  'expires-in': Flags.integer({
+    description: 'The lifetime of the token in hours',
+    default: 24
+  })
+}
+
+module.exports = Token
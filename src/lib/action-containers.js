@@ -0,0 +1,105 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('node:fs')
+const { ACTION_CONTAINER_IDLE_TIMEOUT } = require('./constants')
+
+/**
+ * @typedef {object} ActionContainer
+ * @property {string} version the version of the action bundle that the container loaded
+ * @property {Function} destroy stops the container
+ * @property {boolean} [exited] true if the container stopped on its own (it cannot be reused)
+ */
+
+/**
+ * Gets the version of an action bundle (its modification time), so that a container
+ * started with an older build of the action is not reused.
+ *
+ * @param {string} actionPath the path to the action bundle
+ * @returns {string} the version of the action bundle
+ */
+function bundleVersion (actionPath) {
+  return `${fs.statSync(actionPath, { throwIfNoEntry: false })?.mtimeMs}`
+}
+
+/**
+ * The warm containers of the dev server, like the ones Runtime keeps between activations:
+ * an action that runs again in a warm container keeps its module state (caches, connection pools).
+ * There is at most one idle container per action. It is destroyed when it is idle for longer
+ * than the idle timeout, or when the action bundle changes.
+ */
+class ActionContainerPool {
+  constructor (idleTimeout = ACTION_CONTAINER_IDLE_TIMEOUT) {
+    this.idleTimeout = idleTimeout
+    this.idleContainers = new Map()
+  }
+
+  get size () {
+    return this.idleContainers.size
+  }
+
+  /**
+   * Takes the idle container of an action, if it is still warm.
+   *
+   * @param {string} key the action key (package/action)
+   * @param {string} version the current version of the action bundle
+   * @returns {ActionContainer|undefined} the warm container, or undefined for a cold start
+   */
+  acquire (key, version) {
+    const container = this.idleContainers.get(key)
+    if (!container) {
+      return
+    }
+
+    clearTimeout(container.idleTimer)
+    this.idleContainers.delete(key)
+    if (container.version === version && !container.exited) {
+      return container
+    }
+    container.destroy()
+  }
+
+  /**
+   * Keeps the container of an action warm, after its activation completed.
+   *
+   * @param {string} key the action key (package/action)
+   * @param {ActionContainer} container the container
+   */
+  release (key, container) {
+    this.remove(key)
+    container.idleTimer = setTimeout(() => this.remove(key), this.idleTimeout)
+    container.idleTimer.unref()
+    this.idleContainers.set(key, container)
+  }
+
+  remove (key) {
+    const container = this.idleContainers.get(key)
+    if (container) {
+      clearTimeout(container.idleTimer)
+      this.idleContainers.delete(key)
+      container.destroy()
+    }
+  }
+
+  clear () {
+    [...this.idleContainers.keys()].forEach(key => this.remove(key))
+  }
+}
+
+// the warm containers of the dev server
+const actionContainers = new ActionContainerPool()
+
+module.exports = {
+  ActionContainerPool,
+  actionContainers,
+  bundleVersion
+}
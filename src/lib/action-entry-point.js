@@ -0,0 +1,58 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// the function that Runtime calls, unless the action sets another one (the manifest main field)
+const DEFAULT_ENTRY_POINT = 'main'
+
+/**
+ * Gets the entry point of an action: the name of the exported function that Runtime calls.
+ *
+ * @param {object} action the action object
+ * @returns {string} the entry point
+ */
+function actionEntryPoint (action) {
+  return action?.main || DEFAULT_ENTRY_POINT
+}
+
+/**
+ * Finds the entry point function of an action module: the export named after the entry point,
+ * or, for an ESM bundle, the function of its default export (named after the entry point, or the
+ * default export itself, for the default entry point).
+ *
+ * @param {object} actionModule the action module (the exports of the action bundle)
+ * @param {string} [entryPoint] the entry point
+ * @returns {Function|undefined} the entry point function, or undefined if the module does not export it
+ */
+function findEntryPointFunction (actionModule, entryPoint = DEFAULT_ENTRY_POINT) {
+  const candidates = [actionModule?.[entryPoint], actionModule?.default?.[entryPoint]]
+  if (entryPoint === DEFAULT_ENTRY_POINT) {
+    candidates.push(actionModule?.default)
+  }
+  return candidates.find(candidate => typeof candidate === 'function')
+}
+
+/**
+ * Gets the error message for an action module that does not export its entry point function.
+ *
+ * @param {string} entryPoint the entry point
+ * @returns {string} the error message
+ */
+function missingEntryPointMessage (entryPoint) {
+  return `does not export a function named '${entryPoint}'`
+}
+
+module.exports = {
+  DEFAULT_ENTRY_POINT,
+  actionEntryPoint,
+  findEntryPointFunction,
+  missingEntryPointMessage
+}
@@ -0,0 +1,134 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { ACTION_MEMORY_LIMIT_MODE } = require('./constants')
+
+// the Runtime defaults (see the limits in aio-lib-runtime processPackage)
+const DEFAULT_TIMEOUT_MS = 60000
+const DEFAULT_MEMORY_SIZE_MB = 256
+// the Runtime maximum size of an action result
+const MAX_RESULT_SIZE_BYTES = 1024 * 1024
+const MEMORY_LIMIT_ERROR = 'The action exhausted its memory and was aborted.'
+const MEMORY_SAMPLE_INTERVAL_MS = 50
+const BYTES_PER_MB = 1024 * 1024
+
+/**
+ * @typedef {object} ActionLimits
+ * @property {number} timeout the action timeout in ms
+ * @property {number} memorySize the action memory limit in MB
+ */
+
+/**
+ * @typedef {object} LimitedRunResult
+ * @property {*} [response] the action response, if the action completed within its limits
+ * @property {string} [limitError] the Runtime error message, if the action exceeded one of its limits
+ */
+
+/**
+ * Gets the limits of an action, from its manifest `limits` (with the Runtime defaults).
+ *
+ * @param {object} action the action object
+ * @returns {ActionLimits} the action limits
+ */
+function getActionLimits (action) {
+  const limits = action?.limits ?? {}
+  return {
+    timeout: limits.timeout || DEFAULT_TIMEOUT_MS,
+    memorySize: limits.memorySize || limits.memory || DEFAULT_MEMORY_SIZE_MB
+  }
+}
+
+/**
+ * Checks the size of an action result against the Runtime maximum.
+ *
+ * @param {*} response the action response
+ * @returns {string|undefined} the Runtime error message if the result is too large, undefined otherwise
+ */
+function checkResultSize (response) {
+  const size = Buffer.byteLength(JSON.stringify(response ?? {}))
+  if (size > MAX_RESULT_SIZE_BYTES) {
+    return `The action produced a response that exceeded the allowed length: ${size} > ${MAX_RESULT_SIZE_BYTES} bytes.`
+  }
+}
+
+/**
+ * Runs an action function within its limits.
+ *
+ * When the action exceeds its timeout (or its memory, in 'fail' mode) the error is returned
+ * right away, and the abort signal passed to the function is aborted.
+ * An in-process action cannot be stopped, it keeps running in the background until it completes.
+ * The memory used is the growth of the process resident set size while the action runs,
+ * which is an approximation (concurrent requests are counted as well).
+ *
+ * @param {object} params the parameters
+ * @param {ActionLimits} params.limits the action limits
+ * @param {string} params.actionName the action name
+ * @param {object} params.logger the logger object
+ * @param {string} [params.memoryLimitMode] 'warn' to log memory overruns, 'fail' to fail the activation,
+ * 'off' to not check the memory (when the limit is enforced otherwise)
+ * @param {Function} fn the (async) action function call, it is passed an AbortSignal
+ * @returns {Promise<LimitedRunResult>} the result
+ */
+async function runWithLimits ({ limits, actionName, logger, memoryLimitMode = ACTION_MEMORY_LIMIT_MODE }, fn) {
+  const baselineRss = process.memoryUsage.rss()
+  let memoryWarned = false
+  let timeoutId, intervalId
+  const abortController = new AbortController()
+
+  const limitExceeded = new Promise(resolve => {
+    timeoutId = setTimeout(() => {
+      resolve({ limitError: `The action exceeded its time limits of ${limits.timeout} milliseconds.` })
+    }, limits.timeout)
+
+    if (memoryLimitMode === 'off') {
+      return
+    }
+    intervalId = setInterval(() => {
+      const usedMb = (process.memoryUsage.rss() - baselineRss) / BYTES_PER_MB
+      if (usedMb <= limits.memorySize) {
+        return
+      }
+      if (memoryLimitMode === 'fail') {
+        resolve({ limitError: MEMORY_LIMIT_ERROR })
+      } else if (!memoryWarned) {
+        memoryWarned = true
+        logger.warn(`${actionName} used about ${Math.round(usedMb)}MB of memory, which exceeds its memory limit of ${limits.memorySize}MB. The action would be aborted in Runtime.`)
+      }
+    }, MEMORY_SAMPLE_INTERVAL_MS)
+    intervalId.unref()
+  })
+  timeoutId.unref()
+
+  try {
+    const run = Promise.resolve(fn(abortController.signal)).then(response => ({ response, limitError: checkResultSize(response) }))
+    // the action can still fail after it exceeded its limits, that is not reported
+    run.catch(() => {})
+    const result = await Promise.race([run, limitExceeded])
+    if (result.limitError) {
+      abortController.abort()
+    }
+    return result
+  } finally {
+    clearTimeout(timeoutId)
+    clearInterval(intervalId)
+  }
+}
+
+module.exports = {
+  getActionLimits,
+  checkResultSize,
+  runWithLimits,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_MEMORY_SIZE_MB,
+  MAX_RESULT_SIZE_BYTES,
+  MEMORY_LIMIT_ERROR
+}
@@ -0,0 +1,124 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { AsyncLocalStorage } = require('node:async_hooks')
+
+// holds the log context of the activation that is running in the current async context
+const logContextStorage = new AsyncLocalStorage()
+const STREAM_NAMES = ['stdout', 'stderr']
+
+// the original write functions, while the streams are patched
+let originalWrites = null
+let activeCaptures = 0
+
+/**
+ * @typedef {object} LogContext
+ * @property {string} activationId the activation id
+ * @property {string} actionName the action name
+ * @property {Array<string>} logs the captured log lines
+ */
+
+/**
+ * Formats a log line like OpenWhisk does in activation records.
+ *
+ * @param {string} streamName the stream name (stdout or stderr)
+ * @param {string} line the log line
+ * @param {Date} [date] the date of the log line
+ * @returns {string} the formatted log line
+ */
+function formatLogLine (streamName, line, date = new Date()) {
+  return `${date.toISOString()} ${streamName}: ${line}`
+}
+
+/**
+ * Creates the patched write function for a stream. Writes made while an activation
+ * is running are recorded in its log context, and prefixed with the action name and
+ * activation id in the terminal. Other writes are passed through as is.
+ *
+ * @param {string} streamName the stream name (stdout or stderr)
+ * @param {Function} originalWrite the original write function of the stream
+ * @returns {Function} the patched write function
+ */
+function createWrite (streamName, originalWrite) {
+  return function (chunk, ...args) {
+    const logContext = logContextStorage.getStore()
+    if (!logContext) {
+      return originalWrite.call(this, chunk, ...args)
+    }
+
+    const lines = chunk.toString().split('\n')
+    if (lines.at(-1) === '') {
+      lines.pop()
+    }
+
+    const prefix = `[${logContext.actionName} ${logContext.activationId}]`
+    lines.forEach(line => logContext.logs.push(formatLogLine(streamName, line)))
+    const prefixedText = lines.map(line => `${prefix} ${line}\n`).join('')
+    return originalWrite.call(this, prefixedText, ...args)
+  }
+}
+
+/**
+ * Patches process.stdout and process.stderr, if not already patched.
+ */
+function patchStreams () {
+  if (activeCaptures === 0) {
+    originalWrites = {}
+    STREAM_NAMES.forEach(streamName => {
+      const stream = process[streamName]
+      originalWrites[streamName] = stream.write
+      stream.write = createWrite(streamName, stream.write)
+    })
+  }
+  activeCaptures++
+}
+
+/**
+ * Restores process.stdout and process.stderr, when there are no more captures running.
+ */
+function restoreStreams () {
+  activeCaptures--
+  if (activeCaptures === 0) {
+    STREAM_NAMES.forEach(streamName => {
+      process[streamName].write = originalWrites[streamName]
+    })
+    originalWrites = null
+  }
+}
+
+/**
+ * Runs a function, and captures what it writes to stdout and stderr (including through console.log)
+ * as the logs of an activation. Concurrent activations each capture their own output.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.activationId the activation id
+ * @param {string} params.actionName the action name
+ * @param {Array<string>} [params.logs] the log lines of the activation, the captured lines are added to it (even if the function throws)
+ * @param {Function} fn the (async) function to run
+ * @returns {Promise<object>} the result of the function (result) and the log lines (logs)
+ */
+async function captureActionLogs ({ activationId, actionName, logs = [] }, fn) {
+  const logContext = { activationId, actionName, logs }
+
+  patchStreams()
+  try {
+    const result = await logContextStorage.run(logContext, fn)
+    return { result, logs: logContext.logs }
+  } finally {
+    restoreStreams()
+  }
+}
+
+module.exports = {
+  captureActionLogs,
+  formatLogLine
+}
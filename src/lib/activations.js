@@ -0,0 +1,227 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const crypto = require('node:crypto')
+const { MAX_ACTIVATION_RECORDS } = require('./constants')
+
+const REDACTED_VALUE = '<redacted>'
+// param (and header) names that hold secrets, matched case-insensitively
+const SECRET_PARAM_PATTERN = /(^key$|secret|token|password|passwd|credential|signature|cookie|api[-_]?key|private[-_]?key)/i
+// auth is only a secret as a whole segment of a name (x-require-whisk-auth, authToken), not in author
+const AUTH_SEGMENT_PATTERN = /^auth(orization)?$/i
+
+const ACTIVATIONS_DEFAULT_LIMIT = 30
+const ACTIVATIONS_MAX_LIMIT = 200
+
+/**
+ * @typedef {object} ActivationRecord
+ * @property {string} activationId the activation id
+ * @property {string} namespace the namespace and package of the action
+ * @property {string} name the action (or sequence) name
+ * @property {number} start the start time (ms since epoch)
+ * @property {number} end the end time (ms since epoch)
+ * @property {number} duration the duration in ms
+ * @property {number} statusCode the activation status code (0 success, 1 application error, 2 action developer error)
+ * @property {object} response the activation response (status, statusCode, success, result)
+ * @property {Array<string>} logs the activation logs (for sequences, the component activation ids)
+ * @property {Array<object>} annotations the activation annotations
+ * @property {object} params the activation parameters (secrets redacted)
+ * @property {string} [cause] the activation id of the enclosing sequence, if any
+ */
+
+/**
+ * Generates an activation id, in the same format as OpenWhisk.
+ *
+ * @returns {string} the activation id
+ */
+function generateActivationId () {
+  return crypto.randomBytes(16).toString('hex')
+}
+
+/**
+ * Checks if the name of a parameter (or header) suggests it holds a secret.
+ *
+ * @param {string} key the parameter name
+ * @returns {boolean} true if the parameter holds a secret
+ */
+function isSecretParam (key) {
+  return SECRET_PARAM_PATTERN.test(key) ||
+    key.split(/[-_.]|(?<=[a-z0-9])(?=[A-Z])/).some(segment => AUTH_SEGMENT_PATTERN.test(segment))
+}
+
+/**
+ * Redacts the values of parameters whose name suggests they hold a secret.
+ * Nested objects (like __ow_headers) are redacted as well.
+ *
+ * @param {object} params the parameters
+ * @returns {object} a copy of the parameters, with secrets redacted
+ */
+function redactParams (params = {}) {
+  return Object.entries(params).reduce((acc, [key, value]) => {
+    if (isSecretParam(key)) {
+      acc[key] = REDACTED_VALUE
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      acc[key] = redactParams(value)
+    } else {
+      acc[key] = value
+    }
+    return acc
+  }, {})
+}
+
+/**
+ * Creates an activation record, in the same format that the OpenWhisk REST API returns.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.activationId the activation id
+ * @param {string} [params.packageName] the package name (none for a trigger)
+ * @param {string} params.actionName the action (or sequence, or trigger) name
+ * @param {string} [params.kind] the action kind (the action runtime, or 'sequence')
+ * @param {string} [params.cause] the activation id of the enclosing sequence, if any
+ * @param {number} params.start the start time (ms since epoch)
+ * @param {number} params.end the end time (ms since epoch)
+ * @param {object} params.activationResponse the activation response
+ * @param {object} [params.params] the activation parameters
+ * @param {Array<string>} [params.logs] the activation logs
+ * @param {number} [params.initTime] the time it took to load the action (ms), if it was a cold start
+ * @returns {ActivationRecord} the activation record
+ */
+function createActivationRecord ({ activationId, packageName, actionName, kind, cause, start, end, activationResponse, params, logs = [], initTime }) {
+  const namespace = process.env.AIO_RUNTIME_NAMESPACE ?? '_'
+  // a trigger is not in a package
+  const entityNamespace = packageName ? `${namespace}/${packageName}` : namespace
+  const annotations = [
+    { key: 'path', value: `${entityNamespace}/${actionName}` }
+  ]
+  if (kind) {
+    annotations.push({ key: 'kind', value: kind })
+  }
+  if (!cause) {
+    annotations.push({ key: 'topmost', value: true })
+  }
+  // only cold starts have an initTime annotation
+  if (initTime !== undefined) {
+    annotations.push({ key: 'initTime', value: initTime })
+  }
+
+  return {
+    activationId,
+    namespace: entityNamespace,
+    name: actionName,
+    version: '0.0.1',
+    subject: namespace,
+    publish: false,
+    start,
+    end,
+    duration: end - start,
+    statusCode: activationResponse.statusCode,
+    response: activationResponse,
+    logs,
+    annotations,
+    params: redactParams(params),
+    ...(cause ? { cause } : {})
+  }
+}
+
+/**
+ * In-memory store of the activation records of the dev server.
+ * The oldest records are dropped when the store is full.
+ */
+class ActivationStore {
+  constructor (maxRecords = MAX_ACTIVATION_RECORDS) {
+    this.maxRecords = maxRecords
+    this.records = new Map()
+  }
+
+  get size () {
+    return this.records.size
+  }
+
+  add (record) {
+    this.records.set(record.activationId, record)
+    if (this.records.size > this.maxRecords) {
+      const [oldestId] = this.records.keys()
+      this.records.delete(oldestId)
+    }
+    return record
+  }
+
+  get (activationId) {
+    return this.records.get(activationId)
+  }
+
+  /**
+   * List activation records, newest first.
+   *
+   * @param {object} [options] the list options
+   * @param {string} [options.name] only list activations of this action (name, or package/name)
+   * @param {number} [options.skip] the number of records to skip
+   * @param {number} [options.limit] the maximum number of records to return
+   * @param {number} [options.since] only list activations started at or after this time (ms since epoch)
+   * @param {number} [options.upto] only list activations started at or before this time (ms since epoch)
+   * @returns {Array<ActivationRecord>} the activation records
+   */
+  list ({ name, skip = 0, limit = ACTIVATIONS_DEFAULT_LIMIT, since, upto } = {}) {
+    return this.find({ name, since, upto })
+      .slice(skip, skip + Math.min(limit, ACTIVATIONS_MAX_LIMIT))
+  }
+
+  /**
+   * Count the activation records, all of them (without skip and limit).
+   *
+   * @param {object} [options] the count options
+   * @param {string} [options.name] only count activations of this action (name, or package/name)
+   * @param {number} [options.since] only count activations started at or after this time (ms since epoch)
+   * @param {number} [options.upto] only count activations started at or before this time (ms since epoch)
+   * @returns {number} the number of activation records
+   */
+  count ({ name, since, upto } = {}) {
+    return this.find({ name, since, upto }).length
+  }
+
+  /**
+   * Find the activation records that match a name and a time range, newest first.
+   *
+   * @private
+   * @param {object} options the find options (name, since, upto)
+   * @returns {Array<ActivationRecord>} the activation records
+   */
+  find ({ name, since, upto }) {
+    const matchesName = (record) => {
+      const path = record.annotations.find(({ key }) => key === 'path').value
+      return !name || record.name === name || path.endsWith(`/${name}`)
+    }
+
+    return [...this.records.values()]
+      .reverse()
+      .filter(matchesName)
+      .filter((record) => since === undefined || record.start >= since)
+      .filter((record) => upto === undefined || record.start <= upto)
+  }
+
+  clear () {
+    this.records.clear()
+  }
+}
+
+// the activation store of the dev server
+const activationStore = new ActivationStore()
+
+module.exports = {
+  ActivationStore,
+  activationStore,
+  createActivationRecord,
+  generateActivationId,
+  redactParams,
+  ACTIVATIONS_DEFAULT_LIMIT,
+  ACTIVATIONS_MAX_LIMIT
+}
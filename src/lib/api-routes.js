@@ -0,0 +1,135 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { DEV_API_GATEWAY_PREFIX } = require('./constants')
+const { DEFAULT_WEB_EXTENSION, WEB_EXTENSIONS } = require('./web-responses')
+
+// the http methods of the API Gateway routes
+const API_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options']
+// like the deployment (wskdeploy), the method and response type of a route that does not set them
+const DEFAULT_API_METHOD = 'get'
+const DEFAULT_RESPONSE_TYPE = 'json'
+
+/**
+ * @typedef {object} ApiRoute
+ * @property {string} apiName the API name
+ * @property {string} method the http method (lowercase)
+ * @property {string} path the path of the route on the dev server (/apis/namespace/basePath/relativePath)
+ * @property {string} expressPath the path of the express route, its `{name}` path parameters are `:name` route parameters
+ * @property {string} packageName the package of the action
+ * @property {string} actionName the action (or sequence) name
+ * @property {string} responseType the response type (http, json, html, text or svg)
+ * @property {string} webActionUrl the web action url of the route (package/action.responseType), as served by serveWebAction
+ */
+
+/**
+ * Gets the path of an API Gateway route on the dev server: `/apis/<namespace>/<basePath>/<relativePath>`.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.namespace the namespace of the app
+ * @param {string} params.basePath the base path of the API
+ * @param {string} params.relativePath the path of the route, relative to the base path
+ * @returns {string} the route path
+ */
+function apiRoutePath ({ namespace, basePath, relativePath }) {
+  const segments = [DEV_API_GATEWAY_PREFIX, namespace, basePath, relativePath]
+    .flatMap(segment => `${segment}`.split('/'))
+    .filter(segment => segment.length > 0)
+  return `/${segments.join('/')}`
+}
+
+/**
+ * Gets the express route path of an API Gateway route path: a `{name}` path parameter is a `:name` route parameter.
+ *
+ * @param {string} path the route path
+ * @returns {string} the express route path
+ */
+function apiRouteExpressPath (path) {
+  return path.replace(/\{(\w+)\}/g, ':$1')
+}
+
+/**
+ * Creates the API Gateway routes of the manifest `apis` of each package, like they are deployed:
+ *
+ * ```yaml
+ * apis:
+ *   <api name>:
+ *     <base path>:
+ *       <relative path>:
+ *         <action or sequence of the package>:
+ *           method: GET
+ *           response: http
+ * ```
+ *
+ * Like the deployment, a route must refer to a web action (or web sequence) of its package.
+ * The `{name}` path parameters of a route are passed to its action as parameters.
+ * The routes that are not valid are not created, an error describes each of them.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ * @param {string} params.namespace the namespace of the app
+ * @param {Function} params.isWebAction checks if an action (or sequence) is a web action
+ * @returns {{routes: Array<ApiRoute>, errors: Array<string>}} the routes, and the errors
+ */
+function createApiRoutes ({ actionConfig, namespace, isWebAction }) {
+  const routes = []
+  const errors = []
+
+  Object.entries(actionConfig ?? {}).forEach(([packageName, pkg]) => {
+    Object.entries(pkg?.apis ?? {}).forEach(([apiName, basePaths]) => {
+      Object.entries(basePaths ?? {}).forEach(([basePath, relativePaths]) => {
+        Object.entries(relativePaths ?? {}).forEach(([relativePath, actions]) => {
+          Object.entries(actions ?? {}).forEach(([actionName, options]) => {
+            const method = `${options?.method ?? DEFAULT_API_METHOD}`.toLowerCase()
+            const responseType = `${options?.response ?? DEFAULT_RESPONSE_TYPE}`.toLowerCase()
+            const path = apiRoutePath({ namespace, basePath, relativePath })
+            const expressPath = apiRouteExpressPath(path)
+            const routeName = `${method.toUpperCase()} ${path} (api '${apiName}')`
+            const contextItem = pkg.sequences?.[actionName] ?? pkg.actions?.[actionName]
+
+            if (!contextItem) {
+              errors.push(`${routeName}: '${actionName}' is not an action or sequence of package '${packageName}'`)
+            } else if (!isWebAction(contextItem)) {
+              errors.push(`${routeName}: '${actionName}' is not a web action`)
+            } else if (!API_METHODS.includes(method)) {
+              errors.push(`${routeName}: the method is not one of ${API_METHODS.join(', ')}`)
+            } else if (responseType !== DEFAULT_WEB_EXTENSION && !WEB_EXTENSIONS[responseType]) {
+              errors.push(`${routeName}: the response type '${responseType}' is not one of ${[DEFAULT_WEB_EXTENSION, ...Object.keys(WEB_EXTENSIONS)].join(', ')}`)
+            } else if (/[{}]/.test(expressPath)) {
+              errors.push(`${routeName}: a path parameter name must only have letters, digits and underscores`)
+            } else {
+              routes.push({
+                apiName,
+                method,
+                path,
+                expressPath,
+                packageName,
+                actionName,
+                responseType,
+                webActionUrl: `${packageName}/${actionName}.${responseType}`
+              })
+            }
+          })
+        })
+      })
+    })
+  })
+
+  return { routes, errors }
+}
+
+module.exports = {
+  API_METHODS,
+  apiRoutePath,
+  apiRouteExpressPath,
+  createApiRoutes
+}
@@ -15,10 +15,17 @@ const {
   SERVER_HOST = 'localhost',
   SERVER_DEFAULT_PORT = 9080,
   BUNDLER_DEFAULT_PORT = 9090,
+  MAX_ACTIVATION_RECORDS = 1000,
+  ACTION_MEMORY_LIMIT_MODE = 'warn',
+  ACTION_CONTAINER_IDLE_TIMEOUT = 10 * 60 * 1000, // ms
+  MAX_COMPOSITION_ACTIONS = 50, // the component actions a conductor action can run
+  REQUEST_BODY_LIMIT = 1024 * 1024, // bytes
+  CLIENT_IP = '127.0.0.1', // the client IP address of the web action requests (x-forwarded-for)
   DEV_KEYS_DIR = 'dist/dev-keys',
   DEV_KEYS_CONFIG_KEY = 'aio-dev.dev-keys',
   DEV_API_PREFIX = 'api/v1',
-  DEV_API_WEB_PREFIX = `${DEV_API_PREFIX}/web`
+  DEV_API_WEB_PREFIX = `${DEV_API_PREFIX}/web`,
+  DEV_API_GATEWAY_PREFIX = 'apis' // the API Gateway routes of the manifest apis
 } = process.env
 
 const BUNDLE_OPTIONS = {
@@ -32,13 +39,22 @@ module.exports = {
   CHANGED_ASSETS_PRINT_LIMIT,
   SERVER_DEFAULT_PORT: parseInt(SERVER_DEFAULT_PORT, 10), // parse any env override
   BUNDLER_DEFAULT_PORT: parseInt(BUNDLER_DEFAULT_PORT, 10), // parse any env override
+  MAX_ACTIVATION_RECORDS: parseInt(MAX_ACTIVATION_RECORDS, 10), // parse any env override
+  ACTION_MEMORY_LIMIT_MODE,
+  ACTION_CONTAINER_IDLE_TIMEOUT: parseInt(ACTION_CONTAINER_IDLE_TIMEOUT, 10), // parse any env override
+  MAX_COMPOSITION_ACTIONS: parseInt(MAX_COMPOSITION_ACTIONS, 10), // parse any env override
+  REQUEST_BODY_LIMIT: parseInt(REQUEST_BODY_LIMIT, 10), // parse any env override
+  CLIENT_IP,
   DEV_API_PREFIX,
   DEV_API_WEB_PREFIX,
+  DEV_API_GATEWAY_PREFIX,
   DEV_KEYS_DIR,
   DEV_KEYS_CONFIG_KEY,
   DEFAULT_LAUNCH_PREFIX: 'https://experience.adobe.com/?devMode=true#/custom-apps/?localDevUrl=',
   STAGE_LAUNCH_PREFIX: 'https://experience-stage.adobe.com/?devMode=true#/custom-apps/?localDevUrl=',
   PRIVATE_KEY_PATH: `${DEV_KEYS_DIR}/private.key`,
   PUB_CERT_PATH: `${DEV_KEYS_DIR}/cert-pub.crt`,
+  LOCAL_IMS_PRIVATE_KEY_PATH: `${DEV_KEYS_DIR}/local-ims-private.pem`,
+  LOCAL_IMS_PUBLIC_KEY_PATH: `${DEV_KEYS_DIR}/local-ims-public.pem`,
   BUNDLE_OPTIONS
 }
@@ -0,0 +1,161 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const MS_PER_MINUTE = 60 * 1000
+// a cron expression that matches no time (such as February 30) is searched for this many years
+const MAX_SEARCH_YEARS = 5
+
+// the fields of a cron expression: minute, hour, day of month, month, day of week (0 or 7 is Sunday)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+]
+
+/**
+ * @typedef {object} CronSchedule
+ * @property {Set<number>} minutes the minutes (0-59)
+ * @property {Set<number>} hours the hours (0-23)
+ * @property {Set<number>} daysOfMonth the days of the month (1-31)
+ * @property {Set<number>} months the months (1-12)
+ * @property {Set<number>} daysOfWeek the days of the week (0-6, 0 is Sunday)
+ * @property {boolean} isDayOfMonthRestricted true if the day of month field is not `*`
+ * @property {boolean} isDayOfWeekRestricted true if the day of week field is not `*`
+ */
+
+/**
+ * Parses a value of a cron field: a number, or a name (for months and days of the week).
+ *
+ * @param {string} value the value
+ * @param {object} field the cron field
+ * @returns {number} the number, NaN if it is not valid
+ */
+function parseFieldValue (value, field) {
+  const nameIndex = field.names?.indexOf(value.toLowerCase()) ?? -1
+  if (nameIndex !== -1) {
+    return nameIndex + field.min
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN
+}
+
+/**
+ * Parses a field of a cron expression: `*`, a value, a range (`1-5`), with a step (`*\/15`, `0-30/10`), or a list of these.
+ *
+ * @param {string} text the field text
+ * @param {object} field the cron field
+ * @returns {Set<number>} the values of the field
+ */
+function parseField (text, field) {
+  const values = new Set()
+  text.split(',').forEach(part => {
+    const [range, stepText, ...rest] = part.split('/')
+    const step = stepText === undefined ? 1 : parseFieldValue(stepText, {})
+    const [startText, endText, ...moreBounds] = range.split('-')
+    const isAll = range === '*'
+    const start = isAll ? field.min : parseFieldValue(startText, field)
+    // a value with a step is the start of a range up to the field maximum (like `5/15`)
+    const end = isAll || (endText === undefined && stepText !== undefined)
+      ? field.max
+      : parseFieldValue(endText ?? startText, field)
+
+    if (rest.length > 0 || moreBounds.length > 0 || !(step > 0) ||
+      !(start >= field.min && end <= field.max && start <= end)) {
+      throw new Error(`Invalid ${field.name} '${part}' in the cron expression`)
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  })
+  return values
+}
+
+/**
+ * Parses a cron expression with 5 fields (minute, hour, day of month, month, day of week), like the
+ * cron expressions of the Runtime alarms feed.
+ *
+ * @param {string} expression the cron expression
+ * @returns {CronSchedule} the schedule
+ * @throws {Error} if the expression is not valid
+ */
+function parseCronExpression (expression) {
+  const texts = `${expression ?? ''}`.trim().split(/\s+/)
+  if (texts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression '${expression}', it must have ${CRON_FIELDS.length} fields (minute, hour, day of month, month, day of week)`)
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = texts.map((text, index) => parseField(text, CRON_FIELDS[index]))
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7)
+    daysOfWeek.add(0)
+  }
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    isDayOfMonthRestricted: texts[2] !== '*',
+    isDayOfWeekRestricted: texts[4] !== '*'
+  }
+}
+
+/**
+ * Checks if a day matches a schedule. Like cron, when both the day of month and the day of week
+ * are restricted, a day matches if it matches either of them.
+ *
+ * @param {CronSchedule} schedule the schedule
+ * @param {Date} date the day (UTC)
+ * @returns {boolean} true if the day matches
+ */
+function isScheduledDay (schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate())
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay())
+  if (schedule.isDayOfMonthRestricted && schedule.isDayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek
+  }
+  return dayOfMonth && dayOfWeek
+}
+
+/**
+ * Gets the next time of a schedule, after a time. The times are in UTC.
+ *
+ * @param {CronSchedule} schedule the schedule
+ * @param {number} after the time (ms since epoch)
+ * @returns {number|undefined} the next time (ms since epoch, at the start of a minute), or undefined if there is none
+ */
+function nextCronTime (schedule, after) {
+  const date = new Date(Math.floor(after / MS_PER_MINUTE) * MS_PER_MINUTE + MS_PER_MINUTE)
+  const limit = after + MAX_SEARCH_YEARS * 366 * 24 * 60 * MS_PER_MINUTE
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1)
+      date.setUTCHours(0, 0)
+    } else if (!isScheduledDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1)
+      date.setUTCHours(0, 0)
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0)
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1)
+    } else {
+      return date.getTime()
+    }
+  }
+}
+
+module.exports = {
+  nextCronTime,
+  parseCronExpression
+}
@@ -0,0 +1,220 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { fork } = require('node:child_process')
+const { AsyncResource } = require('node:async_hooks')
+const path = require('node:path')
+const { DEFAULT_ENTRY_POINT, findEntryPointFunction, missingEntryPointMessage } = require('./action-entry-point')
+
+// the script that a forked action process runs (it calls startActionProcess)
+const CHILD_SCRIPT = path.join(__dirname, 'isolated-runner-child.js')
+const STREAM_NAMES = ['stdout', 'stderr']
+
+/**
+ * The action bundle could not be loaded in the action process, or it does not export its entry point function.
+ * The message is the reason (e.g. does not export a function named 'main').
+ */
+class ActionLoadError extends Error {}
+
+/**
+ * The action process exhausted its heap (the action memory limit), and V8 aborted it.
+ */
+class ActionMemoryError extends Error {}
+
+/**
+ * An exception thrown by an action in the action process.
+ * It prints as the original exception did, so it is reported the same as an in-process one.
+ */
+class ActionProcessError extends Error {
+  constructor (text, stack) {
+    super(text)
+    this.stack = stack ?? text
+  }
+
+  toString () {
+    return this.message
+  }
+}
+
+/**
+ * Writes action output to the dev server stdout or stderr.
+ *
+ * @param {string} streamName the stream name (stdout or stderr)
+ * @param {string} text the output
+ */
+function writeLog (streamName, text) {
+  process[streamName].write(text)
+}
+
+/**
+ * An action container that runs an action in its own forked process, with its own working directory
+ * and environment. The process runs one activation at a time, and keeps the action module loaded
+ * between activations (it is a warm container), until it is destroyed.
+ */
+class ActionProcess {
+  /**
+   * Starts the action process.
+   *
+   * @param {object} params the parameters
+   * @param {string} params.actionPath the path to the action bundle
+   * @param {string} [params.entryPoint] the name of the function that the action bundle exports
+   * @param {string} params.version the version of the action bundle
+   * @param {string} params.cwd the working directory of the action process
+   * @param {number} params.memorySize the action memory limit in MB (the heap size of the action process)
+   */
+  constructor ({ actionPath, entryPoint = DEFAULT_ENTRY_POINT, version, cwd, memorySize }) {
+    this.actionPath = actionPath
+    this.entryPoint = entryPoint
+    this.version = version
+    this.exited = false
+    this.pendingRun = null
+
+    this.child = fork(CHILD_SCRIPT, [], {
+      cwd,
+      execArgv: [`--max-old-space-size=${memorySize}`],
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    })
+    this.child.on('message', (message) => this.onMessage(message))
+    this.child.on('error', (error) => this.settle(error))
+    this.child.on('exit', (code, exitSignal) => {
+      this.exited = true
+      if (exitSignal === 'SIGABRT') {
+        this.settle(new ActionMemoryError('The action process ran out of memory.'))
+      } else {
+        this.settle(new Error(`The action process exited unexpectedly (${exitSignal ?? `exit code ${code}`}).`))
+      }
+    })
+  }
+
+  /**
+   * Runs an activation of the action.
+   * The action output is written in the async context of the caller, so it is captured
+   * in the logs of the activation that is running.
+   *
+   * @param {object} params the parameters
+   * @param {object} params.env the environment variables of the activation
+   * @param {object} params.params the action parameters
+   * @param {AbortSignal} [params.signal] destroys the action process when aborted
+   * @returns {Promise<object>} the action response (response), and the time it took to load the action in ms (initTime), on a cold start
+   */
+  run ({ env, params, signal }) {
+    return new Promise((resolve, reject) => {
+      this.pendingRun = { resolve, reject, writeLog: AsyncResource.bind(writeLog) }
+      signal?.addEventListener('abort', () => {
+        this.settle(new Error('The action process was stopped.'))
+        this.destroy()
+      })
+      this.child.send({ actionPath: this.actionPath, entryPoint: this.entryPoint, env, params })
+    })
+  }
+
+  destroy () {
+    this.child.kill()
+  }
+
+  onMessage (message) {
+    switch (message.type) {
+      case 'log':
+        // output outside of an activation (e.g. from a timer) is not part of any activation logs
+        (this.pendingRun?.writeLog ?? writeLog)(message.streamName, message.text)
+        break
+      case 'result':
+        this.settle(null, { response: message.response, initTime: message.initTime })
+        break
+      case 'load-error':
+        this.settle(new ActionLoadError(message.text))
+        break
+      default:
+        this.settle(new ActionProcessError(message.text, message.stack))
+    }
+  }
+
+  settle (error, result) {
+    const pendingRun = this.pendingRun
+    this.pendingRun = null
+    if (error) {
+      pendingRun?.reject(error)
+    } else {
+      pendingRun?.resolve(result)
+    }
+  }
+}
+
+/**
+ * Loads the entry point function of an action bundle.
+ *
+ * @param {string} actionPath the path to the action bundle
+ * @param {string} [entryPoint] the name of the function that the action bundle exports
+ * @returns {object} the action function (actionFunction), or the reason it cannot be loaded (loadError)
+ */
+function loadActionFunction (actionPath, entryPoint = DEFAULT_ENTRY_POINT) {
+  let actionModule
+  try {
+    actionModule = require(actionPath)
+  } catch (e) {
+    return { loadError: `could not be loaded: ${e.message}` }
+  }
+  const actionFunction = findEntryPointFunction(actionModule, entryPoint)
+  return actionFunction ? { actionFunction } : { loadError: missingEntryPointMessage(entryPoint) }
+}
+
+/**
+ * Starts an action process: its output is sent to the parent process as log messages,
+ * and it runs the action of each run message it receives. The action is loaded on
+ * the first run (a cold start), and kept loaded for the next ones.
+ *
+ * @param {object} proc the process object of the action process
+ */
+function startActionProcess (proc) {
+  const send = (message) => proc.send(message)
+  let actionFunction
+
+  STREAM_NAMES.forEach(streamName => {
+    proc[streamName].write = (chunk) => {
+      send({ type: 'log', streamName, text: chunk.toString() })
+      return true
+    }
+  })
+
+  proc.on('message', async ({ actionPath, entryPoint, env, params }) => {
+    Object.assign(proc.env, env)
+
+    let initTime
+    if (!actionFunction) {
+      const start = Date.now()
+      const { actionFunction: loadedFunction, loadError } = loadActionFunction(actionPath, entryPoint)
+      initTime = Date.now() - start
+      if (loadError) {
+        send({ type: 'load-error', text: loadError })
+        return
+      }
+      actionFunction = loadedFunction
+    }
+
+    try {
+      const response = await actionFunction(params)
+      send({ type: 'result', response, initTime })
+    } catch (e) {
+      send({ type: 'error', text: `${e}`, stack: e?.stack })
+    }
+  })
+  // the dev server stopped
+  proc.on('disconnect', () => proc.exit())
+}
+
+module.exports = {
+  ActionLoadError,
+  ActionMemoryError,
+  ActionProcess,
+  ActionProcessError,
+  startActionProcess
+}
@@ -0,0 +1,165 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const crypto = require('node:crypto')
+const fs = require('fs-extra')
+const { LOCAL_IMS_PRIVATE_KEY_PATH, LOCAL_IMS_PUBLIC_KEY_PATH } = require('./constants')
+
+// the issuer of the local tokens (IMS tokens have the IMS region, e.g. ims-na1)
+const LOCAL_IMS_ISSUER = 'ims-local'
+const SIGNING_ALGORITHM = 'RS256'
+
+/**
+ * @typedef {object} LocalImsKeys
+ * @property {string} privateKey the PEM private key, that signs the tokens
+ * @property {string} publicKey the PEM public key, that validates the tokens
+ */
+
+/**
+ * @typedef {object} TokenOptions
+ * @property {string} privateKey the PEM private key
+ * @property {string} orgId the IMS org id (e.g. 1234@AdobeOrg)
+ * @property {string} userId the IMS user id (e.g. 5678@AdobeID)
+ * @property {string} clientId the client id
+ * @property {Array<string>} scopes the scopes
+ * @property {number} expiresIn the token lifetime in ms
+ * @property {number} [now] the creation time of the token in ms (defaults to now)
+ */
+
+/**
+ * Gets the key pair of the local IMS stand-in, and generates it on first use.
+ * The keys are kept in the dev keys folder, like the dev server certificate.
+ *
+ * @param {object} [params] the parameters
+ * @param {string} [params.privateKeyPath] the path to the private key
+ * @param {string} [params.publicKeyPath] the path to the public key
+ * @returns {LocalImsKeys} the key pair
+ */
+function getOrCreateSigningKeys ({ privateKeyPath = LOCAL_IMS_PRIVATE_KEY_PATH, publicKeyPath = LOCAL_IMS_PUBLIC_KEY_PATH } = {}) {
+  if (fs.existsSync(privateKeyPath) && fs.existsSync(publicKeyPath)) {
+    return {
+      privateKey: fs.readFileSync(privateKeyPath, 'utf-8'),
+      publicKey: fs.readFileSync(publicKeyPath, 'utf-8')
+    }
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  })
+  fs.outputFileSync(privateKeyPath, privateKey)
+  fs.outputFileSync(publicKeyPath, publicKey)
+  return { privateKey, publicKey }
+}
+
+/**
+ * Encodes a JWT segment.
+ *
+ * @param {object} value the header or payload
+ * @returns {string} the base64url encoded JSON
+ */
+function encodeSegment (value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url')
+}
+
+/**
+ * Creates a dev access token, signed with the local IMS private key.
+ * Its claims are the ones of an IMS access token (the creation time and lifetime are in ms),
+ * plus the org id, so that the token can be checked against the x-gw-ims-org-id header.
+ *
+ * @param {TokenOptions} options the token options
+ * @returns {string} the token (a JWT)
+ */
+function createToken ({ privateKey, orgId, userId, clientId, scopes, expiresIn, now = Date.now() }) {
+  const header = encodeSegment({ alg: SIGNING_ALGORITHM, typ: 'JWT' })
+  const payload = encodeSegment({
+    type: 'access_token',
+    as: LOCAL_IMS_ISSUER,
+    client_id: clientId,
+    user_id: userId,
+    org_id: orgId,
+    scope: scopes.join(','),
+    created_at: `${now}`,
+    expires_in: `${expiresIn}`
+  })
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url')
+  return `${header}.${payload}.${signature}`
+}
+
+/**
+ * Decodes a JWT, without validating it.
+ *
+ * @param {string} token the token
+ * @returns {object|undefined} the header, payload and signature of the token, or undefined if it is not a JWT
+ */
+function decodeToken (token) {
+  const [header, payload, signature, ...rest] = token.split('.')
+  if (!signature || rest.length > 0) {
+    return
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(header, 'base64url').toString('utf-8')),
+      payload: JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8')),
+      signedContent: `${header}.${payload}`,
+      signature
+    }
+  } catch (e) {
+    // not a JWT
+  }
+}
+
+/**
+ * Validates the bearer token of a request to an action with the require-adobe-auth annotation,
+ * like the Adobe I/O gateway does: the token signature (against the local IMS public key),
+ * its expiry, and its org (against the x-gw-ims-org-id header).
+ *
+ * @param {object} params the parameters
+ * @param {string} params.publicKey the PEM public key of the local IMS
+ * @param {string} params.authorization the authorization header
+ * @param {string} params.orgId the x-gw-ims-org-id header
+ * @param {number} [params.now] the current time in ms (defaults to now)
+ * @returns {object|undefined} the error response (statusCode, body) if the token is not valid, undefined otherwise
+ */
+function validateToken ({ publicKey, authorization, orgId, now = Date.now() }) {
+  const unauthorized = (reason) => ({ statusCode: 401, body: { error: `cannot authorize request, reason: ${reason}` } })
+
+  const [scheme, token] = authorization.split(' ')
+  const decoded = scheme.toLowerCase() === 'bearer' && token && decodeToken(token)
+  if (!decoded) {
+    return unauthorized('invalid authorization header')
+  }
+
+  const { header, payload, signedContent, signature } = decoded
+  const isSigned = header?.alg === SIGNING_ALGORITHM &&
+    crypto.verify('sha256', Buffer.from(signedContent), publicKey, Buffer.from(signature, 'base64url'))
+  if (!isSigned || payload?.type !== 'access_token') {
+    return unauthorized('invalid token')
+  }
+
+  const expiresAt = Number(payload.created_at) + Number(payload.expires_in)
+  if (!(expiresAt > now)) {
+    return unauthorized('token is expired')
+  }
+
+  if (payload.org_id !== orgId) {
+    return { statusCode: 403, body: { error: `request is not authorized, reason: the token is not valid for the org ${orgId}` } }
+  }
+}
+
+module.exports = {
+  LOCAL_IMS_ISSUER,
+  createToken,
+  getOrCreateSigningKeys,
+  validateToken
+}
@@ -0,0 +1,134 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const express = require('express')
+const { REQUEST_BODY_LIMIT } = require('./constants')
+
+// the request bodies that are passed as is (base64 encoded in __ow_body) to the web actions, raw or not:
+// a multipart body keeps its parts (and their files) and the boundary of its content type
+const RAW_CONTENT_TYPES = ['application/octet-stream', 'multipart/*']
+
+/**
+ * Gets the size of a body once it is base64 encoded.
+ *
+ * @param {number} size the body size in bytes
+ * @returns {number} the base64 encoded size in bytes
+ */
+function base64Size (size) {
+  return Math.ceil(size / 3) * 4
+}
+
+/**
+ * Gets the request body limit of an action: the `requestBodySize` of its manifest `limits`
+ * (in bytes), or the limit of the dev server (1MB by default).
+ *
+ * @param {object} [action] the action object
+ * @returns {number} the request body limit in bytes
+ */
+function requestBodyLimit (action) {
+  return action?.limits?.requestBodySize || REQUEST_BODY_LIMIT
+}
+
+/**
+ * Checks if a request body is passed base64 encoded to an action: a binary or multipart body,
+ * or, for a raw web action, a JSON body.
+ *
+ * @param {Request} req the request object
+ * @param {boolean} isRaw true for a raw web action
+ * @returns {boolean} true if the body is base64 encoded
+ */
+function isBase64Body (req, isRaw) {
+  return Boolean(req.is(RAW_CONTENT_TYPES) || (isRaw && req.is('application/json')))
+}
+
+/**
+ * Creates the parser of the form bodies: like the query parameters (see parseQueryParameters),
+ * the form parameters are flat strings, and the last value of a repeated key wins.
+ *
+ * @param {object} options the parser options
+ * @returns {Function} the body parser middleware
+ */
+function createFormBodyParser (options) {
+  const parser = express.urlencoded({ ...options, extended: false })
+  return (req, res, next) => parser(req, res, (error) => {
+    if (!error && req.body && req.is('application/x-www-form-urlencoded')) {
+      req.body = Object.fromEntries(Object.entries(req.body).map(([key, value]) => [key, [].concat(value).at(-1)]))
+    }
+    next(error)
+  })
+}
+
+/**
+ * Creates the body parsers of a request body limit.
+ * The limit of the bodies that are base64 encoded (see isBase64Body) is the one of their base64 encoded size.
+ *
+ * @param {object} params the parameters
+ * @param {number} params.limit the request body limit in bytes
+ * @param {boolean} params.isRaw true for a raw web action
+ * @returns {Array<Function>} the body parser middlewares
+ */
+function createBodyParsers ({ limit, isRaw }) {
+  const options = { inflate: false } // the same behavior in the cloud
+  const encodedLimit = Math.floor(limit * 3 / 4)
+  return [
+    express.text({ ...options, limit, type: 'text/plain' }),
+    express.json({ ...options, limit: isRaw ? encodedLimit : limit, strict: false }),
+    createFormBodyParser({ ...options, limit }),
+    express.raw({ ...options, limit: encodedLimit, type: RAW_CONTENT_TYPES })
+  ]
+}
+
+/**
+ * Creates the middleware that parses the request body of an action, within the action request body limit.
+ * A request with a body over the limit is answered with a 413 error, with the request size
+ * and the limit (the base64 encoded size, for a body that is base64 encoded). The body parsers of each limit are created once.
+ *
+ * @param {object} params the parameters
+ * @param {Function} params.findAction gets the action (or sequence) of a request, undefined if there is none
+ * @param {Function} params.isRawAction checks if an action is a raw web action
+ * @returns {Function} the middleware
+ */
+function createRequestBodyParser ({ findAction, isRawAction }) {
+  const parsersByLimit = new Map()
+
+  return (req, res, next) => {
+    const action = findAction(req)
+    const limit = requestBodyLimit(action)
+    const isRaw = isRawAction(action)
+    const key = `${limit}/${isRaw}`
+    if (!parsersByLimit.has(key)) {
+      parsersByLimit.set(key, createBodyParsers({ limit, isRaw }))
+    }
+
+    // each parser parses the body of its content types only, then calls the next one
+    const parsers = parsersByLimit.get(key)
+    const runParser = (index) => (error) => {
+      if (error?.type === 'entity.too.large') {
+        const size = error.length ?? error.received
+        const requestSize = isBase64Body(req, isRaw) ? base64Size(size) : size
+        return res.status(413).send({ error: `Request larger than allowed: ${requestSize} > ${limit} bytes.` })
+      }
+      if (error || index === parsers.length) {
+        return next(error)
+      }
+      parsers[index](req, res, runParser(index + 1))
+    }
+    runParser(0)()
+  }
+}
+
+module.exports = {
+  RAW_CONTENT_TYPES,
+  base64Size,
+  createRequestBodyParser,
+  requestBodyLimit
+}
@@ -0,0 +1,68 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const crypto = require('node:crypto')
+const { CLIENT_IP } = require('./constants')
+
+// the headers of a connection (RFC 9110), that the Runtime gateway does not pass on to the actions
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+]
+
+/**
+ * Gets the hop-by-hop headers of a request: the standard ones, and the ones named by its connection header.
+ *
+ * @param {object} headers the request headers (with lowercase names)
+ * @returns {Array<string>} the (lowercase) names of the hop-by-hop headers
+ */
+function hopByHopHeaders (headers) {
+  const connectionHeaders = `${headers.connection ?? ''}`.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0)
+  return [...HOP_BY_HOP_HEADERS, ...connectionHeaders]
+}
+
+/**
+ * Creates the headers of a web action request (__ow_headers), as the gateway passes them: the header names
+ * are lowercase, the hop-by-hop headers are removed, and the gateway headers are added (x-forwarded-for,
+ * x-forwarded-host, x-forwarded-proto, x-request-id and perf-br-req-in), so an action can build its URLs from them.
+ *
+ * @param {object} params the parameters
+ * @param {Request} params.req the request object
+ * @param {string} [params.clientIp] the client IP address, in x-forwarded-for (127.0.0.1 by default, override with the `CLIENT_IP` environment variable)
+ * @param {number} [params.receivedAt] the time the request was received, in ms (now by default)
+ * @returns {object} the action request headers
+ */
+function createActionHeaders ({ req, clientIp = CLIENT_IP, receivedAt = Date.now() }) {
+  const headers = Object.entries(req.headers ?? {})
+    .reduce((obj, [name, value]) => {
+      obj[name.toLowerCase()] = value
+      return obj
+    }, {})
+
+  hopByHopHeaders(headers).forEach(name => delete headers[name])
+
+  return {
+    ...headers,
+    'x-forwarded-for': clientIp,
+    ...(headers.host && { 'x-forwarded-host': headers.host }),
+    'x-forwarded-proto': req.protocol,
+    'x-request-id': crypto.randomBytes(16).toString('hex'),
+    'perf-br-req-in': (receivedAt / 1000).toFixed(3) // seconds, with ms
+  }
+}
+
+module.exports = {
+  HOP_BY_HOP_HEADERS,
+  createActionHeaders
+}
@@ -0,0 +1,40 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Gets the query string of a request, as it was sent (not decoded), without the leading `?`.
+ *
+ * @param {Request} req the request object
+ * @returns {string} the query string, empty if there is none
+ */
+function rawQueryString (req) {
+  const url = req.originalUrl ?? ''
+  const index = url.indexOf('?')
+  return index === -1 ? '' : url.substring(index + 1)
+}
+
+/**
+ * Parses a query string into the parameters of a web action (not with the express
+ * extended query parser): the parameters are flat (`a[b]=1` is the `a[b]` parameter) and decoded strings,
+ * and the last value of a repeated key wins.
+ *
+ * @param {string} queryString the query string
+ * @returns {object} the query parameters
+ */
+function parseQueryParameters (queryString) {
+  return Object.fromEntries(new URLSearchParams(queryString))
+}
+
+module.exports = {
+  parseQueryParameters,
+  rawQueryString
+}
@@ -23,10 +23,27 @@ const getPort = require('get-port')
 const rtLib = require('@adobe/aio-lib-runtime')
 const coreLogger = require('@adobe/aio-lib-core-logging')
 const { getReasonPhrase } = require('http-status-codes')
+const { activationStore, createActivationRecord, generateActivationId } = require('./activations')
+const { captureActionLogs } = require('./action-logs')
+const { MEMORY_LIMIT_ERROR, getActionLimits, runWithLimits } = require('./action-limits')
+const { ActionLoadError, ActionMemoryError, ActionProcess, ActionProcessError } = require('./isolated-runner')
+const { actionContainers, bundleVersion } = require('./action-containers')
+const { DEFAULT_WEB_EXTENSION, corsHeaders, parseWebActionName, webExtensionResponse, webHttpResponse } = require('./web-responses')
+const { validateToken } = require('./local-ims')
+const { actionEntryPoint, findEntryPointFunction, missingEntryPointMessage } = require('./action-entry-point')
+const { DEFAULT_PACKAGE, resolveComponent, sequenceComponentNames } = require('./sequences')
+const { createRequestBodyParser } = require('./request-body')
+const { createActionHeaders } = require('./request-headers')
+const { createApiRoutes } = require('./api-routes')
+const { parseQueryParameters, rawQueryString } = require('./request-query')
+const { alarmFeed, alarmPayload, findTrigger, findTriggerRules, scheduleAlarms } = require('./triggers')
 
 const utils = require('./app-helper')
-const { SERVER_HOST, SERVER_DEFAULT_PORT, BUNDLER_DEFAULT_PORT, DEV_API_PREFIX, DEV_API_WEB_PREFIX, BUNDLE_OPTIONS, CHANGED_ASSETS_PRINT_LIMIT } = require('./constants')
-const RAW_CONTENT_TYPES = ['application/octet-stream', 'multipart/form-data']
+const { SERVER_HOST, SERVER_DEFAULT_PORT, BUNDLER_DEFAULT_PORT, DEV_API_PREFIX, DEV_API_WEB_PREFIX, BUNDLE_OPTIONS, CHANGED_ASSETS_PRINT_LIMIT, MAX_COMPOSITION_ACTIONS } = require('./constants')
+// the request body is passed to web actions for these methods
+const BODY_METHODS = ['post', 'put', 'patch', 'delete']
+// the web action request metadata parameters, which a request cannot set
+const RESERVED_PARAMETERS = ['__ow_method', '__ow_headers', '__ow_path', '__ow_user', '__ow_body', '__ow_query']
 
 /* global Request, Response */
 
@@ -37,12 +54,28 @@ const RAW_CONTENT_TYPES = ['application/octet-stream', 'multipart/form-data']
  * @property {object} contextItemParams the action or sequence params
  * @property {string} packageName the package name
  * @property {object} actionConfig the whole action config
+ * @property {object} [runOptions] the run options (runOptions.isolate runs the action in its own process,
+ * runOptions.cold cold starts every activation, runOptions.localIms validates require-adobe-auth tokens)
+ * @property {string} [activationId] the activation id to use (one is generated if not set)
+ * @property {string} [cause] the activation id of the enclosing sequence, if any
+ * @property {Array<string>} [enclosingSequences] the enclosing sequences (package/sequence), of a nested sequence
+ * @property {object} [compositionSteps] the count of component actions run by the enclosing conductor action composition
  */
 
 /**
  * @typedef {object} RunDevReturnObject
  * @property {string} frontendUrl the url for the front-end (if any)
  * @property {object} actionUrls the object with a list of action urls
+ * @property {Array<object>} apiUrls the API Gateway routes of the manifest apis (method, url)
+ * @property {object} triggerUrls the urls to fire the triggers of the manifest (POST), by trigger name
+ */
+
+/**
+ * @typedef {object} ActivationResponse
+ * @property {string} status the activation status ('success', 'application error', 'action developer error')
+ * @property {number} statusCode the activation status code (0 success, 1 application error, 2 action developer error)
+ * @property {boolean} success true if the activation was successful
+ * @property {object} result the result dictionary returned by the action
  */
 
 /**
@@ -50,6 +83,8 @@ const RAW_CONTENT_TYPES = ['application/octet-stream', 'multipart/form-data']
  * @property {object} headers the response headers
  * @property {object} statusCode the HTTP status code
  * @property {object} body the response body
+ * @property {ActivationResponse} [activationResponse] the raw activation response
+ * @property {string} [activationId] the activation id
  */
 
 /**
@@ -76,6 +111,8 @@ async function runDev (runOptions, config, _inprocHookRunner) {
   serveLogger.debug('hasBackend', hasBackend)
   serveLogger.debug('hasFrontend', hasFrontend)
   serveLogger.debug('httpsSettings', JSON.stringify(httpsSettings, null, 2))
+  applyPackageConfig({ actionConfig })
+  secureWebActions({ actionConfig, logger: serveLogger })
 
   // set up environment variables for openwhisk
   process.env.__OW_API_KEY = process.env.AIO_RUNTIME_AUTH
@@ -92,6 +129,12 @@ async function runDev (runOptions, config, _inprocHookRunner) {
       const url = new URL(value)
       url.port = serverPort
       url.hostname = SERVER_HOST
+      if (!url.pathname.startsWith(`/${DEV_API_WEB_PREFIX}/`)) {
+        // non-web actions are invoked through the (emulated) OpenWhisk REST API
+        const [packageName, actionName] = key.split('/')
+        url.pathname = `/${DEV_API_PREFIX}/namespaces/_/actions/${packageName}/${actionName}`
+        url.search = 'blocking=true&result=true'
+      }
       acc[key] = url.toString()
       return acc
     }, {})
@@ -164,23 +207,44 @@ async function runDev (runOptions, config, _inprocHookRunner) {
 
   const app = express()
 
-  const middlewareOptions = {
-    inflate: false, // the same behavior in the cloud
-    limit: '1MB' // the same limits in the cloud
-  }
-  app.use(express.text({ ...middlewareOptions, type: 'text/plain' }))
-  app.use(express.json({ ...middlewareOptions, strict: false }))
-  app.use(express.urlencoded({ ...middlewareOptions, extended: true }))
-  app.use(express.raw({ ...middlewareOptions, type: RAW_CONTENT_TYPES }))
-
   if (hasFrontend) {
     app.use(connectLiveReload())
     app.use(express.static(devConfig.web.distDev))
   }
 
+  // the request body is parsed within the request body limit of the action
+  const webBodyParser = createRequestBodyParser({ findAction: (req) => findWebAction(actionConfig, req.params[0]), isRawAction: isRawWebAction })
+  const nonWebBodyParser = createRequestBodyParser({ findAction: (req) => findNonWebAction(actionConfig, req.params[0]), isRawAction: () => false })
+
   // serveAction needs to clear cache for each request, so we get live changes
-  app.all(`/${DEV_API_WEB_PREFIX}/*`, (req, res) => serveWebAction(req, res, actionConfig, distFolder))
-  app.all(`/${DEV_API_PREFIX}/*`, (req, res) => serveNonWebAction(req, res, actionConfig, distFolder))
+  app.all(`/${DEV_API_WEB_PREFIX}/*`, webBodyParser, (req, res) => serveWebAction(req, res, actionConfig, distFolder, defaultActionLoader, runOptions))
+  app.all(`/${DEV_API_PREFIX}/*`, nonWebBodyParser, (req, res) => serveNonWebAction(req, res, actionConfig, distFolder, defaultActionLoader, runOptions))
+
+  // the manifest apis are served like the API Gateway does: each route invokes its web action, with its response type
+  const { routes: apiRoutes, errors: apiErrors } = createApiRoutes({ actionConfig, namespace: devConfig.ow.namespace, isWebAction })
+  apiErrors.forEach(error => serveLogger.warn(`API route not served, ${error}`))
+  apiRoutes.forEach(route => {
+    const toWebAction = (req, res, next) => {
+      req.apiPathParams = { ...req.params }
+      req.params[0] = route.webActionUrl
+      next()
+    }
+    app[route.method](route.expressPath, toWebAction, webBodyParser, (req, res) => serveWebAction(req, res, actionConfig, distFolder, defaultActionLoader, runOptions))
+  })
+  const apiUrls = apiRoutes.map(route => ({ method: route.method.toUpperCase(), url: `https://${SERVER_HOST}:${serverPort}${route.path}` }))
+
+  // the triggers are fired through the (emulated) OpenWhisk REST API, and the alarm triggers on the local clock
+  const triggerUrls = Object.values(actionConfig)
+    .flatMap(pkg => Object.keys(pkg.triggers ?? {}))
+    .reduce((acc, triggerName) => {
+      acc[triggerName] = `https://${SERVER_HOST}:${serverPort}/${DEV_API_PREFIX}/namespaces/_/triggers/${triggerName}`
+      return acc
+    }, {})
+  const alarmScheduler = scheduleAlarms({
+    actionConfig,
+    fireTrigger: async ({ triggerName }) => fireTrigger({ triggerName, actionConfig, distFolder, runOptions, logger: serveLogger }),
+    logger: serveLogger
+  })
 
   const server = https.createServer(serverOptions, app)
   server.listen(serverPort, SERVER_HOST, () => {
@@ -200,11 +264,17 @@ async function runDev (runOptions, config, _inprocHookRunner) {
     await server?.close()
     serveLogger.debug('removing parcel watcher ...')
     await subscription?.unsubscribe()
+    serveLogger.debug('stopping warm action containers ...')
+    actionContainers.clear()
+    serveLogger.debug('stopping alarm triggers ...')
+    alarmScheduler.stop()
   }
 
   return {
     frontendUrl,
     actionUrls,
+    apiUrls,
+    triggerUrls,
     serverCleanup
   }
 }
@@ -249,26 +319,501 @@ function isRawWebAction (action) {
 }
 
 /**
- * Express path handler to handle non-web action or non-web sequence API calls.
- * Openwhisk returns 401 when you call a non-web action or non-web sequence via HTTP.
+ * Determines if a web action handles the OPTIONS requests and its CORS headers itself (web-custom-options annotation).
+ *
+ * @param {object} action the action object
+ * @returns {boolean} true if the web action has custom options
+ */
+function hasCustomOptions (action) {
+  const customOptionsValue = action?.annotations?.['web-custom-options']
+  return customOptionsValue === true || customOptionsValue === 'true'
+}
+
+/**
+ * Determines if an action is a conductor action.
+ *
+ * @param {object} action the action object
+ * @returns {boolean} true if it is a conductor action
+ */
+function isConductorAction (action) {
+  const conductorValue = action?.annotations?.conductor
+  return conductorValue === true || conductorValue === 'true'
+}
+
+/**
+ * Gets the function that invokes an action, a conductor action or a sequence.
+ *
+ * @param {object} params the parameters
+ * @param {object} [params.action] the action object
+ * @param {object} [params.sequence] the sequence object
+ * @returns {Function} the invoker (invokeAction, invokeConductor or invokeSequence)
+ */
+function invokerFor ({ action, sequence }) {
+  if (sequence) {
+    return invokeSequence
+  }
+  return isConductorAction(action) ? invokeConductor : invokeAction
+}
+
+/**
+ * Finds the action or sequence of a package.
+ *
+ * @param {object} actionConfig the action configuration
+ * @param {string} packageName the package name
+ * @param {string} name the action or sequence name
+ * @returns {object|undefined} the action or sequence, undefined if it does not exist
+ */
+function findPackageItem (actionConfig, packageName, name) {
+  return actionConfig?.[packageName]?.sequences?.[name] ?? actionConfig?.[packageName]?.actions?.[name]
+}
+
+/**
+ * Parses the path of a web action request, for the forms of the Runtime web action urls:
+ * - `package/action`, with the namespace in the host (the adobeioruntime.net and CDN urls)
+ * - `namespace/package/action`, with the namespace of the app (the urls of a custom API host)
+ * - `namespace/action` and `action`, for an action of the default package (`default/action` is the package form)
+ *
+ * The action segment can have an extension, and the segments after it are the action path (__ow_path).
+ * The first form that matches an action or sequence is used, the `package/action` form if none does.
+ *
+ * @param {object} actionConfig the action configuration
+ * @param {string} url the path after the web actions prefix
+ * @returns {object} the packageName, the actionSegment (with the extension), and the restofPath segments
+ */
+function parseWebActionUrl (actionConfig, url) {
+  const segments = url.split('/')
+  const namespace = process.env.AIO_RUNTIME_NAMESPACE
+  const namespaceSegments = (namespace && segments[0] === namespace) ? segments.slice(1) : null
+
+  const candidates = [
+    segments,
+    namespaceSegments,
+    namespaceSegments && [DEFAULT_PACKAGE, ...namespaceSegments],
+    [DEFAULT_PACKAGE, ...segments]
+  ]
+    .filter(Boolean)
+    .map(([packageName, actionSegment, ...restofPath]) => ({ packageName, actionSegment, restofPath }))
+  return candidates.find(({ packageName, actionSegment }) => findPackageItem(actionConfig, packageName, parseWebActionName(actionSegment).name)) ??
+    candidates[0]
+}
+
+/**
+ * Finds the action or sequence of a web action request.
+ *
+ * @param {object} actionConfig the action configuration
+ * @param {string} url the path after the web actions prefix (see parseWebActionUrl)
+ * @returns {object|undefined} the action or sequence, undefined if it does not exist
+ */
+function findWebAction (actionConfig, url) {
+  const { packageName, actionSegment } = parseWebActionUrl(actionConfig, url)
+  return findPackageItem(actionConfig, packageName, parseWebActionName(actionSegment).name)
+}
+
+/**
+ * Finds the action or sequence of an OpenWhisk REST API action invoke request.
+ *
+ * @param {object} actionConfig the action configuration
+ * @param {string} url the path after the API prefix (namespaces/namespace/actions/package/action)
+ * @returns {object|undefined} the action or sequence, undefined if it does not exist
+ */
+function findNonWebAction (actionConfig, url) {
+  const [collection, , resource, packageName, name] = url.split('/')
+  if (collection === 'namespaces' && resource === 'actions') {
+    return findPackageItem(actionConfig, packageName, name)
+  }
+}
+
+/**
+ * Applies the package inputs and annotations to the actions of the package:
+ * an action inherits the parameters of its package (its own inputs take precedence), and the
+ * annotations of its package (its own annotations take precedence). Sequences inherit the package annotations.
+ * The package inputs are interpolated with the action inputs, on each request.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ */
+function applyPackageConfig ({ actionConfig }) {
+  Object.values(actionConfig ?? {}).forEach((pkg) => {
+    const { inputs, annotations } = pkg ?? {}
+    Object.values(pkg?.actions ?? {}).forEach((action) => {
+      if (inputs) {
+        action.inputs = { ...inputs, ...action.inputs }
+      }
+    })
+    if (!annotations) {
+      return
+    }
+    Object.values({ ...pkg.actions, ...pkg.sequences }).forEach((contextItem) => {
+      contextItem.annotations = { ...annotations, ...contextItem.annotations }
+    })
+  })
+}
+
+/**
+ * Generates the secret of the web actions that have the require-whisk-auth annotation set to true,
+ * like `wsk action update --web-secure true` does, and logs it so the web action can be called.
+ * The annotation value is replaced with the secret.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ * @param {object} params.logger the logger object
+ */
+function secureWebActions ({ actionConfig, logger }) {
+  Object.entries(actionConfig ?? {}).forEach(([packageName, pkg]) => {
+    const contextItems = { ...pkg?.actions, ...pkg?.sequences }
+    Object.entries(contextItems).forEach(([name, contextItem]) => {
+      if (contextItem.annotations?.['require-whisk-auth'] !== true || !isWebAction(contextItem)) {
+        return
+      }
+      const secret = `${crypto.randomInt(2 ** 47)}`
+      contextItem.annotations['require-whisk-auth'] = secret
+      logger.info(`${packageName}/${name} requires the X-Require-Whisk-Auth header: ${secret}`)
+    })
+  })
+}
+
+/**
+ * Checks the X-Require-Whisk-Auth header of a web action request against the
+ * require-whisk-auth annotation of the action, if it is set.
+ *
+ * @param {Request} req the http request
+ * @param {object} contextItem the action or sequence object
+ * @returns {ActionResponse|undefined} the error response if not authorized, undefined otherwise
+ */
+function checkWhiskAuth (req, contextItem) {
+  const secret = contextItem?.annotations?.['require-whisk-auth']
+  if (secret === undefined || secret === false) {
+    return
+  }
+
+  // true is replaced by a generated secret (see secureWebActions), it cannot be matched otherwise
+  if (secret === true || req.headers?.['x-require-whisk-auth'] !== `${secret}`) {
+    return { statusCode: 401, body: { error: 'The resource requires authentication, which was not supplied with the request' } }
+  }
+}
+
+/**
+ * Checks the basic authentication credentials of an OpenWhisk REST API request
+ * against the AIO_RUNTIME_AUTH key.
+ *
+ * @param {Request} req the http request
+ * @returns {ActionResponse|undefined} the error response if not authorized, undefined otherwise
+ */
+function checkRuntimeAuth (req) {
+  const authorization = req.headers?.authorization
+  if (!authorization) {
+    return { statusCode: 401, body: { error: 'The resource requires authentication, which was not supplied with the request' } }
+  }
+
+  const [scheme, credentials] = authorization.split(' ')
+  const authKey = process.env.AIO_RUNTIME_AUTH
+  const isValid = authKey &&
+    scheme.toLowerCase() === 'basic' &&
+    Buffer.from(credentials ?? '', 'base64').toString('utf-8') === authKey
+
+  if (!isValid) {
+    return { statusCode: 401, body: { error: 'The supplied authentication is invalid' } }
+  }
+}
+
+/**
+ * Creates the activation response for an action response that did not run the action,
+ * for example when the request was not authorized.
+ *
+ * @param {ActionResponse} actionResponse the action response
+ * @returns {ActivationResponse} the activation response
+ */
+function activationResponseFromActionResponse (actionResponse) {
+  if (actionResponse.activationResponse) {
+    return actionResponse.activationResponse
+  }
+
+  const { statusCode, body } = actionResponse
+  return {
+    status: 'application error',
+    statusCode: 1,
+    success: false,
+    result: { error: { statusCode, body } }
+  }
+}
+
+/**
+ * Express path handler to handle the OpenWhisk REST API calls, for non-web actions and sequences,
+ * triggers, and activations. This emulates these OpenWhisk REST API endpoints:
+ * POST /api/v1/namespaces/:namespace/actions/:package/:action?blocking=true&result=true
+ * POST /api/v1/namespaces/:namespace/triggers/:trigger
+ * GET /api/v1/namespaces/:namespace/activations
+ * GET /api/v1/namespaces/:namespace/activations/:activationId(/logs|/result)
+ *
+ * The request must be authenticated with the AIO_RUNTIME_AUTH key (basic authentication).
  *
  * @param {Request} req the http request
  * @param {Response} res the http response
  * @param {object} actionConfig the action configuration
  * @param {string} distFolder the dist folder (contains built action source)
- * @returns {void}
+ * @param {Function} actionLoader function that will load an action
+ * @param {object} [runOptions] the run options
+ * @returns {Response} the response
  */
-async function serveNonWebAction (req, res, actionConfig, distFolder) {
+async function serveNonWebAction (req, res, actionConfig, distFolder, actionLoader = defaultActionLoader, runOptions = {}) {
   const url = req.params[0]
-  const [, actionName] = url.split('/')
-  const logger = coreLogger(`serveNonWebAction ${actionName}`, { level: process.env.LOG_LEVEL, provider: 'winston' })
+  const [collection, namespace, resource, ...resourcePath] = url.split('/')
+  const logger = coreLogger(`serveNonWebAction ${resourcePath.join('/')}`, { level: process.env.LOG_LEVEL, provider: 'winston' })
 
-  const actionResponse = { statusCode: 401, body: { error: 'The resource requires authentication, which was not supplied with the request' } }
-  return httpStatusResponse({ actionResponse, res, logger })
+  const authError = checkRuntimeAuth(req)
+  if (authError) {
+    return httpStatusResponse({ actionResponse: authError, res, logger })
+  }
+
+  const notFoundResponse = { statusCode: 404, body: { error: 'The requested resource does not exist.' } }
+  if (collection !== 'namespaces' || !['actions', 'activations', 'triggers'].includes(resource)) {
+    return httpStatusResponse({ actionResponse: notFoundResponse, res, logger })
+  }
+
+  if (namespace !== '_' && namespace !== process.env.AIO_RUNTIME_NAMESPACE) {
+    const actionResponse = { statusCode: 403, body: { error: `The supplied authentication is not authorized to access '${namespace}'.` } }
+    return httpStatusResponse({ actionResponse, res, logger })
+  }
+
+  let actionResponse
+  if (resource === 'actions') {
+    actionResponse = await invokeNonWebAction({ req, resourcePath, actionConfig, distFolder, actionLoader, runOptions, logger })
+  } else if (resource === 'triggers') {
+    actionResponse = serveTriggers({ req, resourcePath, actionConfig, distFolder, actionLoader, runOptions, logger })
+  } else {
+    actionResponse = serveActivations({ req, resourcePath })
+  }
+
+  return httpStatusResponse({ actionResponse: actionResponse ?? notFoundResponse, res, logger })
+}
+
+/**
+ * Invokes an action or sequence, for an OpenWhisk REST API action invoke request.
+ *
+ * @param {object} params the parameters
+ * @param {Request} params.req the http request
+ * @param {Array<string>} params.resourcePath the path after the actions resource ([package, action])
+ * @param {object} params.actionConfig the action configuration
+ * @param {string} params.distFolder the dist folder (contains built action source)
+ * @param {Function} params.actionLoader function that will load an action
+ * @param {object} params.runOptions the run options
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse|undefined} the response, or undefined if the action does not exist
+ */
+async function invokeNonWebAction ({ req, resourcePath, actionConfig, distFolder, actionLoader, runOptions, logger }) {
+  const [packageName, contextItemName, ...restofPath] = resourcePath
+  const action = actionConfig?.[packageName]?.actions?.[contextItemName]
+  const sequence = actionConfig?.[packageName]?.sequences?.[contextItemName]
+  const contextItem = sequence ?? action
+  if (!contextItem || restofPath.length > 0) {
+    return
+  }
+
+  if (req.method.toLowerCase() !== 'post') {
+    return { statusCode: 405, body: { error: `The ${req.method} method is not supported for actions, only POST (invoke) is.` } }
+  }
+
+  const isBlocking = req.query?.blocking === 'true'
+  const isResultOnly = req.query?.result === 'true'
+  const activationId = generateActivationId()
+
+  const contextItemParams = createActionParametersFromBody({ req, actionInputs: action?.inputs })
+  logger.debug('contextItemParams =', contextItemParams)
+
+  const actionRequestContext = {
+    activationId,
+    packageName,
+    contextItem,
+    contextItemName,
+    contextItemParams,
+    actionConfig,
+    distFolder,
+    contextActionLoader: actionLoader,
+    runOptions
+  }
+
+  const invoker = invokerFor({ action, sequence })
+  const invocation = invoker({ actionRequestContext, logger })
+
+  if (!isBlocking) {
+    invocation.catch(logger.error.bind(logger))
+    return { statusCode: 202, body: { activationId } }
+  }
+
+  await invocation
+  const activation = activationStore.get(activationId)
+  return {
+    statusCode: activation.response.success ? 200 : 502,
+    headers: { 'x-openwhisk-activation-id': activationId },
+    body: isResultOnly ? activation.response.result : activation
+  }
+}
+
+/**
+ * Serves the activation records, for OpenWhisk REST API activations requests.
+ *
+ * @param {object} params the parameters
+ * @param {Request} params.req the http request
+ * @param {Array<string>} params.resourcePath the path after the activations resource ([activationId, logs|result])
+ * @returns {ActionResponse|undefined} the response, or undefined if the activation does not exist
+ */
+function serveActivations ({ req, resourcePath }) {
+  const [activationId, detail, ...restofPath] = resourcePath
+  if (req.method.toLowerCase() !== 'get') {
+    return { statusCode: 405, body: { error: `The ${req.method} method is not supported for activations, only GET is.` } }
+  }
+
+  if (!activationId) {
+    const { name, docs, count } = req.query ?? {}
+    // the numeric query parameters are integers, and the limit is at least 1
+    const numbers = {}
+    for (const [key, min] of [['skip', 0], ['limit', 1], ['since', 0], ['upto', 0]]) {
+      const value = req.query?.[key]
+      if (value === undefined) {
+        continue
+      }
+      if (!/^\d+$/.test(value) || Number(value) < min) {
+        return { statusCode: 400, body: { error: `The ${key} parameter must be an integer of at least ${min}.` } }
+      }
+      numbers[key] = Number(value)
+    }
+
+    // the count is the number of all the matching activations, regardless of skip and limit
+    if (count === 'true') {
+      return { statusCode: 200, body: { activations: activationStore.count({ name, since: numbers.since, upto: numbers.upto }) } }
+    }
+    const activations = activationStore.list({ name, ...numbers })
+    // like OpenWhisk, the list only has the summary of each activation, unless the docs are requested
+    const body = (docs === 'true')
+      ? activations
+      : activations.map(({ response, logs, params, ...summary }) => summary)
+    return { statusCode: 200, body }
+  }
+
+  const activation = activationStore.get(activationId)
+  if (!activation || restofPath.length > 0) {
+    return
+  }
+
+  switch (detail) {
+    case undefined:
+      return { statusCode: 200, body: activation }
+    case 'logs':
+      return { statusCode: 200, body: { logs: activation.logs } }
+    case 'result':
+      return { statusCode: 200, body: activation.response }
+  }
+}
+
+/**
+ * Fires a trigger for an OpenWhisk REST API trigger request.
+ *
+ * @param {object} params the parameters
+ * @param {Request} params.req the http request
+ * @param {Array<string>} params.resourcePath the path after the triggers resource ([trigger])
+ * @param {object} params.actionConfig the action configuration
+ * @param {string} params.distFolder the dist folder (contains built action source)
+ * @param {Function} params.actionLoader function that will load an action
+ * @param {object} params.runOptions the run options
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse|undefined} the response, or undefined if the trigger does not exist
+ */
+function serveTriggers ({ req, resourcePath, actionConfig, distFolder, actionLoader, runOptions, logger }) {
+  const [triggerName, ...restofPath] = resourcePath
+  if (!findTrigger(actionConfig, triggerName) || restofPath.length > 0) {
+    return
+  }
+
+  if (req.method.toLowerCase() !== 'post') {
+    return { statusCode: 405, body: { error: `The ${req.method} method is not supported for triggers, only POST (fire) is.` } }
+  }
+
+  const payload = createActionParametersFromBody({ req })
+  const activation = fireTrigger({ triggerName, payload, actionConfig, distFolder, actionLoader, runOptions, logger })
+  // like OpenWhisk, a trigger without rules is not activated
+  return activation
+    ? { statusCode: 202, body: activation }
+    : { statusCode: 204, body: '' }
+}
+
+/**
+ * Fires a trigger, like OpenWhisk does: each rule of the trigger invokes its action (or sequence), with
+ * the trigger parameters (its inputs, the alarm payload, then the fired payload) over the action inputs.
+ * The actions are invoked without waiting for them. The trigger has its own activation record, which lists
+ * the activation of each rule (in its logs), and the rule activations record it as their cause.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.triggerName the trigger name
+ * @param {object} [params.payload] the payload the trigger is fired with
+ * @param {object} params.actionConfig the action configuration
+ * @param {string} params.distFolder the dist folder (contains built action source)
+ * @param {Function} [params.actionLoader] function that will load an action
+ * @param {object} [params.runOptions] the run options
+ * @param {object} params.logger the logger object
+ * @returns {{activationId: string}|undefined} the trigger activation id, or undefined if the trigger has no rules
+ */
+function fireTrigger ({ triggerName, payload = {}, actionConfig, distFolder, actionLoader = defaultActionLoader, runOptions = {}, logger }) {
+  const rules = findTriggerRules(actionConfig, triggerName)
+  if (rules.length === 0) {
+    logger.info(`trigger ${triggerName} has no rules, it is not activated`)
+    return
+  }
+
+  const namespace = process.env.AIO_RUNTIME_NAMESPACE ?? '_'
+  const trigger = findTrigger(actionConfig, triggerName)
+  const activationId = generateActivationId()
+  const start = Date.now()
+  const params = {
+    ...interpolateInputs(trigger?.inputs),
+    ...(alarmFeed(trigger) ? alarmPayload(trigger.inputs) : {}),
+    ...payload
+  }
+
+  const ruleActivations = rules.map(({ ruleName, packageName, actionName }) => {
+    const action = actionConfig[packageName].actions?.[actionName]
+    const sequence = actionConfig[packageName].sequences?.[actionName]
+    const ruleActivation = { rule: `${namespace}/${ruleName}`, action: `${namespace}/${packageName}/${actionName}` }
+    if (!action && !sequence) {
+      logger.error(`Rule ${ruleName}: the action ${packageName}/${actionName} does not exist.`)
+      return { statusCode: 1, success: false, ...ruleActivation, error: 'The requested resource does not exist.' }
+    }
+
+    const actionRequestContext = {
+      activationId: generateActivationId(),
+      cause: activationId,
+      packageName,
+      contextItem: sequence ?? action,
+      contextItemName: actionName,
+      contextItemParams: { ...interpolateInputs(action?.inputs), ...params },
+      actionConfig,
+      distFolder,
+      contextActionLoader: actionLoader,
+      runOptions
+    }
+    logger.info(`rule ${ruleName} invokes ${packageName}/${actionName}`)
+    const invoker = invokerFor({ action, sequence })
+    invoker({ actionRequestContext, logger }).catch(logger.error.bind(logger))
+    return { statusCode: 0, success: true, activationId: actionRequestContext.activationId, ...ruleActivation }
+  })
+
+  activationStore.add(createActivationRecord({
+    activationId,
+    actionName: triggerName,
+    start,
+    end: Date.now(),
+    activationResponse: { status: 'success', statusCode: 0, success: true, result: params },
+    params,
+    logs: ruleActivations.map(ruleActivation => JSON.stringify(ruleActivation))
+  }))
+  return { activationId }
 }
 
 /**
  * Invoke a sequence.
+ * Like OpenWhisk, the sequence has its own activation record, which lists the activation ids
+ * of its components (in its logs), and the components record the sequence activation id as their cause.
+ * A component is an action or a sequence (nested), of the same package, another package (package/action),
+ * or fully qualified (/namespace/package/action).
  *
  * @param {object} params the parameters
  * @param {ActionRequestContext} params.actionRequestContext the ActionRequestContext object
@@ -276,64 +821,225 @@ async function serveNonWebAction (req, res, actionConfig, distFolder) {
  * @returns {ActionResponse} the action response object
  */
 async function invokeSequence ({ actionRequestContext, logger }) {
-  const { distFolder, contextActionLoader, contextItem: sequence, contextItemParams: sequenceParams, actionConfig, packageName } = actionRequestContext
-  const actions = sequence?.actions?.split(',') ?? []
+  const { activationId = generateActivationId(), cause, distFolder, contextActionLoader, runOptions, contextItem: sequence, contextItemName: sequenceName, contextItemParams: sequenceParams, actionConfig, packageName, enclosingSequences = [] } = actionRequestContext
+  const componentNames = sequenceComponentNames(sequence)
+  const sequencePath = [...enclosingSequences, `${packageName}/${sequenceName}`]
   logger.info('actions to call', sequence?.actions)
 
-  // for the first action, we pass in the sequence params
-  // subsequent actions get the last action's response as params (plus select params)
+  // the first component gets the sequence params, and each next component gets
+  // the result of the previous one (the web request metadata is not passed on), over its own inputs
   let lastActionResponse = null
+  const componentActivationIds = []
+  const start = Date.now()
+
+  for (let i = 0; i < componentNames.length; i++) {
+    const componentName = componentNames[i]
+    const component = resolveComponent({ actionConfig, componentName, packageName, namespace: process.env.AIO_RUNTIME_NAMESPACE })
+    const contextItem = component?.action ?? component?.sequence
+    const actionParams = {
+      ...interpolateInputs(component?.action?.inputs),
+      ...((i === 0) ? sequenceParams : lastActionResponse.activationResponse.result)
+    }
 
-  for (let i = 0; i < actions.length; i++) {
-    const actionName = actions[i].trim()
-    const action = actionConfig?.[packageName]?.actions[actionName]
-    const actionParams = (i === 0)
-      ? sequenceParams
-      : {
-          __ow_headers: sequenceParams.__ow_headers,
-          __ow_method: sequenceParams.__ow_method,
-          ...action?.inputs,
-          ...lastActionResponse
-        }
-
-    const context = { distFolder, contextActionLoader, packageName, contextItem: action, contextItemName: actionName, contextItemParams: actionParams }
-    if (action) {
-      logger.info('calling action', actionName)
-      lastActionResponse = await invokeAction({ actionRequestContext: context, logger })
-      const isError = lastActionResponse.statusCode >= 400
-      logger.debug('action response for', actionName, JSON.stringify(lastActionResponse, null, 2))
-      // we short circuit the actions if the status code is an error
-      if (isError) {
-        break
-      }
-    } else {
-      logger.error(`Sequence component ${actionName} does not exist.`)
+    if (!component) {
+      logger.error(`Sequence component ${componentName} does not exist.`)
       lastActionResponse = { statusCode: 400, body: { error: 'Sequence component does not exist.' } }
       break
     }
+    if (sequencePath.includes(`${component.packageName}/${component.name}`)) {
+      logger.error(`Sequence component ${componentName} refers to an enclosing sequence.`)
+      lastActionResponse = { statusCode: 400, body: { error: 'Sequence may not refer to itself.' } }
+      break
+    }
+
+    const context = {
+      cause: activationId,
+      distFolder,
+      contextActionLoader,
+      runOptions,
+      actionConfig,
+      enclosingSequences: sequencePath,
+      compositionSteps: actionRequestContext.compositionSteps,
+      packageName: component.packageName,
+      contextItem,
+      contextItemName: component.name,
+      contextItemParams: actionParams
+    }
+    logger.info('calling action', componentName)
+    const invoker = invokerFor(component)
+    lastActionResponse = await invoker({ actionRequestContext: context, logger })
+    componentActivationIds.push(lastActionResponse.activationId)
+    logger.debug('action response for', componentName, JSON.stringify(lastActionResponse, null, 2))
+    // the sequence stops at the first component that fails (an error result, or an action
+    // developer error), a result with an error status code (without an error property) is passed on
+    if (!lastActionResponse.activationResponse.success) {
+      break
+    }
+  }
+
+  if (!lastActionResponse) {
+    logger.error(`Sequence ${sequenceName} has no components.`)
+    lastActionResponse = { statusCode: 400, body: { error: 'Sequence has no components.' } }
   }
 
-  return lastActionResponse
+  const activationResponse = activationResponseFromActionResponse(lastActionResponse)
+  activationStore.add(createActivationRecord({
+    activationId,
+    cause,
+    packageName,
+    actionName: sequenceName,
+    kind: 'sequence',
+    start,
+    end: Date.now(),
+    activationResponse,
+    params: sequenceParams,
+    logs: componentActivationIds
+  }))
+
+  return {
+    ...lastActionResponse,
+    activationId,
+    activationResponse
+  }
 }
 
 /**
- * Load the action function based on the context.
+ * Invoke a conductor action, which runs a dynamic composition: the conductor action returns
+ * the next component to run (action), its parameters (params), and the state to keep (state).
+ * The conductor action is invoked again with the component result, merged with the state,
+ * until it returns no action: its params are then the result of the composition.
+ * Like a sequence, the composition has its own activation, which lists the activation ids of
+ * the conductor and component invocations (in its logs). The component names are `package/action`,
+ * `action` (in the default package), or fully qualified.
+ *
+ * @param {object} params the parameters
+ * @param {ActionRequestContext} params.actionRequestContext the ActionRequestContext object
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse} the action response object
+ */
+async function invokeConductor ({ actionRequestContext, logger }) {
+  const { activationId = generateActivationId(), cause, actionConfig, packageName, contextItem: conductor, contextItemName: conductorName, contextItemParams: params } = actionRequestContext
+  // the count is shared by the nested compositions, so that a composition that runs itself stops
+  const compositionSteps = actionRequestContext.compositionSteps ?? { count: 0 }
+  const stepActivationIds = []
+  const start = Date.now()
+
+  // the steps are invoked in the context of the composition, with its activation as their cause
+  const invokeStep = async ({ invoker, ...stepContext }) => {
+    const context = { ...actionRequestContext, activationId: undefined, cause: activationId, compositionSteps, ...stepContext }
+    const response = await invoker({ actionRequestContext: context, logger })
+    stepActivationIds.push(response.activationId)
+    return response
+  }
+
+  let conductorParams = params
+  let compositionResponse = null
+  while (!compositionResponse) {
+    const conductorResponse = await invokeStep({ invoker: invokeAction, packageName, contextItem: conductor, contextItemName: conductorName, contextItemParams: conductorParams })
+    const { action: componentName, params: componentParams, state } = conductorResponse.activationResponse.result
+    if (!conductorResponse.activationResponse.success) {
+      compositionResponse = conductorResponse
+    } else if (componentName === undefined) {
+      compositionResponse = actionResponseFromResult(componentParams ?? conductorResponse.activationResponse.result)
+    } else if (typeof componentName !== 'string') {
+      compositionResponse = compositionErrorResponse({ message: `Failed to parse action name from json value ${JSON.stringify(componentName)} during composition.`, logger })
+    } else {
+      const component = resolveComponent({ actionConfig, componentName, packageName: DEFAULT_PACKAGE, namespace: process.env.AIO_RUNTIME_NAMESPACE })
+      if (!component) {
+        compositionResponse = compositionErrorResponse({ message: `Failed to resolve action with name '${componentName}' during composition.`, logger })
+      } else if (++compositionSteps.count > MAX_COMPOSITION_ACTIONS) {
+        compositionResponse = compositionErrorResponse({ message: 'Too many actions in the composition.', logger })
+      } else {
+        logger.info('calling action', componentName)
+        const componentResponse = await invokeStep({
+          invoker: invokerFor(component),
+          packageName: component.packageName,
+          contextItem: component.action ?? component.sequence,
+          contextItemName: component.name,
+          contextItemParams: { ...interpolateInputs(component.action?.inputs), ...componentParams }
+        })
+        // the conductor action gets the component result (even an error), and its state
+        conductorParams = { ...interpolateInputs(conductor.inputs), ...componentResponse.activationResponse.result, ...state }
+      }
+    }
+  }
+
+  const activationResponse = activationResponseFromActionResponse(compositionResponse)
+  activationStore.add(createActivationRecord({
+    activationId,
+    cause,
+    packageName,
+    actionName: conductorName,
+    kind: conductor.runtime,
+    start,
+    end: Date.now(),
+    activationResponse,
+    params,
+    logs: stepActivationIds
+  }))
+
+  return {
+    ...compositionResponse,
+    activationId,
+    activationResponse
+  }
+}
+
+/**
+ * Creates the action response (an application error) for a composition that cannot go on.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.message the Runtime error message
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse} the action response
+ */
+function compositionErrorResponse ({ message, logger }) {
+  logger.error(message)
+  return {
+    statusCode: 400,
+    body: { error: message },
+    activationResponse: {
+      status: 'application error',
+      statusCode: 1,
+      success: false,
+      result: { error: message }
+    }
+  }
+}
+
+/**
+ * Gets the path to the built bundle of an action.
  *
  * @param {object} params the parameters
  * @param {string} params.distFolder the dist folder
  * @param {string} params.packageName the package name
  * @param {string} params.actionName the action name
- * @returns {object} the action function
+ * @returns {string} the path to the action bundle
  */
-async function defaultActionLoader ({ distFolder, packageName, actionName }) {
+function actionBundlePath ({ distFolder, packageName, actionName }) {
   const actionFolder = path.join(distFolder, packageName, actionName)
-  const actionPath = `${actionFolder}-temp/index.js`
+  return `${actionFolder}-temp/index.js`
+}
+
+/**
+ * Load the action function based on the context.
+ * It is called on cold starts only, so the action module is always reloaded from its (latest) bundle.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.distFolder the dist folder
+ * @param {string} params.packageName the package name
+ * @param {string} params.actionName the action name
+ * @param {string} [params.entryPoint] the name of the function that the action bundle exports (main by default)
+ * @returns {Function|undefined} the action function, or undefined if the action bundle does not export it
+ */
+async function defaultActionLoader ({ distFolder, packageName, actionName, entryPoint }) {
+  const actionPath = actionBundlePath({ distFolder, packageName, actionName })
   delete require.cache[actionPath]
-  return require(actionPath)?.main
+  return findEntryPointFunction(require(actionPath), entryPoint)
 }
 
 /**
- * Invoke an action.
+ * Invoke an action, and record its activation.
  *
  * @param {object} params the parameters
  * @param {ActionRequestContext} params.actionRequestContext the ActionRequestContext object
@@ -341,105 +1047,344 @@ async function defaultActionLoader ({ distFolder, packageName, actionName }) {
  * @returns {ActionResponse} the action response
  */
 async function invokeAction ({ actionRequestContext, logger }) {
-  const { distFolder, packageName, contextActionLoader, contextItem: action, contextItemName: actionName, contextItemParams: params } = actionRequestContext
+  const { activationId = generateActivationId(), cause, packageName, contextItem: action, contextItemName: actionName, contextItemParams: params } = actionRequestContext
+
+  const start = Date.now()
+  let initTime
+  // the action output (stdout, stderr) is captured as the activation logs, the dev server logger output is not
+  const logs = []
+  const captureLogs = async (fn) => (await captureActionLogs({ activationId, actionName, logs }, fn)).result
+  const actionResponse = await runAction({ actionRequestContext, activationId, logger, captureLogs, onColdStart: (time) => { initTime = time } })
+  const activationResponse = activationResponseFromActionResponse(actionResponse)
+  if (initTime !== undefined) {
+    logger.info(`${actionName} activation ${activationId} was a cold start (init ${initTime}ms)`)
+  }
+
+  activationStore.add(createActivationRecord({
+    activationId,
+    cause,
+    packageName,
+    actionName,
+    kind: action?.runtime,
+    start,
+    end: Date.now(),
+    activationResponse,
+    params,
+    logs,
+    initTime
+  }))
+
+  return {
+    ...actionResponse,
+    activationId,
+    activationResponse
+  }
+}
+
+/**
+ * Run an action, in-process (or in its own process, when runOptions.isolate is set).
+ * The action runs in the warm container of its last activation if there is one,
+ * otherwise it is a cold start: the action is loaded in a new container.
+ *
+ * @param {object} params the parameters
+ * @param {ActionRequestContext} params.actionRequestContext the ActionRequestContext object
+ * @param {string} params.activationId the activation id
+ * @param {object} params.logger the logger object
+ * @param {Function} params.captureLogs runs a function, and captures its output as the activation logs
+ * @param {Function} params.onColdStart called with the time it took to load the action (ms), on a cold start
+ * @returns {ActionResponse} the action response
+ */
+async function runAction ({ actionRequestContext, activationId, logger, captureLogs, onColdStart }) {
+  const { distFolder, packageName, contextActionLoader, runOptions, contextItem: action, contextItemName: actionName, contextItemParams: params } = actionRequestContext
   // check if action is protected
   if (action?.annotations?.['require-adobe-auth']) {
-    // http header keys are case-insensitive
-    const owHeaders = Object.keys(params.__ow_headers ?? {})
-      .reduce((obj, header) => {
-        obj[header.toLowerCase()] = params.__ow_headers[header]
-        return obj
-      }, {})
-
-    const requiredAuthHeaders = ['authorization', 'x-gw-ims-org-id']
-    for (const headerKey of requiredAuthHeaders) {
-      if (!owHeaders?.[headerKey]) {
-        return {
-          statusCode: 401,
-          body: { error: `cannot authorize request, reason: missing ${headerKey} header` }
-        }
-      }
+    const authError = checkAdobeAuth({ params, localIms: runOptions?.localIms })
+    if (authError) {
+      return authError
     }
   }
-  // generate an activationID just like openwhisk
-  process.env.__OW_ACTIVATION_ID = crypto.randomBytes(16).toString('hex')
 
-  let actionFunction
-  try {
-    actionFunction = await contextActionLoader({ distFolder, packageName, actionName })
-  } catch (e) {
-    const message = `${actionName} action not found, or does not export main`
-    logger.error(message)
-    return {
-      statusCode: 400,
-      body: { error: `Response is not valid 'message/http'. ${message}` }
-    }
+  if (runOptions?.isolate) {
+    return runIsolated({ actionRequestContext, activationId, logger, captureLogs, onColdStart })
   }
 
-  if (actionFunction) {
+  process.env.__OW_ACTIVATION_ID = activationId
+
+  const containerKey = `${packageName}/${actionName}`
+  const version = bundleVersion(actionBundlePath({ distFolder, packageName, actionName }))
+  let container = runOptions?.cold ? undefined : actionContainers.acquire(containerKey, version)
+
+  if (!container) {
+    const initStart = Date.now()
+    const entryPoint = actionEntryPoint(action)
+    let actionFunction
     try {
-      process.chdir(path.dirname(action.function))
-      process.env.__OW_ACTION_NAME = actionName
-      const response = await actionFunction(params)
-      delete process.env.__OW_ACTION_NAME
-
-      let statusCode, headers, body
-
-      if (response) {
-        headers = response.headers
-        /* short-circuit: if there is an error property in the dictionary, then we only return the error contents
-           e.g.
-              {
-                error: {
-                  statusCode: 400,
-                  body: {
-                    error: 'some error message'
-                  }
-                }
-              }
-        */
-        if (response.error) {
-          statusCode = response.error.statusCode
-          body = response.error.body
-        } else {
-          statusCode = response.statusCode
-          body = response.body
-        }
-      } else { // no response data
-        statusCode = 204
-        body = ''
-      }
+      actionFunction = await captureLogs(() => contextActionLoader({ distFolder, packageName, actionName, entryPoint }))
+    } catch (e) {
+      return actionLoadErrorResponse({ actionName, reason: `could not be loaded: ${e.message}`, logger })
+    }
+
+    if (!actionFunction) {
+      return actionLoadErrorResponse({ actionName, reason: missingEntryPointMessage(entryPoint), logger })
+    }
+
+    // the action module is loaded in the dev server process, it has nothing to stop
+    container = { version, actionFunction, destroy: () => {} }
+    onColdStart(Date.now() - initStart)
+  }
+
+  try {
+    const limits = getActionLimits(action)
+    process.chdir(path.dirname(action.function))
+    process.env.__OW_ACTION_NAME = actionName
+    process.env.__OW_DEADLINE = `${Date.now() + limits.timeout}`
+    const { response, limitError } = await runWithLimits({ limits, actionName, logger }, () => captureLogs(() => container.actionFunction(params)))
+    delete process.env.__OW_ACTION_NAME
+    delete process.env.__OW_DEADLINE
+
+    if (limitError) {
+      return limitErrorResponse({ limitError, logger })
+    }
+    releaseContainer({ runOptions, containerKey, container })
+    return actionResponseFromResult(response)
+  } catch (e) {
+    releaseContainer({ runOptions, containerKey, container })
+    return actionExceptionResponse({ error: e, logger })
+  }
+}
 
-      statusCode = statusCode || 200 // this is the OW default if omitted
-      body = body || ''
-      const isError = statusCode >= 400
-      const isObject = typeof response === 'object' && !Array.isArray(response)
+/**
+ * Checks the request of an action with the require-adobe-auth annotation: the authorization and
+ * x-gw-ims-org-id headers must be set. With the local IMS stand-in (runOptions.localIms), the token
+ * is validated as well.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.params the action parameters
+ * @param {object} [params.localIms] the local IMS stand-in (its publicKey validates the tokens)
+ * @returns {ActionResponse|undefined} the error response if not authorized, undefined otherwise
+ */
+function checkAdobeAuth ({ params, localIms }) {
+  // http header keys are case-insensitive
+  const owHeaders = Object.keys(params.__ow_headers ?? {})
+    .reduce((obj, header) => {
+      obj[header.toLowerCase()] = params.__ow_headers[header]
+      return obj
+    }, {})
 
+  const requiredAuthHeaders = ['authorization', 'x-gw-ims-org-id']
+  for (const headerKey of requiredAuthHeaders) {
+    if (!owHeaders?.[headerKey]) {
       return {
-        ...(isObject && !isError ? response : {}), // pass all the other properties as well if an object, and not an error
-        headers,
-        statusCode,
-        body
+        statusCode: 401,
+        body: { error: `cannot authorize request, reason: missing ${headerKey} header` }
       }
-    } catch (e) {
-      const statusCode = 400
-      logger.error(e) // log the stacktrace
+    }
+  }
 
-      return {
-        statusCode,
-        body: { error: 'Response is not valid \'message/http\'.' }
+  if (localIms) {
+    return validateToken({ publicKey: localIms.publicKey, authorization: owHeaders.authorization, orgId: owHeaders['x-gw-ims-org-id'] })
+  }
+}
+
+/**
+ * Run an action in its own process, with its own working directory and environment,
+ * so concurrent activations do not share (or race on) process state, and a crashing action
+ * does not take down the dev server. The action process is killed when the action exceeds its limits.
+ *
+ * @param {object} params the parameters
+ * @param {ActionRequestContext} params.actionRequestContext the ActionRequestContext object
+ * @param {string} params.activationId the activation id
+ * @param {object} params.logger the logger object
+ * @param {Function} params.captureLogs runs a function, and captures its output as the activation logs
+ * @param {Function} params.onColdStart called with the time it took to load the action (ms), on a cold start
+ * @returns {ActionResponse} the action response
+ */
+async function runIsolated ({ actionRequestContext, activationId, logger, captureLogs, onColdStart }) {
+  const { distFolder, packageName, runOptions, contextItem: action, contextItemName: actionName, contextItemParams: params } = actionRequestContext
+  const limits = getActionLimits(action)
+  const containerKey = `${packageName}/${actionName}`
+  const actionPath = actionBundlePath({ distFolder, packageName, actionName })
+  const version = bundleVersion(actionPath)
+
+  const container = (!runOptions?.cold && actionContainers.acquire(containerKey, version)) ||
+    new ActionProcess({ actionPath, entryPoint: actionEntryPoint(action), version, cwd: path.dirname(action.function), memorySize: limits.memorySize })
+
+  try {
+    // the memory limit is enforced by the action process heap size
+    const { response, limitError } = await runWithLimits({ limits, actionName, logger, memoryLimitMode: 'off' }, async (signal) => {
+      const env = {
+        __OW_ACTIVATION_ID: activationId,
+        __OW_ACTION_NAME: actionName,
+        __OW_DEADLINE: `${Date.now() + limits.timeout}`
+      }
+      const { response, initTime } = await captureLogs(() => container.run({ env, params, signal }))
+      if (initTime !== undefined) {
+        onColdStart(initTime)
       }
+      return response
+    })
+
+    if (limitError) {
+      container.destroy()
+      return limitErrorResponse({ limitError, logger })
+    }
+    releaseContainer({ runOptions, containerKey, container })
+    return actionResponseFromResult(response)
+  } catch (e) {
+    if (e instanceof ActionProcessError) {
+      // the action threw, its process can still be reused
+      releaseContainer({ runOptions, containerKey, container })
+      return actionExceptionResponse({ error: e, logger })
     }
+
+    container.destroy()
+    if (e instanceof ActionMemoryError) {
+      return limitErrorResponse({ limitError: MEMORY_LIMIT_ERROR, logger })
+    }
+    if (e instanceof ActionLoadError) {
+      return actionLoadErrorResponse({ actionName, reason: e.message, logger })
+    }
+    return actionExceptionResponse({ error: e, logger })
+  }
+}
+
+/**
+ * Keeps the container of an action warm for its next activation, unless cold starts are forced.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.runOptions the run options
+ * @param {string} params.containerKey the action key (package/action)
+ * @param {object} params.container the action container
+ */
+function releaseContainer ({ runOptions, containerKey, container }) {
+  if (runOptions?.cold) {
+    container.destroy()
   } else {
-    // this case the action returned an error object, so we should use it
-    const statusCode = 400
-    logger.error(`${actionName} action not found, or does not export main`)
-    const body = { error: 'Response is not valid \'message/http\'.' }
+    actionContainers.release(containerKey, container)
+  }
+}
 
-    return {
-      statusCode,
-      body
+/**
+ * Creates the action response from the result returned by an action.
+ *
+ * @param {*} response the result returned by the action
+ * @returns {ActionResponse} the action response
+ */
+function actionResponseFromResult (response) {
+  let statusCode, headers, body
+
+  if (response) {
+    headers = response.headers
+    /* short-circuit: if there is an error property in the dictionary, then we only return the error contents
+       e.g.
+          {
+            error: {
+              statusCode: 400,
+              body: {
+                error: 'some error message'
+              }
+            }
+          }
+    */
+    if (response.error) {
+      statusCode = response.error.statusCode
+      body = response.error.body
+    } else {
+      statusCode = response.statusCode
+      body = response.body
     }
+  } else { // no response data
+    statusCode = 204
+    body = ''
+  }
+
+  statusCode = statusCode || 200 // this is the OW default if omitted
+  body = body || ''
+  const isError = statusCode >= 400
+  const isObject = typeof response === 'object' && !Array.isArray(response)
+
+  const isApplicationError = isObject && response?.error !== undefined
+
+  return {
+    ...(isObject && !isError ? response : {}), // pass all the other properties as well if an object, and not an error
+    headers,
+    statusCode,
+    body,
+    activationResponse: {
+      status: isApplicationError ? 'application error' : 'success',
+      statusCode: isApplicationError ? 1 : 0,
+      success: !isApplicationError,
+      result: (isObject && response) || {}
+    }
+  }
+}
+
+/**
+ * Creates the action response for an action that could not be loaded, or that does not export its entry point function.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.actionName the action name
+ * @param {string} params.reason the reason the action could not be loaded
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse} the action response
+ */
+function actionLoadErrorResponse ({ actionName, reason, logger }) {
+  const message = `${actionName} action ${reason}`
+  logger.error(message)
+  return {
+    statusCode: 400,
+    body: { error: `Response is not valid 'message/http'. ${message}` },
+    activationResponse: developerErrorResponse(message)
+  }
+}
+
+/**
+ * Creates the action response (an action developer error, 502 Bad Gateway) for an action that exceeded its limits.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.limitError the Runtime error message
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse} the action response
+ */
+function limitErrorResponse ({ limitError, logger }) {
+  logger.error(limitError)
+  return {
+    statusCode: 502,
+    body: { error: limitError },
+    activationResponse: developerErrorResponse(limitError)
+  }
+}
+
+/**
+ * Creates the action response for an action that threw an exception.
+ *
+ * @param {object} params the parameters
+ * @param {Error} params.error the exception
+ * @param {object} params.logger the logger object
+ * @returns {ActionResponse} the action response
+ */
+function actionExceptionResponse ({ error, logger }) {
+  logger.error(error) // log the stacktrace
+  return {
+    statusCode: 400,
+    body: { error: 'Response is not valid \'message/http\'.' },
+    activationResponse: developerErrorResponse(`An error has occurred: ${error}`)
+  }
+}
+
+/**
+ * Creates the activation response for an action developer error
+ * (the action could not be loaded, or it threw an exception).
+ *
+ * @param {string} message the error message
+ * @returns {ActivationResponse} the activation response
+ */
+function developerErrorResponse (message) {
+  return {
+    status: 'action developer error',
+    statusCode: 2,
+    success: false,
+    result: { error: message }
   }
 }
 
@@ -480,31 +1425,26 @@ function httpStatusResponse ({ actionResponse, res, logger }) {
  * @param {object} actionConfig the action configuration
  * @param {string} distFolder the dist folder (contains built action source)
  * @param {Function} actionLoader function that will load an action
+ * @param {object} [runOptions] the run options
  * @returns {Response} the response
  */
-async function serveWebAction (req, res, actionConfig, distFolder, actionLoader = defaultActionLoader) {
+async function serveWebAction (req, res, actionConfig, distFolder, actionLoader = defaultActionLoader, runOptions = {}) {
   const url = req.params[0]
-  const [packageName, contextItemName, ...restofPath] = url.split('/')
-  const action = actionConfig[packageName]?.actions[contextItemName]
+  const { packageName, actionSegment, restofPath } = parseWebActionUrl(actionConfig, url)
+  // e.g. myaction.json/body/items is the action myaction, with the json extension and the body/items projection
+  const { name: contextItemName, extension } = parseWebActionName(actionSegment)
+  const action = actionConfig[packageName]?.actions?.[contextItemName]
   const sequence = actionConfig[packageName]?.sequences?.[contextItemName]
   const owPath = restofPath.join('/')
 
-  let invoker, contextItem
-
-  if (sequence) {
-    invoker = invokeSequence
-    contextItem = sequence
-  } else if (action) {
-    invoker = invokeAction
-    contextItem = action
-  } else {
-    invoker = null
-  }
+  const contextItem = sequence ?? action
+  const invoker = contextItem ? invokerFor({ action, sequence }) : null
 
   const actionLogger = coreLogger(`serveWebAction ${contextItemName}`, { level: process.env.LOG_LEVEL, provider: 'winston' })
   const contextItemParams = createActionParametersFromRequest({ req, contextItem, actionInputs: action?.inputs })
   contextItemParams.__ow_path = owPath
   actionLogger.debug('contextItemParams =', contextItemParams)
+  const protectedParams = findProtectedParameters({ req, contextItem, actionInputs: action?.inputs })
 
   const actionRequestContext = {
     packageName,
@@ -512,7 +1452,8 @@ async function serveWebAction (req, res, actionConfig, distFolder, actionLoader
     contextItemParams,
     actionConfig,
     distFolder,
-    contextActionLoader: actionLoader
+    contextActionLoader: actionLoader,
+    runOptions
   }
 
   if (invoker) {
@@ -521,9 +1462,40 @@ async function serveWebAction (req, res, actionConfig, distFolder, actionLoader
       return httpStatusResponse({ actionResponse, res, logger: actionLogger })
     }
 
+    // the response has CORS headers (the action response headers override them), and the OPTIONS
+    // (preflight) requests are answered without invoking the action, unless the action has custom options
+    if (!hasCustomOptions(contextItem)) {
+      res.set(corsHeaders(req.headers))
+      if (req.method.toLowerCase() === 'options') {
+        return httpStatusResponse({ actionResponse: { statusCode: 200, body: '' }, res, logger: actionLogger })
+      }
+    }
+
+    const authError = checkWhiskAuth(req, contextItem)
+    if (authError) {
+      return httpStatusResponse({ actionResponse: authError, res, logger: actionLogger })
+    }
+
+    if (protectedParams.length > 0) {
+      actionLogger.error(`The request parameters ${protectedParams.join(', ')} are reserved, or override final parameters of ${contextItemName}`)
+      const actionResponse = { statusCode: 400, body: { error: 'Request defines parameters that are not allowed (e.g., reserved properties).' } }
+      return httpStatusResponse({ actionResponse, res, logger: actionLogger })
+    }
+
     actionRequestContext.contextItem = contextItem
-    const actionResponse = await invoker({ actionRequestContext, logger: actionLogger })
+    let actionResponse = await invoker({ actionRequestContext, logger: actionLogger })
     actionLogger.debug('response for', contextItemName, JSON.stringify(actionResponse, null, 2))
+    // action developer errors are sent as is, whatever the extension
+    if (actionResponse.activationResponse.statusCode !== 2) {
+      actionResponse = {
+        activationId: actionResponse.activationId,
+        ...(extension === DEFAULT_WEB_EXTENSION
+          ? webHttpResponse(actionResponse)
+          : webExtensionResponse({ extension, projection: restofPath, activationResponse: actionResponse.activationResponse }))
+      }
+    }
+    // so the activation (and its logs) can be looked up
+    res.set('x-openwhisk-activation-id', actionResponse.activationId)
     return httpStatusResponse({ actionResponse, res, logger: actionLogger })
   } else {
     const actionResponse = { statusCode: 404, body: { error: 'The requested resource does not exist.' } }
@@ -562,8 +1534,99 @@ function interpolate (valueString, props) {
   return retStr
 }
 
+/**
+ * Interpolates the action inputs with the environment variables.
+ *
+ * @param {object} inputs the action inputs
+ * @returns {object} the interpolated inputs
+ */
+function interpolateInputs (inputs = {}) {
+  const params = {}
+  Object.entries(inputs).forEach(([key, value]) => {
+    params[key] = interpolate(value, process.env)
+  })
+  return params
+}
+
+/**
+ * Create action parameters for a non-web (OpenWhisk REST API) invocation.
+ * The JSON request body holds the parameters, which override the action inputs.
+ *
+ * @param {object} param the parameters
+ * @param {Request} param.req the request object
+ * @param {object} param.actionInputs the action inputs
+ * @returns {object} the action parameters
+ */
+function createActionParametersFromBody ({ req, actionInputs = {} }) {
+  const params = interpolateInputs(actionInputs)
+
+  const isJsonObject = typeof req.body === 'object' && req.body !== null && !Buffer.isBuffer(req.body) && !Array.isArray(req.body)
+  if (isJsonObject) {
+    Object.assign(params, req.body)
+  }
+
+  return params
+}
+
+/**
+ * Checks if the body of a web action request is parsed into parameters (a json object or form body,
+ * for a non-raw web action), instead of being passed as is in __ow_body.
+ *
+ * @param {object} param the parameters
+ * @param {Request} param.req the request object
+ * @param {object} param.contextItem the context item (action or sequence)
+ * @returns {boolean} true if the body is parsed into parameters
+ */
+function hasBodyParameters ({ req, contextItem }) {
+  const isParsedBody = req.is('application/json') || req.is('application/x-www-form-urlencoded')
+  const isObjectBody = typeof req.body === 'object' && !Array.isArray(req.body)
+  return BODY_METHODS.includes(req.method.toLowerCase()) && req.body !== null && !isRawWebAction(contextItem) && isParsedBody &&
+    (req.body === undefined || isObjectBody)
+}
+
+/**
+ * Gets the request parameters of a web action request that are not allowed:
+ * the reserved parameters (the request metadata), and, for an action with the final annotation,
+ * its inputs that have a value.
+ *
+ * @param {object} param the parameters
+ * @param {Request} param.req the request object
+ * @param {object} param.contextItem the context item (action or sequence)
+ * @param {object} param.actionInputs the action inputs
+ * @returns {Array<string>} the names of the request parameters that are not allowed
+ */
+function findProtectedParameters ({ req, contextItem, actionInputs = {} }) {
+  const finalInputs = (contextItem?.annotations?.final === true)
+    ? Object.keys(actionInputs).filter(key => actionInputs[key] !== null && actionInputs[key] !== undefined)
+    : []
+  const requestParams = [
+    ...Object.keys(queryParameters({ req, contextItem })),
+    ...Object.keys(req.apiPathParams ?? {}),
+    ...(hasBodyParameters({ req, contextItem }) ? Object.keys(req.body ?? {}) : [])
+  ]
+
+  return [...new Set(requestParams)]
+    .filter(key => RESERVED_PARAMETERS.includes(key) || finalInputs.includes(key))
+}
+
+/**
+ * Gets the query parameters of a web action request: the query of a raw web action
+ * is not parsed into parameters, it is passed as is in __ow_query.
+ *
+ * @param {object} param the parameters
+ * @param {Request} param.req the request object
+ * @param {object} param.contextItem the context item (action or sequence)
+ * @returns {object} the query parameters
+ */
+function queryParameters ({ req, contextItem }) {
+  return isRawWebAction(contextItem) ? {} : parseQueryParameters(rawQueryString(req))
+}
+
 /**
  * Create action parameters.
+ * The request parameters override the action inputs, the body parameters override
+ * the query parameters, and the request metadata (__ow_headers, __ow_method, ...) cannot be overridden.
+ * A raw web action gets its query string in __ow_query instead of the query parameters.
  *
  * @param {object} param the parameters
  * @param {Request} param.req the request object
@@ -573,41 +1636,28 @@ function interpolate (valueString, props) {
  */
 function createActionParametersFromRequest ({ req, contextItem, actionInputs = {} }) {
   // note we clone action so if env vars change between runs it is reflected - jm
-  const action = { inputs: {} }
-  Object.entries(actionInputs).forEach(([key, value]) => {
-    action.inputs[key] = interpolate(value, process.env)
-  })
-
-  const params = {
-    __ow_headers: {
-      ...req.headers,
-      'x-forwarded-for': '127.0.0.1'
-    },
-    __ow_query: req.query,
-    __ow_method: req.method.toLowerCase(),
-    ...req.query,
-    ...action.inputs
-  }
-
-  const isJson = req.is('application/json')
-  const isFormData = req.is('application/x-www-form-urlencoded')
-  const isRaw = isRawWebAction(contextItem)
-
-  if (params.__ow_method === 'post' && req.body !== null) {
-    if (isRaw) {
-      if (isFormData) {
-        params.__ow_body = new URLSearchParams(req.body).toString() // convert json back to query string
-      } else {
-        params.__ow_body = utils.bodyTransformToRaw(req.body)
-      }
-    } else if (isJson || isFormData) { // body is parsed by express middleware into json
-      Object.assign(params, req.body)
+  const params = interpolateInputs(actionInputs)
+  // the path parameters of an API Gateway route are parameters too
+  Object.assign(params, queryParameters({ req, contextItem }), req.apiPathParams)
+
+  const method = req.method.toLowerCase()
+  if (hasBodyParameters({ req, contextItem })) { // body is parsed by express middleware into json
+    Object.assign(params, req.body)
+  } else if (BODY_METHODS.includes(method) && req.body !== null) {
+    if (isRawWebAction(contextItem) && req.is('application/x-www-form-urlencoded')) {
+      params.__ow_body = new URLSearchParams(req.body).toString() // convert json back to query string
+    } else if (!isRawWebAction(contextItem) && req.is('application/json')) {
+      params.__ow_body = req.body // a json body that is not an object (an array, a string, ...) is not merged
     } else {
       params.__ow_body = utils.bodyTransformToRaw(req.body)
     }
   }
 
-  return params
+  return Object.assign(params, {
+    __ow_headers: createActionHeaders({ req }),
+    ...(isRawWebAction(contextItem) && { __ow_query: rawQueryString(req) }),
+    __ow_method: method
+  })
 }
 
 module.exports = {
@@ -618,9 +1668,14 @@ module.exports = {
   serveNonWebAction,
   httpStatusResponse,
   invokeAction,
+  invokeConductor,
   invokeSequence,
   statusCodeMessage,
   isRawWebAction,
   isWebAction,
-  createActionParametersFromRequest
+  applyPackageConfig,
+  secureWebActions,
+  createActionParametersFromRequest,
+  createActionParametersFromBody,
+  fireTrigger
 }
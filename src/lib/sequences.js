@@ -0,0 +1,171 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// the Runtime maximum number of actions in a sequence (including the actions of its nested sequences)
+const MAX_SEQUENCE_ACTIONS = 50
+// the actions that are not in a package are deployed from the reserved 'default' package
+const DEFAULT_PACKAGE = 'default'
+// the namespace of the credentials, in a fully qualified name
+const DEFAULT_NAMESPACE = '_'
+
+/**
+ * @typedef {object} SequenceComponent
+ * @property {string} packageName the package of the component
+ * @property {string} name the name of the component
+ * @property {object} [action] the action object, if the component is an action
+ * @property {object} [sequence] the sequence object, if the component is a sequence
+ */
+
+/**
+ * Gets the component names of a sequence.
+ *
+ * @param {object} sequence the sequence object
+ * @returns {Array<string>} the component names
+ */
+function sequenceComponentNames (sequence) {
+  return (sequence?.actions?.split(',') ?? [])
+    .map(componentName => componentName.trim())
+    .filter(componentName => componentName.length > 0)
+}
+
+/**
+ * Parses the name of a sequence component:
+ * - `action` is in the package of the sequence
+ * - `package/action` is in the package (of the same namespace)
+ * - `/namespace/package/action` and `/namespace/action` (in the default package) are fully qualified
+ *
+ * @param {object} params the parameters
+ * @param {string} params.componentName the component name
+ * @param {string} params.packageName the package of the sequence
+ * @returns {object|undefined} the namespace (if fully qualified), packageName and name of the component,
+ * or undefined if the name is not valid
+ */
+function parseComponentName ({ componentName, packageName }) {
+  const isFullyQualified = componentName.startsWith('/')
+  const parts = (isFullyQualified ? componentName.substring(1) : componentName).split('/')
+  if (parts.some(part => part.length === 0)) {
+    return
+  }
+
+  if (isFullyQualified) {
+    const [namespace, ...rest] = parts
+    if (rest.length === 1) {
+      return { namespace, packageName: DEFAULT_PACKAGE, name: rest[0] }
+    }
+    if (rest.length === 2) {
+      return { namespace, packageName: rest[0], name: rest[1] }
+    }
+    return
+  }
+
+  if (parts.length === 1) {
+    return { packageName, name: parts[0] }
+  }
+  if (parts.length === 2) {
+    return { packageName: parts[0], name: parts[1] }
+  }
+}
+
+/**
+ * Checks if a namespace is the namespace of the app (the only one that is available locally).
+ *
+ * @param {string} namespace the namespace of a fully qualified name
+ * @param {string} appNamespace the namespace of the app
+ * @returns {boolean} true if it is the namespace of the app
+ */
+function isLocalNamespace (namespace, appNamespace) {
+  return namespace === undefined || namespace === DEFAULT_NAMESPACE || namespace === appNamespace
+}
+
+/**
+ * Resolves a sequence component to an action or a sequence of the app.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ * @param {string} params.componentName the component name
+ * @param {string} params.packageName the package of the sequence
+ * @param {string} [params.namespace] the namespace of the app
+ * @returns {SequenceComponent|undefined} the component, or undefined if it does not exist locally
+ */
+function resolveComponent ({ actionConfig, componentName, packageName, namespace }) {
+  const parsed = parseComponentName({ componentName, packageName })
+  if (!parsed || !isLocalNamespace(parsed.namespace, namespace)) {
+    return
+  }
+
+  const pkg = actionConfig?.[parsed.packageName]
+  const action = pkg?.actions?.[parsed.name]
+  const sequence = pkg?.sequences?.[parsed.name]
+  if (action || sequence) {
+    return { packageName: parsed.packageName, name: parsed.name, action, sequence }
+  }
+}
+
+/**
+ * Validates the components of a sequence, as they are validated when a sequence is deployed:
+ * each component must exist, a sequence may not refer to itself (through its nested sequences),
+ * and it may not have more than 50 actions.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ * @param {string} params.packageName the package of the sequence
+ * @param {string} params.sequenceName the sequence name
+ * @param {string} [params.namespace] the namespace of the app
+ * @returns {Array<string>} the errors, empty if the sequence is valid
+ */
+function validateSequence ({ actionConfig, packageName, sequenceName, namespace }) {
+  const errors = []
+  const sequence = actionConfig?.[packageName]?.sequences?.[sequenceName]
+
+  sequenceComponentNames(sequence).forEach(componentName => {
+    const parsed = parseComponentName({ componentName, packageName })
+    if (parsed && !isLocalNamespace(parsed.namespace, namespace)) {
+      errors.push(`Sequence component '${componentName}' is in another namespace, which is not available locally (sequence = '${sequenceName}')`)
+    } else if (!resolveComponent({ actionConfig, componentName, packageName, namespace })) {
+      errors.push(`Sequence component '${componentName}' does not exist (sequence = '${sequenceName}')`)
+    }
+  })
+
+  // counts the actions of a sequence, and of its nested sequences
+  const countActions = (seqPackageName, seq, ancestors) => {
+    let count = 0
+    for (const componentName of sequenceComponentNames(seq)) {
+      const component = resolveComponent({ actionConfig, componentName, packageName: seqPackageName, namespace })
+      if (!component?.sequence) {
+        count += component ? 1 : 0
+        continue
+      }
+      const key = `${component.packageName}/${component.name}`
+      if (ancestors.includes(key)) {
+        errors.push(`Sequence '${sequenceName}' may not refer to itself (through '${componentName}')`)
+        return Infinity
+      }
+      count += countActions(component.packageName, component.sequence, [...ancestors, key])
+    }
+    return count
+  }
+
+  const actionCount = countActions(packageName, sequence, [`${packageName}/${sequenceName}`])
+  if (actionCount > MAX_SEQUENCE_ACTIONS && actionCount !== Infinity) {
+    errors.push(`Sequence '${sequenceName}' has too many actions (${actionCount} > ${MAX_SEQUENCE_ACTIONS})`)
+  }
+  return [...new Set(errors)]
+}
+
+module.exports = {
+  DEFAULT_PACKAGE,
+  MAX_SEQUENCE_ACTIONS,
+  parseComponentName,
+  resolveComponent,
+  sequenceComponentNames,
+  validateSequence
+}
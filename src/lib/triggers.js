@@ -0,0 +1,273 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { nextCronTime, parseCronExpression } = require('./cron')
+
+const MS_PER_MINUTE = 60 * 1000
+// the longest delay of a timer (about 24.8 days), a later alarm is scheduled in several steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+// the feeds of the Runtime alarms package (/whisk.system/alarms)
+const ALARM_FEEDS = ['alarm', 'interval', 'once']
+
+/**
+ * @typedef {object} TriggerRule
+ * @property {string} ruleName the rule name
+ * @property {string} packageName the package of the rule (and of its action)
+ * @property {string} actionName the action (or sequence) name
+ */
+
+/**
+ * Finds a trigger of the manifest. The triggers are not in a package (they are
+ * in the namespace), whatever the package that defines them in the manifest.
+ *
+ * @param {object} actionConfig the action configuration
+ * @param {string} triggerName the trigger name
+ * @returns {object|undefined} the trigger, or undefined if it does not exist
+ */
+function findTrigger (actionConfig, triggerName) {
+  return Object.values(actionConfig ?? {})
+    .map(pkg => pkg?.triggers?.[triggerName])
+    .find(trigger => trigger)
+}
+
+/**
+ * Gets the action name of a rule: like the deployment, it is an action (or sequence) of the package of the rule,
+ * and a `package/action` name refers to the action of the package of the rule.
+ *
+ * @param {object} rule the rule
+ * @returns {string} the action name
+ */
+function ruleActionName (rule) {
+  return `${rule.action}`.split('/').pop()
+}
+
+/**
+ * Finds the rules of a trigger, in all the packages of the manifest.
+ *
+ * @param {object} actionConfig the action configuration
+ * @param {string} triggerName the trigger name
+ * @returns {Array<TriggerRule>} the rules
+ */
+function findTriggerRules (actionConfig, triggerName) {
+  return Object.entries(actionConfig ?? {}).flatMap(([packageName, pkg]) =>
+    Object.entries(pkg?.rules ?? {})
+      .filter(([, rule]) => rule?.trigger === triggerName && rule?.action)
+      .map(([ruleName, rule]) => ({ ruleName, packageName, actionName: ruleActionName(rule) }))
+  )
+}
+
+/**
+ * Gets the alarms feed of a trigger: `alarm` (cron), `interval` or `once`, for a trigger with the
+ * `/whisk.system/alarms/<feed>` feed.
+ *
+ * @param {object} trigger the trigger
+ * @returns {string|undefined} the alarms feed, or undefined if the trigger is not an alarm
+ */
+function alarmFeed (trigger) {
+  const match = `${trigger?.feed ?? ''}`.match(/^\/?whisk\.system\/alarms\/(\w+)$/)
+  return ALARM_FEEDS.includes(match?.[1]) ? match[1] : undefined
+}
+
+/**
+ * Parses a date of the alarms feed inputs (an ISO date, or ms since epoch).
+ *
+ * @param {string|number} [value] the date
+ * @returns {number|undefined} the date (ms since epoch), undefined if there is none, NaN if it is not valid
+ */
+function parseAlarmDate (value) {
+  if (value === undefined || value === null) {
+    return undefined
+  }
+  return new Date(typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : value).getTime()
+}
+
+/**
+ * Gets the payload of an alarm: the `trigger_payload` input (an object, or a JSON string).
+ *
+ * @param {object} inputs the trigger inputs
+ * @returns {object} the payload
+ */
+function alarmPayload (inputs = {}) {
+  const payload = inputs.trigger_payload
+  if (typeof payload === 'string') {
+    try {
+      return JSON.parse(payload)
+    } catch (e) {
+      return {}
+    }
+  }
+  return (typeof payload === 'object' && payload !== null) ? payload : {}
+}
+
+/**
+ * Validates the inputs of an alarm trigger, like the alarms feed does when the trigger is deployed.
+ *
+ * @param {string} triggerName the trigger name
+ * @param {object} trigger the trigger
+ * @returns {Array<string>} the errors, empty if the alarm is valid
+ */
+function validateAlarm (triggerName, trigger) {
+  const feed = alarmFeed(trigger)
+  const inputs = trigger.inputs ?? {}
+  const errors = []
+  const prefix = `Alarm trigger '${triggerName}'`
+
+  if (feed === 'alarm') {
+    try {
+      parseCronExpression(inputs.cron)
+    } catch (e) {
+      errors.push(`${prefix}: ${e.message}`)
+    }
+  } else if (feed === 'interval') {
+    if (!(Number.isInteger(Number(inputs.minutes)) && Number(inputs.minutes) > 0)) {
+      errors.push(`${prefix}: the minutes input must be a positive integer`)
+    }
+  } else if (feed === 'once' && !(parseAlarmDate(inputs.date) > 0)) {
+    errors.push(`${prefix}: the date input must be a date`)
+  }
+
+  ;['startDate', 'stopDate'].forEach(name => {
+    if (Number.isNaN(parseAlarmDate(inputs[name]))) {
+      errors.push(`${prefix}: the ${name} input must be a date`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Validates the triggers and rules of the manifest, like the deployment does: a rule must have a trigger
+ * and an action, which must be defined in the manifest (the action in the package of the rule), and
+ * the alarm triggers must have valid inputs.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ * @returns {Array<string>} the errors, empty if the triggers and rules are valid
+ */
+function validateTriggers ({ actionConfig }) {
+  const errors = []
+  Object.entries(actionConfig ?? {}).forEach(([packageName, pkg]) => {
+    Object.entries(pkg?.triggers ?? {}).forEach(([triggerName, trigger]) => {
+      if (trigger?.feed && !alarmFeed(trigger)) {
+        errors.push(`Trigger '${triggerName}' has the feed '${trigger.feed}', only the /whisk.system/alarms feeds (alarm, interval, once) are available locally`)
+      } else if (alarmFeed(trigger)) {
+        errors.push(...validateAlarm(triggerName, trigger))
+      }
+    })
+
+    Object.entries(pkg?.rules ?? {}).forEach(([ruleName, rule]) => {
+      if (!rule?.trigger || !rule?.action) {
+        errors.push(`Rule '${ruleName}' must have a trigger and an action`)
+        return
+      }
+      if (!findTrigger(actionConfig, rule.trigger)) {
+        errors.push(`Rule '${ruleName}': the trigger '${rule.trigger}' does not exist`)
+      }
+      const actionName = ruleActionName(rule)
+      if (!pkg.actions?.[actionName] && !pkg.sequences?.[actionName]) {
+        errors.push(`Rule '${ruleName}': the action '${rule.action}' does not exist in package '${packageName}'`)
+      }
+    })
+  })
+  return errors
+}
+
+/**
+ * Gets the next time an alarm trigger fires, after a time. The alarms do not fire before their startDate,
+ * or after their stopDate.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.trigger the alarm trigger
+ * @param {number} params.after the time (ms since epoch)
+ * @param {number} params.scheduledAt the time the alarm was scheduled (the start of an interval without startDate)
+ * @returns {number|undefined} the next time (ms since epoch), or undefined if it does not fire anymore
+ */
+function nextAlarmTime ({ trigger, after, scheduledAt }) {
+  const inputs = trigger.inputs ?? {}
+  const startDate = parseAlarmDate(inputs.startDate)
+  const stopDate = parseAlarmDate(inputs.stopDate)
+  let time
+
+  switch (alarmFeed(trigger)) {
+    case 'alarm':
+      // an alarm can fire at its startDate
+      time = nextCronTime(parseCronExpression(inputs.cron), startDate > after ? startDate - 1 : after)
+      break
+    case 'interval': {
+      const period = Number(inputs.minutes) * MS_PER_MINUTE
+      const start = startDate ?? scheduledAt
+      time = start + (Math.max(0, Math.floor((after - start) / period)) + 1) * period
+      break
+    }
+    default: // once
+      time = parseAlarmDate(inputs.date)
+      return time > after ? time : undefined
+  }
+  return (stopDate === undefined || time <= stopDate) ? time : undefined
+}
+
+/**
+ * Schedules the alarm triggers of the manifest on the local clock: each alarm fires its trigger
+ * (with its `trigger_payload`), then it is scheduled again. The alarms that are not valid are not scheduled.
+ *
+ * @param {object} params the parameters
+ * @param {object} params.actionConfig the action configuration
+ * @param {Function} params.fireTrigger fires a trigger: ({ triggerName }) => Promise
+ * @param {object} params.logger the logger object
+ * @returns {{alarms: Array<string>, stop: Function}} the names of the scheduled alarm triggers, and the function that stops them
+ */
+function scheduleAlarms ({ actionConfig, fireTrigger, logger }) {
+  const timers = new Map()
+  const alarms = []
+
+  const schedule = (triggerName, trigger, scheduledAt, after = Date.now()) => {
+    const time = nextAlarmTime({ trigger, after, scheduledAt })
+    if (time === undefined) {
+      logger.info(`alarm trigger ${triggerName} does not fire anymore`)
+      timers.delete(triggerName)
+      return
+    }
+    const delay = time - Date.now()
+    const timer = (delay > MAX_TIMER_DELAY)
+      ? setTimeout(() => schedule(triggerName, trigger, scheduledAt, after), MAX_TIMER_DELAY)
+      : setTimeout(() => {
+        logger.info(`alarm trigger ${triggerName} fired (${new Date(time).toISOString()})`)
+        fireTrigger({ triggerName }).catch(logger.error.bind(logger))
+        schedule(triggerName, trigger, scheduledAt, time)
+      }, Math.max(0, delay))
+    timers.set(triggerName, timer)
+  }
+
+  Object.values(actionConfig ?? {}).forEach(pkg => {
+    Object.entries(pkg?.triggers ?? {})
+      .filter(([triggerName, trigger]) => alarmFeed(trigger) && validateAlarm(triggerName, trigger).length === 0)
+      .forEach(([triggerName, trigger]) => {
+        alarms.push(triggerName)
+        schedule(triggerName, trigger, Date.now())
+      })
+  })
+
+  const stop = () => {
+    timers.forEach(timer => clearTimeout(timer))
+    timers.clear()
+  }
+  return { alarms, stop }
+}
+
+module.exports = {
+  alarmFeed,
+  alarmPayload,
+  findTrigger,
+  findTriggerRules,
+  nextAlarmTime,
+  scheduleAlarms,
+  validateTriggers
+}
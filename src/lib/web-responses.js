@@ -0,0 +1,251 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const DEFAULT_WEB_EXTENSION = 'http'
+// media types (other than text/*, and the +json and +xml ones) whose content is text
+const TEXT_APPLICATION_SUBTYPES = ['json', 'javascript', 'xml', 'x-www-form-urlencoded', 'graphql']
+const BINARY_TYPES = ['image', 'audio', 'video', 'font']
+const BASE64_REGEX = /^[A-Za-z0-9+/]*={0,2}$/
+// the CORS headers that Runtime adds to web action responses
+const CORS_ALLOW_METHODS = 'OPTIONS, GET, DELETE, POST, PUT, HEAD, PATCH'
+const CORS_DEFAULT_ALLOW_HEADERS = 'Authorization, Origin, X-Requested-With, Content-Type, Accept, User-Agent'
+
+/**
+ * Checks if a value is a JSON object (and not an array, or null).
+ *
+ * @param {*} value the value
+ * @returns {boolean} true if the value is a JSON object
+ */
+function isJsonObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Creates the response for a result that does not match the media type of the extension.
+ *
+ * @param {string} mediaType the media type of the extension
+ * @returns {object} the response (statusCode, body)
+ */
+function invalidMediaResponse (mediaType) {
+  return { statusCode: 400, body: { error: `Response is not valid '${mediaType}'.` } }
+}
+
+/**
+ * Creates a response that sends a string result with a media type.
+ *
+ * @param {string} mediaType the media type of the extension
+ * @returns {Function} the transcoder function (result => response)
+ */
+function stringResultAs (mediaType) {
+  return (result) => {
+    if (typeof result !== 'string') {
+      return invalidMediaResponse(mediaType)
+    }
+    return { statusCode: 200, headers: { 'Content-Type': mediaType }, body: result }
+  }
+}
+
+/**
+ * The web action extensions that Runtime supports (other than .http, which is the default),
+ * with the default projection of the result, and the function that turns the (projected) result into a response.
+ */
+const WEB_EXTENSIONS = {
+  json: {
+    defaultProjection: [],
+    transcode: (result) => {
+      if (typeof result !== 'object' || result === null) {
+        return invalidMediaResponse('application/json')
+      }
+      return { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: result }
+    }
+  },
+  html: {
+    defaultProjection: ['html'],
+    transcode: stringResultAs('text/html')
+  },
+  svg: {
+    defaultProjection: ['svg'],
+    transcode: stringResultAs('image/svg+xml')
+  },
+  text: {
+    defaultProjection: ['text'],
+    transcode: (result) => {
+      const body = (typeof result === 'object' && result !== null)
+        ? JSON.stringify(result, null, 2)
+        : `${result}`
+      return { statusCode: 200, headers: { 'Content-Type': 'text/plain' }, body }
+    }
+  }
+}
+
+/**
+ * Gets the media type of a content type, without its parameters (e.g. charset).
+ *
+ * @param {string} contentType the content type
+ * @returns {string} the media type, in lowercase
+ */
+function mediaTypeOf (contentType) {
+  return `${contentType}`.split(';')[0].trim().toLowerCase()
+}
+
+/**
+ * Checks if the content of a content type is json.
+ *
+ * @param {string} contentType the content type
+ * @returns {boolean} true for application/json, and the +json media types
+ */
+function isJsonContentType (contentType) {
+  const mediaType = mediaTypeOf(contentType)
+  return mediaType === 'application/json' || mediaType.endsWith('+json')
+}
+
+/**
+ * Checks if the content of a content type is binary. A web action must
+ * base64 encode a binary body, and it is decoded before it is sent.
+ *
+ * @param {string} contentType the content type
+ * @returns {boolean} true if the content is binary
+ */
+function isBinaryContentType (contentType) {
+  const [type, subtype = ''] = mediaTypeOf(contentType).split('/')
+  if (subtype.endsWith('+json') || subtype.endsWith('+xml')) {
+    return false
+  }
+  if (type === 'application') {
+    return !TEXT_APPLICATION_SUBTYPES.includes(subtype)
+  }
+  return BINARY_TYPES.includes(type)
+}
+
+/**
+ * Creates the response of a web action invoked with the http extension (or without extension),
+ * from the statusCode, headers and body of its result:
+ *
+ * - without a Content-Type header, it is inferred from the body: application/json for
+ *   an object or array, text/html otherwise
+ * - a body with a binary content type (e.g. image/png) must be base64 encoded, it is decoded
+ * - a body with a text content type is sent as a string
+ * - header values can be arrays, which are sent as multiple headers (e.g. Set-Cookie)
+ * - a response without body (e.g. a redirect with a Location header) is sent without content type
+ *
+ * @param {object} actionResponse the action response
+ * @param {number} actionResponse.statusCode the HTTP status code
+ * @param {object} [actionResponse.headers] the response headers
+ * @param {*} [actionResponse.body] the response body
+ * @returns {object} the response (statusCode, headers, body)
+ */
+function webHttpResponse ({ statusCode, headers = {}, body }) {
+  if (body === undefined || body === null || body === '') {
+    return { statusCode, headers, body: '' }
+  }
+
+  const contentTypeHeader = Object.keys(headers).find(header => header.toLowerCase() === 'content-type')
+  let contentType = contentTypeHeader && headers[contentTypeHeader]
+  if (!contentType) {
+    contentType = (typeof body === 'object') ? 'application/json' : 'text/html'
+    headers = { ...headers, 'Content-Type': contentType }
+  }
+
+  if (isBinaryContentType(contentType)) {
+    const base64Body = (typeof body === 'string') && body.replace(/\s/g, '')
+    if (!base64Body || !BASE64_REGEX.test(base64Body)) {
+      return { statusCode: 400, body: { error: 'Response is not valid \'message/http\'. The body of a binary content type must be base64 encoded.' } }
+    }
+    return { statusCode, headers, body: Buffer.from(base64Body, 'base64') }
+  }
+
+  if (isJsonContentType(contentType)) {
+    // express sends an object as JSON, but it would take a number body for a status code
+    if (typeof body !== 'string' && typeof body !== 'object') {
+      body = JSON.stringify(body)
+    }
+  } else if (typeof body !== 'string') {
+    body = (typeof body === 'object') ? JSON.stringify(body) : `${body}`
+  }
+  return { statusCode, headers, body }
+}
+
+/**
+ * Splits the action segment of a web action url into the action name, and its extension.
+ * For example `myaction.json` is the action `myaction`, with the `json` extension.
+ * Without a (known) extension, the extension is `http`.
+ *
+ * @param {string} actionSegment the action segment of the url
+ * @returns {object} the action name (name) and the extension (extension)
+ */
+function parseWebActionName (actionSegment = '') {
+  const match = actionSegment.match(/^(.+)\.(json|html|svg|text|http)$/)
+  if (!match) {
+    return { name: actionSegment, extension: DEFAULT_WEB_EXTENSION }
+  }
+  return { name: match[1], extension: match[2] }
+}
+
+/**
+ * Creates the response of a web action invoked with an extension other than `http`.
+ *
+ * The result is projected on the path after the action (for example
+ * `myaction.json/body/items` sends the `body.items` property of the result), or on the
+ * default projection of the extension. An application error projects the `error` property instead.
+ *
+ * @param {object} params the parameters
+ * @param {string} params.extension the web action extension (json, html, svg, text)
+ * @param {Array<string>} params.projection the path segments after the action
+ * @param {object} params.activationResponse the activation response
+ * @returns {object} the response (statusCode, headers, body)
+ */
+function webExtensionResponse ({ extension, projection, activationResponse }) {
+  const { defaultProjection, transcode } = WEB_EXTENSIONS[extension]
+  const fields = projection.filter(field => field.length > 0)
+
+  let resultPath
+  if (!activationResponse.success) {
+    resultPath = ['error']
+  } else if (fields.length > 0) {
+    resultPath = fields
+  } else {
+    resultPath = defaultProjection
+  }
+
+  const result = resultPath.reduce((value, field) => isJsonObject(value) ? value[field] : undefined, activationResponse.result)
+  if (result === undefined) {
+    return { statusCode: 404, body: { error: 'The requested property does not exist.' } }
+  }
+  return transcode(result)
+}
+
+/**
+ * Gets the CORS headers of a web action response (unless the action has
+ * the web-custom-options annotation): any origin and method, and the headers of the preflight request
+ * (Access-Control-Request-Headers) or the default ones.
+ *
+ * @param {object} [requestHeaders] the request headers (lowercase names)
+ * @returns {object} the CORS headers
+ */
+function corsHeaders (requestHeaders = {}) {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': CORS_ALLOW_METHODS,
+    'Access-Control-Allow-Headers': requestHeaders['access-control-request-headers'] ?? CORS_DEFAULT_ALLOW_HEADERS
+  }
+}
+
+module.exports = {
+  DEFAULT_WEB_EXTENSION,
+  WEB_EXTENSIONS,
+  corsHeaders,
+  isBinaryContentType,
+  isJsonContentType,
+  parseWebActionName,
+  webExtensionResponse,
+  webHttpResponse
+}
@@ -0,0 +1,29 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * A conductor action that runs the actions of its steps parameter, one after the other,
+ * until a step returns an error. The remaining steps are kept in its state.
+ *
+ * @param {object} params the params (the steps, or the result of the last step and the state)
+ * @returns {object} the next action and its params, or the result of the composition
+ */
+function main (params) {
+  const { $steps, steps, ...result } = params
+  const [action, ...remainingSteps] = $steps ?? steps ?? []
+  if (!action || result.error) {
+    return { params: result }
+  }
+  return { action, params: result, state: { $steps: remainingSteps } }
+}
+
+exports.main = main
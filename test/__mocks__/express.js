@@ -20,7 +20,14 @@ const staticMocks = {
 
 const instanceMocks = {
   use: jest.fn(),
-  all: jest.fn()
+  all: jest.fn(),
+  get: jest.fn(),
+  post: jest.fn(),
+  put: jest.fn(),
+  delete: jest.fn(),
+  patch: jest.fn(),
+  head: jest.fn(),
+  options: jest.fn()
 }
 
 const mockExpress = function () {
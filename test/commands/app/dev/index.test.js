@@ -25,11 +25,13 @@ const mockFS = require('fs-extra')
 const mockConfig = require('@adobe/aio-lib-core-config')
 const mockHttps = require('node:https')
 const { createWatcher } = require('../../../../src/lib/actions-watcher')
+const { getOrCreateSigningKeys } = require('../../../../src/lib/local-ims')
 
 jest.mock('open', () => jest.fn())
 jest.mock('../../../../src/lib/run-dev')
 jest.mock('../../../../src/lib/app-helper')
 jest.mock('../../../../src/lib/actions-watcher')
+jest.mock('../../../../src/lib/local-ims')
 jest.mock('fs-extra')
 jest.mock('chokidar')
 
@@ -123,6 +125,18 @@ describe('run command definition', () => {
     expect(typeof TheCommand.flags.extension.description).toBe('string')
     expect(TheCommand.flags.extension.multiple).toEqual(false)
     expect(TheCommand.flags.extension.char).toEqual('e')
+
+    expect(typeof TheCommand.flags.isolate).toBe('object')
+    expect(typeof TheCommand.flags.isolate.description).toBe('string')
+    expect(TheCommand.flags.isolate.default).toEqual(false)
+
+    expect(typeof TheCommand.flags.cold).toBe('object')
+    expect(typeof TheCommand.flags.cold.description).toBe('string')
+    expect(TheCommand.flags.cold.default).toEqual(false)
+
+    expect(typeof TheCommand.flags['local-ims']).toBe('object')
+    expect(typeof TheCommand.flags['local-ims'].description).toBe('string')
+    expect(TheCommand.flags['local-ims'].default).toEqual(false)
   })
 })
 
@@ -176,16 +190,73 @@ describe('run', () => {
         'generic/action1': 'https://localhost:9080/api/v1/web/action1',
         'generic/action2': 'https://localhost:9080/api/v1/action2'
       },
+      apiUrls: [
+        { method: 'GET', url: 'https://localhost:9080/apis/mynamespace/hello/world' }
+      ],
+      triggerUrls: {
+        onEvent: 'https://localhost:9080/api/v1/namespaces/_/triggers/onEvent'
+      },
       serverCleanup: () => {}
     })
 
     await command.run()
     const cleanup = new Cleanup()
     await cleanup.run()
+    expect(command.log).toHaveBeenCalledWith('API Gateway routes (manifest apis):')
+    expect(command.log).toHaveBeenCalledWith(expect.stringContaining('  -> GET https://localhost:9080/apis/mynamespace/hello/world'))
+    expect(command.log).toHaveBeenCalledWith('triggers (POST to fire now, authenticated with your AIO_RUNTIME_AUTH key):')
+    expect(command.log).toHaveBeenCalledWith(expect.stringContaining('  -> https://localhost:9080/api/v1/namespaces/_/triggers/onEvent'))
     expect(command.log).toHaveBeenCalledWith('press CTRL+C to terminate the dev environment') // success
     expect(command.error).not.toHaveBeenCalled()
   })
 
+  test('run, isolate and cold flags', async () => {
+    command.argv = ['--isolate', '--cold']
+    const appConfig = {
+      manifest: { full: { packages: {} } },
+      hooks: {
+      },
+      app: {
+        hasFrontend: false,
+        hasBackend: true
+      }
+    }
+
+    command.getAppExtConfigs.mockResolvedValueOnce({ myextension: appConfig })
+    mockRunDev.mockResolvedValue({
+      actionUrls: {},
+      serverCleanup: () => {}
+    })
+
+    await command.run()
+    expect(mockRunDev).toHaveBeenCalledWith(expect.objectContaining({ isolate: true, cold: true }), appConfig, expect.any(Function))
+    expect(command.error).not.toHaveBeenCalled()
+  })
+
+  test('run, local-ims flag', async () => {
+    command.argv = ['--local-ims']
+    const appConfig = {
+      manifest: { full: { packages: {} } },
+      hooks: {
+      },
+      app: {
+        hasFrontend: false,
+        hasBackend: true
+      }
+    }
+
+    command.getAppExtConfigs.mockResolvedValueOnce({ myextension: appConfig })
+    getOrCreateSigningKeys.mockReturnValue({ privateKey: 'private-key', publicKey: 'public-key' })
+    mockRunDev.mockResolvedValue({
+      actionUrls: {},
+      serverCleanup: () => {}
+    })
+
+    await command.run()
+    expect(mockRunDev).toHaveBeenCalledWith(expect.objectContaining({ localIms: { publicKey: 'public-key' } }), appConfig, expect.any(Function))
+    expect(command.error).not.toHaveBeenCalled()
+  })
+
   test('run, no flags, no frontend nor backend', async () => {
     command.argv = []
     const appConfig = {
@@ -580,6 +651,67 @@ describe('verifyActionConfig', () => {
     expect(command.error).toHaveBeenCalledWith(`Sequence component '${missingAction}' does not exist (sequence = '${sequenceName}')`)
   })
 
+  test('sequence with cross-package, fully qualified and nested components', async () => {
+    const actionConfig = {
+      mypackage: {
+        sequences: {
+          mysequence: {
+            actions: 'a, other/b, /_/other/b, /mynamespace/other/b, /mynamespace/d, nested'
+          },
+          nested: {
+            actions: 'a'
+          }
+        },
+        actions: {
+          a: {}
+        }
+      },
+      other: {
+        actions: {
+          b: {}
+        }
+      },
+      default: {
+        actions: {
+          d: {}
+        }
+      }
+    }
+    const appConfig = {
+      ow: { namespace: 'mynamespace' },
+      manifest: { full: { packages: actionConfig } }
+    }
+
+    await command.verifyActionConfig(appConfig)
+    expect(command.error).not.toHaveBeenCalled()
+  })
+
+  test('sequence with components that are not available', async () => {
+    const actionConfig = {
+      mypackage: {
+        sequences: {
+          mysequence: {
+            actions: 'a, other/z, /whisk.system/utils/echo, mysequence'
+          }
+        },
+        actions: {
+          a: {}
+        }
+      }
+    }
+    const appConfig = {
+      ow: { namespace: 'mynamespace' },
+      manifest: { full: { packages: actionConfig } }
+    }
+
+    await command.verifyActionConfig(appConfig)
+    expect(command.error).toHaveBeenCalledWith([
+      'Sequence component \'other/z\' does not exist (sequence = \'mysequence\')',
+      'Sequence component \'/whisk.system/utils/echo\' is in another namespace, which is not available locally (sequence = \'mysequence\')',
+      'Sequence \'mysequence\' may not refer to itself (through \'mysequence\')'
+    ].join('\n'))
+  })
+
   test('sequence with same name as action', async () => {
     const sequenceName = 'myname'
     const actionName = sequenceName
@@ -604,4 +736,29 @@ describe('verifyActionConfig', () => {
     await command.verifyActionConfig(appConfig)
     expect(command.error).toHaveBeenCalledWith(`Sequence '${sequenceName}' is already defined as an action under the same package. Actions and sequences can not have the same name in a single package.`)
   })
+
+  test('invalid triggers and rules', async () => {
+    const actionConfig = {
+      mypackage: {
+        actions: {
+          a: {}
+        },
+        triggers: {
+          everyMinute: { feed: '/whisk.system/alarms/alarm', inputs: { cron: 'every minute' } }
+        },
+        rules: {
+          unknownTrigger: { trigger: 'unknown', action: 'a' }
+        }
+      }
+    }
+    const appConfig = {
+      manifest: { full: { packages: actionConfig } }
+    }
+
+    await command.verifyActionConfig(appConfig)
+    expect(command.error).toHaveBeenCalledWith([
+      'Alarm trigger \'everyMinute\': Invalid cron expression \'every minute\', it must have 5 fields (minute, hour, day of month, month, day of week)',
+      'Rule \'unknownTrigger\': the trigger \'unknown\' does not exist'
+    ].join('\n'))
+  })
 })
@@ -0,0 +1,92 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const TheCommand = require('../../../../src/commands/app/dev/token')
+const BaseCommand = require('../../../../src/BaseCommand')
+const { createToken, getOrCreateSigningKeys } = require('../../../../src/lib/local-ims')
+
+jest.mock('../../../../src/lib/local-ims')
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  getOrCreateSigningKeys.mockReturnValue({ privateKey: 'private-key', publicKey: 'public-key' })
+  createToken.mockReturnValue('header.payload.signature')
+})
+
+describe('command definition', () => {
+  test('exports', async () => {
+    expect(typeof TheCommand).toEqual('function')
+    expect(TheCommand.prototype instanceof BaseCommand).toBeTruthy()
+  })
+
+  test('description', async () => {
+    expect(TheCommand.description).toBeDefined()
+  })
+
+  test('flags', async () => {
+    expect(TheCommand.flags.org.required).toBe(true)
+    expect(TheCommand.flags.user.default).toEqual('developer@AdobeID')
+    expect(TheCommand.flags.scope.multiple).toBe(true)
+    expect(TheCommand.flags.scope.default).toEqual(['openid', 'AdobeID'])
+    expect(TheCommand.flags['client-id'].default).toEqual('aio-app-dev')
+    expect(TheCommand.flags['expires-in'].default).toEqual(24)
+  })
+})
+
+describe('run', () => {
+  let command
+
+  beforeEach(() => {
+    command = new TheCommand()
+    command.log = jest.fn()
+    command.error = jest.fn((message) => { throw new Error(message) })
+    command.config = {
+      runHook: jest.fn().mockResolvedValue({})
+    }
+  })
+
+  test('defaults', async () => {
+    command.argv = ['--org', '1234@AdobeOrg']
+    await command.run()
+
+    expect(createToken).toHaveBeenCalledWith({
+      privateKey: 'private-key',
+      orgId: '1234@AdobeOrg',
+      userId: 'developer@AdobeID',
+      clientId: 'aio-app-dev',
+      scopes: ['openid', 'AdobeID'],
+      expiresIn: 24 * 60 * 60 * 1000
+    })
+    expect(command.log).toHaveBeenCalledWith('header.payload.signature')
+  })
+
+  test('all flags', async () => {
+    command.argv = ['--org', '1234@AdobeOrg', '--user', 'me@AdobeID', '--scope', 'openid', '--scope', 'read_organizations',
+      '--client-id', 'my-client', '--expires-in', '1']
+    await command.run()
+
+    expect(createToken).toHaveBeenCalledWith({
+      privateKey: 'private-key',
+      orgId: '1234@AdobeOrg',
+      userId: 'me@AdobeID',
+      clientId: 'my-client',
+      scopes: ['openid', 'read_organizations'],
+      expiresIn: 60 * 60 * 1000
+    })
+  })
+
+  test('no org', async () => {
+    command.argv = []
+    await expect(command.run()).rejects.toThrow('Missing required flag org')
+    expect(createToken).not.toHaveBeenCalled()
+  })
+})
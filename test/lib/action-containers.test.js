@@ -0,0 +1,120 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* global fixturePath */
+
+const fs = require('node:fs')
+const { ActionContainerPool, actionContainers, bundleVersion } = require('../../src/lib/action-containers')
+const { ACTION_CONTAINER_IDLE_TIMEOUT } = require('../../src/lib/constants')
+
+jest.useFakeTimers()
+
+const createContainer = (version = 'v1') => ({ version, destroy: jest.fn() })
+
+test('exports', () => {
+  expect(ActionContainerPool).toBeDefined()
+  expect(actionContainers).toBeInstanceOf(ActionContainerPool)
+  expect(actionContainers.idleTimeout).toEqual(ACTION_CONTAINER_IDLE_TIMEOUT)
+  expect(bundleVersion).toBeDefined()
+})
+
+test('bundleVersion', () => {
+  const actionPath = fixturePath('actions/successReturnAction.js')
+  expect(bundleVersion(actionPath)).toEqual(`${fs.statSync(actionPath).mtimeMs}`)
+  expect(bundleVersion(fixturePath('actions/does-not-exist.js'))).toEqual('undefined')
+})
+
+describe('ActionContainerPool', () => {
+  let pool
+
+  beforeEach(() => {
+    jest.clearAllTimers()
+    pool = new ActionContainerPool(1000)
+  })
+
+  test('no warm container (cold start)', () => {
+    expect(pool.acquire('pkg/a', 'v1')).not.toBeDefined()
+  })
+
+  test('a released container is warm for the next activation', () => {
+    const container = createContainer()
+    pool.release('pkg/a', container)
+    expect(pool.size).toEqual(1)
+
+    expect(pool.acquire('pkg/b', 'v1')).not.toBeDefined()
+    expect(pool.acquire('pkg/a', 'v1')).toBe(container)
+    expect(pool.size).toEqual(0)
+    // it is busy until it is released again
+    expect(pool.acquire('pkg/a', 'v1')).not.toBeDefined()
+    expect(container.destroy).not.toHaveBeenCalled()
+  })
+
+  test('the container of an older bundle is destroyed', () => {
+    const container = createContainer('v1')
+    pool.release('pkg/a', container)
+
+    expect(pool.acquire('pkg/a', 'v2')).not.toBeDefined()
+    expect(container.destroy).toHaveBeenCalled()
+    expect(pool.size).toEqual(0)
+  })
+
+  test('a container that exited is destroyed', () => {
+    const container = createContainer()
+    pool.release('pkg/a', container)
+    container.exited = true
+
+    expect(pool.acquire('pkg/a', 'v1')).not.toBeDefined()
+    expect(container.destroy).toHaveBeenCalled()
+  })
+
+  test('an idle container is destroyed after the idle timeout', () => {
+    const container = createContainer()
+    pool.release('pkg/a', container)
+
+    jest.advanceTimersByTime(999)
+    expect(container.destroy).not.toHaveBeenCalled()
+    jest.advanceTimersByTime(1)
+    expect(container.destroy).toHaveBeenCalled()
+    expect(pool.acquire('pkg/a', 'v1')).not.toBeDefined()
+  })
+
+  test('the idle timeout restarts when the container is reused', () => {
+    const container = createContainer()
+    pool.release('pkg/a', container)
+    jest.advanceTimersByTime(999)
+
+    pool.release('pkg/a', pool.acquire('pkg/a', 'v1'))
+    jest.advanceTimersByTime(999)
+    expect(container.destroy).not.toHaveBeenCalled()
+  })
+
+  test('there is at most one idle container per action', () => {
+    const first = createContainer()
+    const second = createContainer()
+    pool.release('pkg/a', first)
+    pool.release('pkg/a', second)
+
+    expect(first.destroy).toHaveBeenCalled()
+    expect(pool.acquire('pkg/a', 'v1')).toBe(second)
+  })
+
+  test('clear', () => {
+    const containers = [createContainer(), createContainer()]
+    pool.release('pkg/a', containers[0])
+    pool.release('pkg/b', containers[1])
+
+    pool.clear()
+    expect(pool.size).toEqual(0)
+    containers.forEach(container => expect(container.destroy).toHaveBeenCalled())
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+})
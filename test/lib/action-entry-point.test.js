@@ -0,0 +1,58 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const {
+  DEFAULT_ENTRY_POINT, actionEntryPoint, findEntryPointFunction, missingEntryPointMessage
+} = require('../../src/lib/action-entry-point')
+
+test('exports', () => {
+  expect(DEFAULT_ENTRY_POINT).toEqual('main')
+  expect(actionEntryPoint).toBeDefined()
+  expect(findEntryPointFunction).toBeDefined()
+  expect(missingEntryPointMessage).toBeDefined()
+})
+
+test('actionEntryPoint', () => {
+  expect(actionEntryPoint({ main: 'handler' })).toEqual('handler')
+  expect(actionEntryPoint({})).toEqual('main')
+  expect(actionEntryPoint(undefined)).toEqual('main')
+})
+
+describe('findEntryPointFunction', () => {
+  const main = () => 'main'
+  const handler = () => 'handler'
+
+  test('named export', () => {
+    expect(findEntryPointFunction({ main, handler })).toBe(main)
+    expect(findEntryPointFunction({ main, handler }, 'handler')).toBe(handler)
+  })
+
+  test('ESM default export', () => {
+    // export default function
+    expect(findEntryPointFunction({ __esModule: true, default: main })).toBe(main)
+    // export default { main, handler }
+    expect(findEntryPointFunction({ default: { main, handler } })).toBe(main)
+    expect(findEntryPointFunction({ default: { main, handler } }, 'handler')).toBe(handler)
+  })
+
+  test('missing export', () => {
+    expect(findEntryPointFunction({ main: 'not a function' })).toBeUndefined()
+    expect(findEntryPointFunction({ main }, 'handler')).toBeUndefined()
+    // the default export is the default entry point only
+    expect(findEntryPointFunction({ default: main }, 'handler')).toBeUndefined()
+    expect(findEntryPointFunction(undefined)).toBeUndefined()
+  })
+})
+
+test('missingEntryPointMessage', () => {
+  expect(missingEntryPointMessage('handler')).toEqual('does not export a function named \'handler\'')
+})
@@ -0,0 +1,149 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const mockLogger = require('@adobe/aio-lib-core-logging')
+const {
+  getActionLimits, checkResultSize, runWithLimits,
+  DEFAULT_TIMEOUT_MS, DEFAULT_MEMORY_SIZE_MB, MAX_RESULT_SIZE_BYTES, MEMORY_LIMIT_ERROR
+} = require('../../src/lib/action-limits')
+
+const MB = 1024 * 1024
+
+beforeEach(() => {
+  jest.useFakeTimers()
+  mockLogger.mockReset()
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+  jest.restoreAllMocks()
+})
+
+test('exports', () => {
+  expect(getActionLimits).toBeDefined()
+  expect(checkResultSize).toBeDefined()
+  expect(runWithLimits).toBeDefined()
+  expect(MEMORY_LIMIT_ERROR).toEqual('The action exhausted its memory and was aborted.')
+})
+
+describe('getActionLimits', () => {
+  test('defaults', () => {
+    const expected = { timeout: DEFAULT_TIMEOUT_MS, memorySize: DEFAULT_MEMORY_SIZE_MB }
+    expect(getActionLimits()).toEqual(expected)
+    expect(getActionLimits({ limits: {} })).toEqual(expected)
+  })
+
+  test('from the manifest', () => {
+    expect(getActionLimits({ limits: { timeout: 1000, memorySize: 512 } })).toEqual({ timeout: 1000, memorySize: 512 })
+    expect(getActionLimits({ limits: { memory: 128 } })).toEqual({ timeout: DEFAULT_TIMEOUT_MS, memorySize: 128 })
+  })
+})
+
+describe('checkResultSize', () => {
+  test('within the limit', () => {
+    expect(checkResultSize()).not.toBeDefined()
+    expect(checkResultSize({ body: 'hello' })).not.toBeDefined()
+  })
+
+  test('over the limit', () => {
+    const response = { body: 'x'.repeat(MAX_RESULT_SIZE_BYTES) }
+    const size = JSON.stringify(response).length
+    expect(checkResultSize(response)).toEqual(`The action produced a response that exceeded the allowed length: ${size} > ${MAX_RESULT_SIZE_BYTES} bytes.`)
+  })
+})
+
+describe('runWithLimits', () => {
+  const limits = { timeout: 1000, memorySize: 256 }
+
+  test('action completes within its limits', async () => {
+    const result = await runWithLimits({ limits, actionName: 'a', logger: mockLogger }, async () => ({ body: 'ok' }))
+    expect(result).toEqual({ response: { body: 'ok' }, limitError: undefined })
+    expect(jest.getTimerCount()).toEqual(0) // timers cleared
+  })
+
+  test('action result is too large', async () => {
+    const response = { body: 'x'.repeat(MAX_RESULT_SIZE_BYTES) }
+    const result = await runWithLimits({ limits, actionName: 'a', logger: mockLogger }, () => response)
+    expect(result.limitError).toMatch('The action produced a response that exceeded the allowed length')
+  })
+
+  test('action throws', async () => {
+    await expect(runWithLimits({ limits, actionName: 'a', logger: mockLogger }, async () => {
+      throw new Error('boom')
+    })).rejects.toThrow('boom')
+    expect(jest.getTimerCount()).toEqual(0) // timers cleared
+  })
+
+  test('action times out', async () => {
+    const run = runWithLimits({ limits, actionName: 'a', logger: mockLogger }, () => new Promise(() => {}))
+    jest.advanceTimersByTime(limits.timeout)
+    await expect(run).resolves.toEqual({ limitError: 'The action exceeded its time limits of 1000 milliseconds.' })
+  })
+
+  test('action times out (the action is aborted)', async () => {
+    let actionSignal
+    const run = runWithLimits({ limits, actionName: 'a', logger: mockLogger }, (signal) => {
+      actionSignal = signal
+      return new Promise(() => {})
+    })
+    expect(actionSignal.aborted).toBe(false)
+    jest.advanceTimersByTime(limits.timeout)
+    await run
+    expect(actionSignal.aborted).toBe(true)
+  })
+
+  test('action fails after it timed out (not reported)', async () => {
+    let rejectAction
+    const run = runWithLimits({ limits, actionName: 'a', logger: mockLogger }, () => new Promise((resolve, reject) => { rejectAction = reject }))
+    jest.advanceTimersByTime(limits.timeout)
+    await expect(run).resolves.toEqual({ limitError: expect.any(String) })
+    rejectAction(new Error('too late'))
+  })
+
+  test('memory overrun (warn mode, warns once)', async () => {
+    const rss = jest.spyOn(process.memoryUsage, 'rss')
+    rss.mockReturnValueOnce(100 * MB) // baseline
+      .mockReturnValueOnce(200 * MB) // within limit
+      .mockReturnValue(400 * MB) // over the limit
+
+    const run = runWithLimits({ limits, actionName: 'a', logger: mockLogger, memoryLimitMode: 'warn' }, () => new Promise(() => {}))
+    jest.advanceTimersByTime(500)
+    expect(mockLogger.warn).toHaveBeenCalledTimes(1)
+    expect(mockLogger.warn).toHaveBeenCalledWith('a used about 300MB of memory, which exceeds its memory limit of 256MB. The action would be aborted in Runtime.')
+
+    jest.advanceTimersByTime(limits.timeout)
+    await expect(run).resolves.toEqual({ limitError: expect.stringMatching('time limits') })
+  })
+
+  test('memory overrun (fail mode)', async () => {
+    const rss = jest.spyOn(process.memoryUsage, 'rss')
+    rss.mockReturnValueOnce(100 * MB) // baseline
+      .mockReturnValue(400 * MB) // over the limit
+
+    const run = runWithLimits({ limits, actionName: 'a', logger: mockLogger, memoryLimitMode: 'fail' }, () => new Promise(() => {}))
+    jest.advanceTimersByTime(100)
+    await expect(run).resolves.toEqual({ limitError: 'The action exhausted its memory and was aborted.' })
+    expect(mockLogger.warn).not.toHaveBeenCalled()
+  })
+
+  test('memory not checked (off mode)', async () => {
+    const rss = jest.spyOn(process.memoryUsage, 'rss')
+    rss.mockReturnValueOnce(100 * MB) // baseline
+      .mockReturnValue(400 * MB) // over the limit
+
+    const run = runWithLimits({ limits, actionName: 'a', logger: mockLogger, memoryLimitMode: 'off' }, () => new Promise(() => {}))
+    expect(jest.getTimerCount()).toEqual(1) // only the timeout
+    jest.advanceTimersByTime(limits.timeout)
+    await expect(run).resolves.toEqual({ limitError: expect.stringMatching('time limits') })
+    expect(mockLogger.warn).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,103 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { stdout, stderr } = require('stdout-stderr')
+const { captureActionLogs, formatLogLine } = require('../../src/lib/action-logs')
+
+const LOG_LINE_REGEX = (streamName, line) => new RegExp(`^\\d{4}-\\d{2}-\\d{2}T[\\d:.]+Z ${streamName}: ${line}$`)
+
+test('exports', () => {
+  expect(captureActionLogs).toBeDefined()
+  expect(formatLogLine).toBeDefined()
+})
+
+test('formatLogLine', () => {
+  const date = new Date('2024-01-02T03:04:05.006Z')
+  expect(formatLogLine('stdout', 'hello', date)).toEqual('2024-01-02T03:04:05.006Z stdout: hello')
+  expect(formatLogLine('stderr', 'hello')).toMatch(LOG_LINE_REGEX('stderr', 'hello'))
+})
+
+describe('captureActionLogs', () => {
+  test('captures stdout and stderr, and prefixes the terminal output', async () => {
+    const { result, logs } = await captureActionLogs({ activationId: 'id-1', actionName: 'myaction' }, async () => {
+      process.stdout.write('first line\nsecond line\n')
+      process.stderr.write(Buffer.from('an error'))
+      return 'the result'
+    })
+
+    expect(result).toEqual('the result')
+    expect(logs.length).toEqual(3)
+    expect(logs[0]).toMatch(LOG_LINE_REGEX('stdout', 'first line'))
+    expect(logs[1]).toMatch(LOG_LINE_REGEX('stdout', 'second line'))
+    expect(logs[2]).toMatch(LOG_LINE_REGEX('stderr', 'an error'))
+
+    expect(stdout.output).toEqual('[myaction id-1] first line\n[myaction id-1] second line\n')
+    expect(stderr.output).toEqual('[myaction id-1] an error\n')
+  })
+
+  test('streams are restored after the capture', async () => {
+    const originalWrite = process.stdout.write
+    await captureActionLogs({ activationId: 'id-1', actionName: 'myaction' }, async () => {
+      expect(process.stdout.write).not.toBe(originalWrite)
+    })
+    expect(process.stdout.write).toBe(originalWrite)
+  })
+
+  test('output of the server while an activation runs is not captured', async () => {
+    let resolveAction
+    const actionDone = new Promise(resolve => { resolveAction = resolve })
+
+    const capture = captureActionLogs({ activationId: 'id-1', actionName: 'myaction' }, async () => {
+      await actionDone
+    })
+    process.stdout.write('server log\n') // not in the activation async context
+    resolveAction()
+    const { logs } = await capture
+
+    expect(logs).toEqual([])
+    expect(stdout.output).toEqual('server log\n')
+  })
+
+  test('concurrent activations capture their own output', async () => {
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+    const action = (name) => async () => {
+      process.stdout.write(`${name} start\n`)
+      await wait(10)
+      process.stdout.write(`${name} end\n`)
+    }
+
+    const [a, b] = await Promise.all([
+      captureActionLogs({ activationId: 'id-a', actionName: 'a' }, action('a')),
+      captureActionLogs({ activationId: 'id-b', actionName: 'b' }, action('b'))
+    ])
+
+    expect(a.logs.map(line => line.split(': ')[1])).toEqual(['a start', 'a end'])
+    expect(b.logs.map(line => line.split(': ')[1])).toEqual(['b start', 'b end'])
+  })
+
+  test('streams are restored if the function throws', async () => {
+    const originalWrite = process.stdout.write
+    await expect(captureActionLogs({ activationId: 'id-1', actionName: 'myaction' }, async () => {
+      throw new Error('boom')
+    })).rejects.toThrow('boom')
+    expect(process.stdout.write).toBe(originalWrite)
+  })
+
+  test('the captured lines are added to the activation logs, even if the function throws', async () => {
+    const logs = ['2024-01-02T03:04:05.006Z stdout: loaded']
+    await expect(captureActionLogs({ activationId: 'id-1', actionName: 'myaction', logs }, async () => {
+      process.stdout.write('about to throw\n')
+      throw new Error('boom')
+    })).rejects.toThrow('boom')
+    expect(logs).toEqual(['2024-01-02T03:04:05.006Z stdout: loaded', expect.stringMatching(LOG_LINE_REGEX('stdout', 'about to throw'))])
+  })
+})
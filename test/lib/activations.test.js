@@ -0,0 +1,264 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const {
+  ActivationStore, activationStore, createActivationRecord, generateActivationId, redactParams,
+  ACTIVATIONS_DEFAULT_LIMIT, ACTIVATIONS_MAX_LIMIT
+} = require('../../src/lib/activations')
+
+const successResponse = { status: 'success', statusCode: 0, success: true, result: { hello: 'world' } }
+
+const createRecord = ({ actionName = 'myaction', packageName = 'mypackage', start = Date.now(), cause } = {}) => {
+  return createActivationRecord({
+    activationId: generateActivationId(),
+    packageName,
+    actionName,
+    cause,
+    start,
+    end: start + 10,
+    activationResponse: successResponse
+  })
+}
+
+afterEach(() => {
+  delete process.env.AIO_RUNTIME_NAMESPACE
+})
+
+test('exports', () => {
+  expect(ActivationStore).toBeDefined()
+  expect(activationStore).toBeInstanceOf(ActivationStore)
+  expect(createActivationRecord).toBeDefined()
+  expect(generateActivationId).toBeDefined()
+  expect(redactParams).toBeDefined()
+})
+
+test('generateActivationId', () => {
+  const activationId = generateActivationId()
+  expect(activationId).toMatch(/^[0-9a-f]{32}$/)
+  expect(generateActivationId()).not.toEqual(activationId)
+})
+
+describe('redactParams', () => {
+  test('no params', () => {
+    expect(redactParams()).toEqual({})
+  })
+
+  test('redacts secrets, including nested ones', () => {
+    const params = {
+      name: 'world',
+      key: 'some-key',
+      apiKey: 'some-api-key',
+      CLIENT_SECRET: 'some-secret',
+      someToken: 'some-token',
+      authToken: 'some-token',
+      basicAuth: 'some-auth',
+      author: 'Paul',
+      authentic: true,
+      list: ['a', 'b'],
+      count: 3,
+      __ow_headers: {
+        authorization: 'Bearer some-token',
+        'x-gw-ims-org-id': 'some-org-id',
+        'x-require-whisk-auth': 'some-secret',
+        'x-author': 'Paul',
+        cookie: 'some-cookie'
+      }
+    }
+
+    expect(redactParams(params)).toEqual({
+      name: 'world',
+      key: '<redacted>',
+      apiKey: '<redacted>',
+      CLIENT_SECRET: '<redacted>',
+      someToken: '<redacted>',
+      authToken: '<redacted>',
+      basicAuth: '<redacted>',
+      author: 'Paul',
+      authentic: true,
+      list: ['a', 'b'],
+      count: 3,
+      __ow_headers: {
+        authorization: '<redacted>',
+        'x-gw-ims-org-id': 'some-org-id',
+        'x-require-whisk-auth': '<redacted>',
+        'x-author': 'Paul',
+        cookie: '<redacted>'
+      }
+    })
+    // the original is untouched
+    expect(params.__ow_headers.authorization).toEqual('Bearer some-token')
+  })
+})
+
+describe('createActivationRecord', () => {
+  test('topmost activation (default namespace)', () => {
+    const record = createActivationRecord({
+      activationId: 'some-id',
+      packageName: 'mypackage',
+      actionName: 'myaction',
+      kind: 'nodejs:18',
+      start: 1000,
+      end: 1500,
+      activationResponse: successResponse,
+      params: { password: 'secret', name: 'world' }
+    })
+
+    expect(record).toEqual({
+      activationId: 'some-id',
+      namespace: '_/mypackage',
+      name: 'myaction',
+      version: '0.0.1',
+      subject: '_',
+      publish: false,
+      start: 1000,
+      end: 1500,
+      duration: 500,
+      statusCode: 0,
+      response: successResponse,
+      logs: [],
+      annotations: [
+        { key: 'path', value: '_/mypackage/myaction' },
+        { key: 'kind', value: 'nodejs:18' },
+        { key: 'topmost', value: true }
+      ],
+      params: { password: '<redacted>', name: 'world' }
+    })
+  })
+
+  test('component activation (has a cause)', () => {
+    process.env.AIO_RUNTIME_NAMESPACE = 'my-namespace'
+    const record = createActivationRecord({
+      activationId: 'some-id',
+      packageName: 'mypackage',
+      actionName: 'myaction',
+      cause: 'parent-id',
+      start: 1000,
+      end: 1500,
+      activationResponse: successResponse,
+      logs: ['a log line']
+    })
+
+    expect(record).toMatchObject({
+      namespace: 'my-namespace/mypackage',
+      cause: 'parent-id',
+      logs: ['a log line'],
+      annotations: [
+        { key: 'path', value: 'my-namespace/mypackage/myaction' }
+      ]
+    })
+  })
+
+  test('trigger activation (not in a package)', () => {
+    const record = createActivationRecord({
+      activationId: 'some-id',
+      actionName: 'mytrigger',
+      start: 1000,
+      end: 1000,
+      activationResponse: successResponse
+    })
+
+    expect(record).toMatchObject({
+      namespace: '_',
+      name: 'mytrigger',
+      annotations: [
+        { key: 'path', value: '_/mytrigger' },
+        { key: 'topmost', value: true }
+      ]
+    })
+  })
+
+  test('cold start (has an initTime)', () => {
+    const record = createActivationRecord({
+      activationId: 'some-id',
+      packageName: 'mypackage',
+      actionName: 'myaction',
+      start: 1000,
+      end: 1500,
+      activationResponse: successResponse,
+      initTime: 0
+    })
+
+    expect(record.annotations).toContainEqual({ key: 'initTime', value: 0 })
+  })
+})
+
+describe('ActivationStore', () => {
+  test('add, get, size, clear', () => {
+    const store = new ActivationStore()
+    const record = createRecord()
+
+    expect(store.add(record)).toEqual(record)
+    expect(store.size).toEqual(1)
+    expect(store.get(record.activationId)).toEqual(record)
+    expect(store.get('unknown')).not.toBeDefined()
+
+    store.clear()
+    expect(store.size).toEqual(0)
+  })
+
+  test('oldest records are dropped when full', () => {
+    const store = new ActivationStore(2)
+    const records = [createRecord(), createRecord(), createRecord()]
+    records.forEach(record => store.add(record))
+
+    expect(store.size).toEqual(2)
+    expect(store.get(records[0].activationId)).not.toBeDefined()
+    expect(store.get(records[2].activationId)).toBeDefined()
+  })
+
+  test('list (newest first, default limit)', () => {
+    const store = new ActivationStore()
+    const records = [...Array(ACTIVATIONS_DEFAULT_LIMIT + 5)].map(() => store.add(createRecord()))
+
+    const list = store.list()
+    expect(list.length).toEqual(ACTIVATIONS_DEFAULT_LIMIT)
+    expect(list[0]).toEqual(records.at(-1))
+  })
+
+  test('list (skip, limit, max limit)', () => {
+    const store = new ActivationStore()
+    const records = [...Array(ACTIVATIONS_MAX_LIMIT + 5)].map(() => store.add(createRecord()))
+
+    expect(store.list({ skip: 1, limit: 2 })).toEqual([records.at(-2), records.at(-3)])
+    expect(store.list({ limit: ACTIVATIONS_MAX_LIMIT + 5 }).length).toEqual(ACTIVATIONS_MAX_LIMIT)
+  })
+
+  test('count (all the records, without skip and limit)', () => {
+    const store = new ActivationStore()
+    const records = [...Array(ACTIVATIONS_DEFAULT_LIMIT + 15)].map((_, i) => store.add(createRecord({ start: i })))
+
+    expect(store.list().length).toEqual(ACTIVATIONS_DEFAULT_LIMIT)
+    expect(store.count()).toEqual(records.length)
+    expect(store.count({ since: 40 })).toEqual(records.length - 40)
+  })
+
+  test('list (name filter)', () => {
+    const store = new ActivationStore()
+    const a = store.add(createRecord({ actionName: 'a' }))
+    const b = store.add(createRecord({ actionName: 'b', packageName: 'otherpackage' }))
+
+    expect(store.list({ name: 'a' })).toEqual([a])
+    expect(store.list({ name: 'otherpackage/b' })).toEqual([b])
+    expect(store.list({ name: 'mypackage/b' })).toEqual([])
+  })
+
+  test('list (since, upto)', () => {
+    const store = new ActivationStore()
+    const a = store.add(createRecord({ start: 1000 }))
+    const b = store.add(createRecord({ start: 2000 }))
+    const c = store.add(createRecord({ start: 3000 }))
+
+    expect(store.list({ since: 2000 })).toEqual([c, b])
+    expect(store.list({ upto: 2000 })).toEqual([b, a])
+    expect(store.list({ since: 1500, upto: 2500 })).toEqual([b])
+  })
+})
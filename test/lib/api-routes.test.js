@@ -0,0 +1,134 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { API_METHODS, apiRoutePath, apiRouteExpressPath, createApiRoutes } = require('../../src/lib/api-routes')
+
+const isWebAction = (action) => action.web === 'yes'
+const namespace = 'mynamespace'
+
+test('exports', () => {
+  expect(API_METHODS).toEqual(['get', 'post', 'put', 'delete', 'patch', 'head', 'options'])
+  expect(apiRoutePath).toBeDefined()
+  expect(apiRouteExpressPath).toBeDefined()
+  expect(createApiRoutes).toBeDefined()
+})
+
+test('apiRoutePath', () => {
+  expect(apiRoutePath({ namespace, basePath: 'hello', relativePath: 'world' })).toEqual('/apis/mynamespace/hello/world')
+  expect(apiRoutePath({ namespace, basePath: '/hello/', relativePath: '/v1/world' })).toEqual('/apis/mynamespace/hello/v1/world')
+})
+
+test('apiRouteExpressPath', () => {
+  expect(apiRouteExpressPath('/apis/mynamespace/hello/world')).toEqual('/apis/mynamespace/hello/world')
+  expect(apiRouteExpressPath('/apis/mynamespace/books/{isbn}/pages/{page_number}')).toEqual('/apis/mynamespace/books/:isbn/pages/:page_number')
+})
+
+describe('createApiRoutes', () => {
+  const actionConfig = {
+    mypackage: {
+      actions: {
+        greeting: { web: 'yes' },
+        secret: { web: 'no' }
+      },
+      sequences: {
+        greetings: { actions: 'greeting', web: 'yes' }
+      },
+      apis: {
+        'hello-world': {
+          hello: {
+            world: {
+              greeting: { method: 'GET', response: 'http' },
+              greetings: { method: 'post' }
+            },
+            default: {
+              greeting: null
+            }
+          }
+        }
+      }
+    },
+    noApis: {
+      actions: { other: { web: 'yes' } }
+    }
+  }
+
+  test('the routes of the web actions and sequences', () => {
+    const { routes, errors } = createApiRoutes({ actionConfig, namespace, isWebAction })
+    expect(errors).toEqual([])
+    expect(routes).toEqual([
+      {
+        apiName: 'hello-world',
+        method: 'get',
+        path: '/apis/mynamespace/hello/world',
+        expressPath: '/apis/mynamespace/hello/world',
+        packageName: 'mypackage',
+        actionName: 'greeting',
+        responseType: 'http',
+        webActionUrl: 'mypackage/greeting.http'
+      },
+      {
+        apiName: 'hello-world',
+        method: 'post',
+        path: '/apis/mynamespace/hello/world',
+        expressPath: '/apis/mynamespace/hello/world',
+        packageName: 'mypackage',
+        actionName: 'greetings',
+        responseType: 'json',
+        webActionUrl: 'mypackage/greetings.json'
+      },
+      {
+        apiName: 'hello-world',
+        method: 'get',
+        path: '/apis/mynamespace/hello/default',
+        expressPath: '/apis/mynamespace/hello/default',
+        packageName: 'mypackage',
+        actionName: 'greeting',
+        responseType: 'json',
+        webActionUrl: 'mypackage/greeting.json'
+      }
+    ])
+  })
+
+  test('the routes that are not valid are not created', () => {
+    const config = {
+      mypackage: {
+        ...actionConfig.mypackage,
+        apis: {
+          api: {
+            base: {
+              unknown: { missing: {} },
+              notWeb: { secret: {} },
+              method: { greeting: { method: 'CONNECT' } },
+              response: { greeting: { response: 'xml' } },
+              '{book-id}': { greeting: {} }
+            }
+          }
+        }
+      }
+    }
+    const { routes, errors } = createApiRoutes({ actionConfig: config, namespace, isWebAction })
+    expect(routes).toEqual([])
+    expect(errors).toEqual([
+      "GET /apis/mynamespace/base/unknown (api 'api'): 'missing' is not an action or sequence of package 'mypackage'",
+      "GET /apis/mynamespace/base/notWeb (api 'api'): 'secret' is not a web action",
+      "CONNECT /apis/mynamespace/base/method (api 'api'): the method is not one of get, post, put, delete, patch, head, options",
+      "GET /apis/mynamespace/base/response (api 'api'): the response type 'xml' is not one of http, json, html, svg, text",
+      "GET /apis/mynamespace/base/{book-id} (api 'api'): a path parameter name must only have letters, digits and underscores"
+    ])
+  })
+
+  test('no packages, or empty apis', () => {
+    expect(createApiRoutes({ actionConfig: undefined, namespace, isWebAction })).toEqual({ routes: [], errors: [] })
+    const config = { mypackage: null, other: { apis: { api: null } }, another: { apis: { api: { base: null, base2: { path: null } } } } }
+    expect(createApiRoutes({ actionConfig: config, namespace, isWebAction })).toEqual({ routes: [], errors: [] })
+  })
+})
@@ -15,14 +15,23 @@ const {
   CHANGED_ASSETS_PRINT_LIMIT,
   SERVER_DEFAULT_PORT,
   BUNDLER_DEFAULT_PORT,
+  MAX_ACTIVATION_RECORDS,
+  ACTION_MEMORY_LIMIT_MODE,
+  ACTION_CONTAINER_IDLE_TIMEOUT,
+  MAX_COMPOSITION_ACTIONS,
+  REQUEST_BODY_LIMIT,
+  CLIENT_IP,
   DEV_API_PREFIX,
   DEV_API_WEB_PREFIX,
+  DEV_API_GATEWAY_PREFIX,
   DEV_KEYS_DIR,
   DEV_KEYS_CONFIG_KEY,
   DEFAULT_LAUNCH_PREFIX,
   STAGE_LAUNCH_PREFIX,
   PRIVATE_KEY_PATH,
   PUB_CERT_PATH,
+  LOCAL_IMS_PRIVATE_KEY_PATH,
+  LOCAL_IMS_PUBLIC_KEY_PATH,
   BUNDLE_OPTIONS
 } = require(CONSTANTS_PATH)
 
@@ -30,14 +39,23 @@ test('exports', () => {
   expect(CHANGED_ASSETS_PRINT_LIMIT).toBeDefined()
   expect(SERVER_DEFAULT_PORT).toBeDefined()
   expect(BUNDLER_DEFAULT_PORT).toBeDefined()
+  expect(MAX_ACTIVATION_RECORDS).toBeDefined()
+  expect(ACTION_MEMORY_LIMIT_MODE).toBeDefined()
+  expect(ACTION_CONTAINER_IDLE_TIMEOUT).toBeDefined()
+  expect(MAX_COMPOSITION_ACTIONS).toBeDefined()
+  expect(REQUEST_BODY_LIMIT).toBeDefined()
+  expect(CLIENT_IP).toBeDefined()
   expect(DEV_API_PREFIX).toBeDefined()
   expect(DEV_API_WEB_PREFIX).toBeDefined()
+  expect(DEV_API_GATEWAY_PREFIX).toBeDefined()
   expect(DEV_KEYS_DIR).toBeDefined()
   expect(DEV_KEYS_CONFIG_KEY).toBeDefined()
   expect(DEFAULT_LAUNCH_PREFIX).toBeDefined()
   expect(STAGE_LAUNCH_PREFIX).toBeDefined()
   expect(PRIVATE_KEY_PATH).toBeDefined()
   expect(PUB_CERT_PATH).toBeDefined()
+  expect(LOCAL_IMS_PRIVATE_KEY_PATH).toBeDefined()
+  expect(LOCAL_IMS_PUBLIC_KEY_PATH).toBeDefined()
   expect(BUNDLE_OPTIONS).toBeDefined()
 })
 
@@ -83,6 +101,60 @@ describe('override via env vars', () => {
     expect(constants.BUNDLER_DEFAULT_PORT).toEqual(newValue)
   })
 
+  test('override MAX_ACTIVATION_RECORDS', () => {
+    const newValue = 50
+    expect(MAX_ACTIVATION_RECORDS).not.toEqual(newValue)
+
+    process.env.MAX_ACTIVATION_RECORDS = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.MAX_ACTIVATION_RECORDS).toEqual(newValue)
+  })
+
+  test('override ACTION_MEMORY_LIMIT_MODE', () => {
+    const newValue = 'fail'
+    expect(ACTION_MEMORY_LIMIT_MODE).not.toEqual(newValue)
+
+    process.env.ACTION_MEMORY_LIMIT_MODE = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.ACTION_MEMORY_LIMIT_MODE).toEqual(newValue)
+  })
+
+  test('override ACTION_CONTAINER_IDLE_TIMEOUT', () => {
+    const newValue = 5000
+    expect(ACTION_CONTAINER_IDLE_TIMEOUT).not.toEqual(newValue)
+
+    process.env.ACTION_CONTAINER_IDLE_TIMEOUT = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.ACTION_CONTAINER_IDLE_TIMEOUT).toEqual(newValue)
+  })
+
+  test('override MAX_COMPOSITION_ACTIONS', () => {
+    const newValue = 5
+    expect(MAX_COMPOSITION_ACTIONS).not.toEqual(newValue)
+
+    process.env.MAX_COMPOSITION_ACTIONS = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.MAX_COMPOSITION_ACTIONS).toEqual(newValue)
+  })
+
+  test('override REQUEST_BODY_LIMIT', () => {
+    const newValue = 2048
+    expect(REQUEST_BODY_LIMIT).not.toEqual(newValue)
+
+    process.env.REQUEST_BODY_LIMIT = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.REQUEST_BODY_LIMIT).toEqual(newValue)
+  })
+
+  test('override CLIENT_IP', () => {
+    const newValue = '203.0.113.7'
+    expect(CLIENT_IP).not.toEqual(newValue)
+
+    process.env.CLIENT_IP = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.CLIENT_IP).toEqual(newValue)
+  })
+
   test('override DEV_KEYS_DIR', () => {
     const newValue = 'some/new/folder'
     expect(DEV_KEYS_DIR).not.toEqual(newValue)
@@ -119,6 +191,15 @@ describe('override via env vars', () => {
     expect(constants.DEV_API_WEB_PREFIX).toEqual(newValue)
   })
 
+  test('override DEV_API_GATEWAY_PREFIX', () => {
+    const newValue = 'some/new/apis'
+    expect(DEV_API_GATEWAY_PREFIX).not.toEqual(newValue)
+
+    process.env.DEV_API_GATEWAY_PREFIX = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.DEV_API_GATEWAY_PREFIX).toEqual(newValue)
+  })
+
   test('*should not* be able to override DEFAULT_LAUNCH_PREFIX', () => {
     const newValue = 'https://foobar?localDevUrl='
     const oldValue = DEFAULT_LAUNCH_PREFIX
@@ -159,6 +240,26 @@ describe('override via env vars', () => {
     expect(constants.PUB_CERT_PATH).toEqual(oldValue) // did not change
   })
 
+  test('*should not* be able to override LOCAL_IMS_PRIVATE_KEY_PATH', () => {
+    const newValue = 'my/secret/ims/stash'
+    const oldValue = LOCAL_IMS_PRIVATE_KEY_PATH
+    expect(oldValue).not.toEqual(newValue)
+
+    process.env.LOCAL_IMS_PRIVATE_KEY_PATH = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.LOCAL_IMS_PRIVATE_KEY_PATH).toEqual(oldValue) // did not change
+  })
+
+  test('*should not* be able to override LOCAL_IMS_PUBLIC_KEY_PATH', () => {
+    const newValue = 'my/public/ims/stash'
+    const oldValue = LOCAL_IMS_PUBLIC_KEY_PATH
+    expect(oldValue).not.toEqual(newValue)
+
+    process.env.LOCAL_IMS_PUBLIC_KEY_PATH = newValue
+    const constants = require(CONSTANTS_PATH) // re-load
+    expect(constants.LOCAL_IMS_PUBLIC_KEY_PATH).toEqual(oldValue) // did not change
+  })
+
   test('*should not* be able to override BUNDLE_OPTIONS', () => {
     const newValue = { someOption: 'do an infinite loop' }
     const oldValue = BUNDLE_OPTIONS
@@ -0,0 +1,130 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { nextCronTime, parseCronExpression } = require('../../src/lib/cron')
+
+const utc = (...args) => Date.UTC(...args)
+
+test('exports', () => {
+  expect(nextCronTime).toBeDefined()
+  expect(parseCronExpression).toBeDefined()
+})
+
+describe('parseCronExpression', () => {
+  test('every minute', () => {
+    const schedule = parseCronExpression('* * * * *')
+    expect(schedule.minutes.size).toEqual(60)
+    expect(schedule.hours.size).toEqual(24)
+    expect(schedule.daysOfMonth.size).toEqual(31)
+    expect(schedule.months.size).toEqual(12)
+    expect([...schedule.daysOfWeek].sort()).toEqual([0, 1, 2, 3, 4, 5, 6])
+    expect(schedule.isDayOfMonthRestricted).toBe(false)
+    expect(schedule.isDayOfWeekRestricted).toBe(false)
+  })
+
+  test('values, ranges, steps and lists', () => {
+    const schedule = parseCronExpression('0,30 9-17/4 1 */3 1-5')
+    expect([...schedule.minutes]).toEqual([0, 30])
+    expect([...schedule.hours]).toEqual([9, 13, 17])
+    expect([...schedule.daysOfMonth]).toEqual([1])
+    expect([...schedule.months]).toEqual([1, 4, 7, 10])
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5])
+    expect(schedule.isDayOfMonthRestricted).toBe(true)
+    expect(schedule.isDayOfWeekRestricted).toBe(true)
+  })
+
+  test('a value with a step is a range up to the field maximum', () => {
+    expect([...parseCronExpression('5/20 * * * *').minutes]).toEqual([5, 25, 45])
+  })
+
+  test('month and day of week names', () => {
+    const schedule = parseCronExpression('0 0 * JAN,jun-aug sun,Sat')
+    expect([...schedule.months]).toEqual([1, 6, 7, 8])
+    expect([...schedule.daysOfWeek]).toEqual([0, 6])
+  })
+
+  test('day of week 7 is Sunday', () => {
+    expect([...parseCronExpression('0 0 * * 7').daysOfWeek]).toEqual([0])
+    expect([...parseCronExpression('0 0 * * 5-7').daysOfWeek].sort()).toEqual([0, 5, 6])
+  })
+
+  test('the expression must have 5 fields', () => {
+    const message = 'it must have 5 fields (minute, hour, day of month, month, day of week)'
+    expect(() => parseCronExpression('* * * *')).toThrow(`Invalid cron expression '* * * *', ${message}`)
+    expect(() => parseCronExpression('0 * * * * *')).toThrow(message)
+    expect(() => parseCronExpression()).toThrow(`Invalid cron expression 'undefined', ${message}`)
+  })
+
+  test('invalid fields', () => {
+    expect(() => parseCronExpression('60 * * * *')).toThrow('Invalid minute \'60\' in the cron expression')
+    expect(() => parseCronExpression('* 24 * * *')).toThrow('Invalid hour \'24\' in the cron expression')
+    expect(() => parseCronExpression('* * 0 * *')).toThrow('Invalid day of month \'0\' in the cron expression')
+    expect(() => parseCronExpression('* * * foo *')).toThrow('Invalid month \'foo\' in the cron expression')
+    expect(() => parseCronExpression('* * * * 8')).toThrow('Invalid day of week \'8\' in the cron expression')
+    expect(() => parseCronExpression('*/0 * * * *')).toThrow('Invalid minute \'*/0\'')
+    expect(() => parseCronExpression('*/x * * * *')).toThrow('Invalid minute \'*/x\'')
+    expect(() => parseCronExpression('1/2/3 * * * *')).toThrow('Invalid minute \'1/2/3\'')
+    expect(() => parseCronExpression('1-2-3 * * * *')).toThrow('Invalid minute \'1-2-3\'')
+    expect(() => parseCronExpression('30-10 * * * *')).toThrow('Invalid minute \'30-10\'')
+    expect(() => parseCronExpression('1,,2 * * * *')).toThrow('Invalid minute \'\'')
+  })
+})
+
+describe('nextCronTime', () => {
+  test('every minute', () => {
+    const schedule = parseCronExpression('* * * * *')
+    expect(nextCronTime(schedule, utc(2024, 0, 1, 12, 30, 15))).toEqual(utc(2024, 0, 1, 12, 31))
+    // the next time is after the time, even at the start of a minute
+    expect(nextCronTime(schedule, utc(2024, 0, 1, 12, 31))).toEqual(utc(2024, 0, 1, 12, 32))
+  })
+
+  test('every 15 minutes', () => {
+    const schedule = parseCronExpression('*/15 * * * *')
+    expect(nextCronTime(schedule, utc(2024, 0, 1, 12, 31))).toEqual(utc(2024, 0, 1, 12, 45))
+    expect(nextCronTime(schedule, utc(2024, 0, 1, 23, 50))).toEqual(utc(2024, 0, 2, 0, 0))
+  })
+
+  test('every day at a time (UTC)', () => {
+    const schedule = parseCronExpression('30 9 * * *')
+    expect(nextCronTime(schedule, utc(2024, 0, 1, 8, 0))).toEqual(utc(2024, 0, 1, 9, 30))
+    expect(nextCronTime(schedule, utc(2024, 0, 1, 10, 0))).toEqual(utc(2024, 0, 2, 9, 30))
+  })
+
+  test('day of week', () => {
+    // 2024-01-01 is a Monday
+    const schedule = parseCronExpression('0 0 * * fri')
+    expect(nextCronTime(schedule, utc(2024, 0, 1))).toEqual(utc(2024, 0, 5))
+  })
+
+  test('month, at the end of the year', () => {
+    const schedule = parseCronExpression('0 0 1 mar *')
+    expect(nextCronTime(schedule, utc(2024, 5, 1))).toEqual(utc(2025, 2, 1))
+  })
+
+  test('a day of month or a day of week, when both are restricted', () => {
+    // the 15th, or a Monday
+    const schedule = parseCronExpression('0 0 15 * 1')
+    expect(nextCronTime(schedule, utc(2024, 0, 2))).toEqual(utc(2024, 0, 8))
+    expect(nextCronTime(schedule, utc(2024, 0, 12))).toEqual(utc(2024, 0, 15))
+    expect(nextCronTime(schedule, utc(2024, 0, 15))).toEqual(utc(2024, 0, 22))
+  })
+
+  test('a day that is not in every month', () => {
+    const schedule = parseCronExpression('0 0 31 * *')
+    expect(nextCronTime(schedule, utc(2024, 3, 1))).toEqual(utc(2024, 4, 31))
+    expect(nextCronTime(parseCronExpression('0 0 29 feb *'), utc(2024, 2, 1))).toEqual(utc(2028, 1, 29))
+  })
+
+  test('a schedule that never matches', () => {
+    expect(nextCronTime(parseCronExpression('0 0 30 feb *'), utc(2024, 0, 1))).toBeUndefined()
+  })
+})
@@ -0,0 +1,229 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* global fixturePath */
+
+const path = require('node:path')
+const { captureActionLogs } = require('../../src/lib/action-logs')
+const { ActionLoadError, ActionMemoryError, ActionProcess, ActionProcessError, startActionProcess } = require('../../src/lib/isolated-runner')
+
+const FIXTURE_CWD = path.join(__dirname, '..', '__fixtures__')
+
+const createActionProcess = (fixture, options = {}) => new ActionProcess({
+  actionPath: fixturePath(`actions/${fixture}`),
+  version: 'v1',
+  cwd: FIXTURE_CWD,
+  memorySize: 256,
+  ...options
+})
+
+// runs a single activation in a new action process
+const runFixture = async (fixture, { env = {}, params = {}, ...options } = {}) => {
+  const actionProcess = createActionProcess(fixture, options)
+  try {
+    const { response } = await actionProcess.run({ env, params })
+    return response
+  } finally {
+    actionProcess.destroy()
+  }
+}
+
+test('exports', () => {
+  expect(ActionLoadError).toBeDefined()
+  expect(ActionMemoryError).toBeDefined()
+  expect(ActionProcess).toBeDefined()
+  expect(ActionProcessError).toBeDefined()
+  expect(startActionProcess).toBeDefined()
+})
+
+test('ActionProcessError prints as the original exception', () => {
+  const error = new ActionProcessError('Error: boom', 'Error: boom\n    at main')
+  expect(`${error}`).toEqual('Error: boom')
+  expect(error.stack).toEqual('Error: boom\n    at main')
+  expect(new ActionProcessError('boom').stack).toEqual('boom')
+})
+
+describe('startActionProcess', () => {
+  let proc, handlers
+
+  beforeEach(() => {
+    handlers = {}
+    proc = {
+      env: {},
+      stdout: {},
+      stderr: {},
+      send: jest.fn(),
+      exit: jest.fn(),
+      on: jest.fn((event, handler) => { handlers[event] = handler })
+    }
+    startActionProcess(proc)
+  })
+
+  test('output is sent as log messages', () => {
+    expect(proc.stdout.write('hello\n')).toBe(true)
+    expect(proc.stderr.write(Buffer.from('oops'))).toBe(true)
+    expect(proc.send).toHaveBeenCalledWith({ type: 'log', streamName: 'stdout', text: 'hello\n' })
+    expect(proc.send).toHaveBeenCalledWith({ type: 'log', streamName: 'stderr', text: 'oops' })
+  })
+
+  test('exits when the dev server stops', () => {
+    handlers.disconnect()
+    expect(proc.exit).toHaveBeenCalled()
+  })
+
+  test('action result (loaded on the first run only), with the activation env', async () => {
+    const actionPath = fixturePath('actions/addNumbersAction.js')
+    await handlers.message({ actionPath, env: { __OW_ACTIVATION_ID: 'id-1' }, params: { payload: '1,2' } })
+    expect(proc.send).toHaveBeenLastCalledWith({ type: 'result', response: { payload: 3, body: { payload: 3 } }, initTime: expect.any(Number) })
+    expect(proc.env.__OW_ACTIVATION_ID).toEqual('id-1')
+
+    await handlers.message({ actionPath, env: { __OW_ACTIVATION_ID: 'id-2' }, params: { payload: '2,2' } })
+    expect(proc.send).toHaveBeenLastCalledWith({ type: 'result', response: { payload: 4, body: { payload: 4 } }, initTime: undefined })
+    expect(proc.env.__OW_ACTIVATION_ID).toEqual('id-2')
+  })
+
+  test('action throws', async () => {
+    await handlers.message({ actionPath: fixturePath('actions/throwExceptionAction.js'), params: {} })
+    expect(proc.send).toHaveBeenCalledWith({
+      type: 'error',
+      text: 'Error: oops something wrong happened here',
+      stack: expect.stringContaining('throwExceptionAction.js')
+    })
+  })
+
+  test('action throws a non-error', async () => {
+    jest.doMock('/virtual/throwStringAction.js', () => ({ main: () => { throw 'oops' } }), { virtual: true }) // eslint-disable-line no-throw-literal
+    await handlers.message({ actionPath: '/virtual/throwStringAction.js', params: {} })
+    expect(proc.send).toHaveBeenCalledWith({ type: 'error', text: 'oops', stack: undefined })
+  })
+
+  test('action does not export main', async () => {
+    await handlers.message({ actionPath: fixturePath('actions/noMainAction.js'), params: {} })
+    expect(proc.send).toHaveBeenCalledWith({ type: 'load-error', text: 'does not export a function named \'main\'' })
+  })
+
+  test('action entry point (the manifest main field)', async () => {
+    const actionPath = fixturePath('dist/my-package/handlerAction-temp/index.js')
+    await handlers.message({ actionPath, entryPoint: 'handler', params: {} })
+    expect(proc.send).toHaveBeenCalledWith({ type: 'result', response: { body: 'Hello Handler Action' }, initTime: expect.any(Number) })
+  })
+
+  test('action cannot be loaded', async () => {
+    await handlers.message({ actionPath: fixturePath('actions/does-not-exist.js'), params: {} })
+    expect(proc.send).toHaveBeenCalledWith({ type: 'load-error', text: expect.stringContaining('could not be loaded: Cannot find module') })
+  })
+})
+
+describe('ActionProcess', () => {
+  test('runs the action in its own process, with its own cwd and env', async () => {
+    const response = await runFixture('processInfoAction.js', {
+      env: { __OW_ACTIVATION_ID: 'my-activation-id' },
+      params: { name: 'world' }
+    })
+
+    expect(response).toEqual({
+      body: {
+        cwd: FIXTURE_CWD,
+        activationId: 'my-activation-id',
+        name: 'world'
+      }
+    })
+    expect(process.env.__OW_ACTIVATION_ID).not.toBeDefined()
+  })
+
+  test('action output is captured in the activation logs', async () => {
+    const { result, logs } = await captureActionLogs(
+      { activationId: 'id-1', actionName: 'myaction' },
+      () => runFixture('processInfoAction.js', { env: { __OW_ACTIVATION_ID: 'id-1' } })
+    )
+
+    expect(result.body.activationId).toEqual('id-1')
+    expect(logs).toEqual([
+      expect.stringMatching(`stdout: cwd is ${FIXTURE_CWD}$`),
+      expect.stringMatching('stderr: activation id is id-1$')
+    ])
+  })
+
+  test('action throws', async () => {
+    const run = runFixture('throwExceptionAction.js')
+    await expect(run).rejects.toBeInstanceOf(ActionProcessError)
+    await expect(run).rejects.toThrow('Error: oops something wrong happened here')
+  })
+
+  test('action does not export main', async () => {
+    const run = runFixture('noMainAction.js')
+    await expect(run).rejects.toBeInstanceOf(ActionLoadError)
+    await expect(run).rejects.toThrow('does not export a function named \'main\'')
+  })
+
+  test('action entry point (the manifest main field)', async () => {
+    const response = await runFixture('../dist/my-package/handlerAction-temp/index.js', { entryPoint: 'handler' })
+    expect(response).toEqual({ body: 'Hello Handler Action' })
+  })
+
+  test('action process exits', async () => {
+    await expect(runFixture('exitProcessAction.js')).rejects.toThrow('The action process exited unexpectedly (exit code 3).')
+  })
+
+  test('action exhausts its memory, its process is aborted', async () => {
+    const run = runFixture('exhaustMemoryAction.js', { memorySize: 16 })
+    await expect(run).rejects.toThrow(ActionMemoryError)
+    await expect(run).rejects.toThrow('The action process ran out of memory.')
+  })
+
+  test('action process cannot be started', async () => {
+    await expect(runFixture('successReturnAction.js', { cwd: path.join(FIXTURE_CWD, 'does-not-exist') })).rejects.toThrow('ENOENT')
+  })
+
+  test('action process is killed when aborted', async () => {
+    const abortController = new AbortController()
+    const actionProcess = createActionProcess('neverReturnAction.js')
+    const run = actionProcess.run({ env: {}, params: {}, signal: abortController.signal })
+    abortController.abort()
+    await expect(run).rejects.toThrow('The action process was stopped.')
+  })
+
+  test('action process is a warm container (the action is loaded once)', async () => {
+    const actionProcess = createActionProcess('processInfoAction.js')
+    try {
+      const first = await actionProcess.run({ env: { __OW_ACTIVATION_ID: 'id-1' }, params: {} })
+      expect(first.initTime).toEqual(expect.any(Number))
+      expect(first.response.body.activationId).toEqual('id-1')
+
+      const second = await actionProcess.run({ env: { __OW_ACTIVATION_ID: 'id-2' }, params: {} })
+      expect(second.initTime).not.toBeDefined()
+      expect(second.response.body.activationId).toEqual('id-2')
+    } finally {
+      actionProcess.destroy()
+    }
+    expect(actionProcess.version).toEqual('v1')
+  })
+
+  test('output outside of an activation is written as is', () => {
+    const actionProcess = createActionProcess('successReturnAction.js')
+    actionProcess.destroy()
+    const write = jest.spyOn(process.stdout, 'write')
+
+    actionProcess.onMessage({ type: 'log', streamName: 'stdout', text: 'late output\n' })
+    expect(write).toHaveBeenCalledWith('late output\n')
+    write.mockRestore()
+  })
+
+  test('exit outside of an activation is recorded', async () => {
+    const actionProcess = createActionProcess('successReturnAction.js')
+    await new Promise(resolve => {
+      actionProcess.child.on('exit', resolve)
+      actionProcess.destroy()
+    })
+    expect(actionProcess.exited).toBe(true)
+  })
+})
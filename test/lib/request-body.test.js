@@ -0,0 +1,199 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+jest.unmock('express')
+
+const http = require('node:http')
+const fs = require('node:fs')
+const express = require('express')
+const { REQUEST_BODY_LIMIT } = require('../../src/lib/constants')
+const { parseQueryParameters } = require('../../src/lib/request-query')
+const {
+  RAW_CONTENT_TYPES, base64Size, createRequestBodyParser, requestBodyLimit
+} = require('../../src/lib/request-body')
+
+const actions = {
+  upload: { limits: { requestBodySize: 100 } },
+  rawUpload: { limits: { requestBodySize: 100 }, web: 'raw' },
+  formUpload: { limits: { requestBodySize: 1024 } },
+  rawFormUpload: { limits: { requestBodySize: 1024 }, web: 'raw' },
+  unlimited: {}
+}
+
+// a dev server, whose actions respond with the parsed request body
+let server, baseUrl
+beforeAll(async () => {
+  const app = express()
+  const bodyParser = createRequestBodyParser({
+    findAction: (req) => actions[req.params[0]],
+    isRawAction: (action) => action?.web === 'raw'
+  })
+  app.all('/*', bodyParser, (req, res) => res.send({ body: Buffer.isBuffer(req.body) ? req.body.length : req.body }))
+  app.use((error, req, res, next) => res.status(500).send({ error: error.message }))
+  server = http.createServer(app)
+  await new Promise(resolve => server.listen(0, 'localhost', resolve))
+  baseUrl = `http://localhost:${server.address().port}`
+})
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve))
+})
+
+const post = async (actionName, body, contentType = 'application/json') => {
+  const response = await fetch(`${baseUrl}/${actionName}`, { method: 'POST', headers: { 'content-type': contentType }, body })
+  return { status: response.status, body: await response.json() }
+}
+
+/**
+ * Encodes a multipart/form-data body, like a browser does: a form field, and the file parts of the fixtures.
+ *
+ * @private
+ * @param {object} [files] the file parts, by field name: a fixture file name, or a buffer
+ * @returns {Promise<object>} the body (a buffer) and its content type (with the boundary)
+ */
+const formDataBody = async (files = { manuscript: 'manuscript.txt', pixel: 'pixel.png' }) => {
+  const formData = new FormData()
+  formData.append('title', 'Paperback Writer')
+  Object.entries(files).forEach(([name, file]) => {
+    const content = Buffer.isBuffer(file) ? file : fs.readFileSync(fixturePath(`multipart/${file}`))
+    formData.append(name, new Blob([content]), Buffer.isBuffer(file) ? `${name}.bin` : file)
+  })
+  const request = new Request('http://localhost', { method: 'POST', body: formData })
+  return { body: Buffer.from(await request.arrayBuffer()), contentType: request.headers.get('content-type') }
+}
+
+test('exports', () => {
+  expect(RAW_CONTENT_TYPES).toEqual(['application/octet-stream', 'multipart/*'])
+  expect(base64Size).toBeDefined()
+  expect(createRequestBodyParser).toBeDefined()
+  expect(requestBodyLimit).toBeDefined()
+})
+
+test('base64Size', () => {
+  expect(base64Size(0)).toEqual(0)
+  expect(base64Size(1)).toEqual(4)
+  expect(base64Size(75)).toEqual(100)
+  expect(base64Size(76)).toEqual(104)
+})
+
+test('requestBodyLimit', () => {
+  expect(requestBodyLimit(actions.upload)).toEqual(100)
+  expect(requestBodyLimit(actions.unlimited)).toEqual(REQUEST_BODY_LIMIT)
+  expect(requestBodyLimit(undefined)).toEqual(1024 * 1024)
+})
+
+describe('createRequestBodyParser', () => {
+  // a JSON string of the size
+  const jsonOfSize = (size) => JSON.stringify('x'.repeat(size - 2))
+
+  test('body at the action limit', async () => {
+    expect(await post('upload', jsonOfSize(100))).toEqual({ status: 200, body: { body: 'x'.repeat(98) } })
+    expect(await post('upload', 'x'.repeat(100), 'text/plain')).toEqual({ status: 200, body: { body: 'x'.repeat(100) } })
+  })
+
+  test('body over the action limit (413, like Runtime)', async () => {
+    expect(await post('upload', jsonOfSize(101))).toEqual({
+      status: 413,
+      body: { error: 'Request larger than allowed: 101 > 100 bytes.' }
+    })
+    expect(await post('upload', 'x'.repeat(101), 'text/plain')).toEqual({
+      status: 413,
+      body: { error: 'Request larger than allowed: 101 > 100 bytes.' }
+    })
+  })
+
+  test('raw web action, the limit of the base64 encoded body', async () => {
+    // 75 bytes are 100 bytes once base64 encoded
+    expect(await post('rawUpload', Buffer.alloc(75), 'application/octet-stream')).toEqual({ status: 200, body: { body: 75 } })
+    expect(await post('rawUpload', Buffer.alloc(76), 'application/octet-stream')).toEqual({
+      status: 413,
+      body: { error: 'Request larger than allowed: 104 > 100 bytes.' }
+    })
+    // a text body is passed as is
+    expect(await post('rawUpload', 'x'.repeat(100), 'text/plain')).toEqual({ status: 200, body: { body: 'x'.repeat(100) } })
+    expect(await post('rawUpload', 'x'.repeat(101), 'text/plain')).toEqual({
+      status: 413,
+      body: { error: 'Request larger than allowed: 101 > 100 bytes.' }
+    })
+  })
+
+  test('raw web action, a form body is passed as is (not base64 encoded)', async () => {
+    const formOfSize = (size) => `a=${'x'.repeat(size - 2)}`
+    expect(await post('rawUpload', formOfSize(100), 'application/x-www-form-urlencoded')).toEqual({ status: 200, body: { body: { a: 'x'.repeat(98) } } })
+    expect(await post('rawUpload', formOfSize(101), 'application/x-www-form-urlencoded')).toEqual({
+      status: 413,
+      body: { error: 'Request larger than allowed: 101 > 100 bytes.' }
+    })
+  })
+
+  test('a form body is parsed like the query: flat, and the last value of a repeated key wins', async () => {
+    const form = 'a[b]=1&c=2&c=3&d=%C3%A9t%C3%A9+x'
+    const expected = { 'a[b]': '1', c: '3', d: 'été x' }
+    expect(parseQueryParameters(form)).toEqual(expected)
+    expect(await post('unlimited', form, 'application/x-www-form-urlencoded')).toEqual({ status: 200, body: { body: expected } })
+    // a json body is not changed
+    expect(await post('unlimited', JSON.stringify({ c: ['2', '3'] }))).toEqual({ status: 200, body: { body: { c: ['2', '3'] } } })
+  })
+
+  describe('multipart bodies, base64 encoded for raw and non-raw web actions (like Runtime)', () => {
+    test.each(['formUpload', 'rawFormUpload', 'unlimited'])('multipart/form-data, with its boundary (%s)', async (actionName) => {
+      const { body, contentType } = await formDataBody()
+      expect(contentType).toMatch(/^multipart\/form-data; boundary=/)
+      expect(await post(actionName, body, contentType)).toEqual({ status: 200, body: { body: body.length } })
+    })
+
+    test('other multipart content types', async () => {
+      const body = Buffer.from('--b\r\nContent-Type: text/plain\r\n\r\nhello\r\n--b--')
+      expect(await post('upload', body, 'multipart/mixed; boundary=b')).toEqual({ status: 200, body: { body: body.length } })
+      expect(await post('upload', body, 'multipart/related; boundary=b')).toEqual({ status: 200, body: { body: body.length } })
+    })
+
+    test('the limit of the base64 encoded body, for a non-raw web action too', async () => {
+      expect(await post('upload', Buffer.alloc(75), 'multipart/form-data; boundary=b')).toEqual({ status: 200, body: { body: 75 } })
+      expect(await post('upload', Buffer.alloc(76), 'multipart/form-data; boundary=b')).toEqual({
+        status: 413,
+        body: { error: 'Request larger than allowed: 104 > 100 bytes.' }
+      })
+    })
+
+    test('large file parts, within the default limit', async () => {
+      const maxSize = Math.floor(REQUEST_BODY_LIMIT * 3 / 4)
+      const small = await formDataBody({ manuscript: 'manuscript.txt', upload: Buffer.alloc(maxSize - 1024, 1) })
+      expect(await post('unlimited', small.body, small.contentType)).toEqual({ status: 200, body: { body: small.body.length } })
+
+      const large = await formDataBody({ manuscript: 'manuscript.txt', upload: Buffer.alloc(maxSize, 1) })
+      expect(await post('unlimited', large.body, large.contentType)).toEqual({
+        status: 413,
+        body: { error: `Request larger than allowed: ${base64Size(large.body.length)} > ${REQUEST_BODY_LIMIT} bytes.` }
+      })
+    })
+  })
+
+  test('chunked body over the limit (without content-length)', async () => {
+    const chunks = (async function * () {
+      yield Buffer.from('"' + 'x'.repeat(60))
+      yield Buffer.from('x'.repeat(60) + '"')
+    })()
+    const response = await fetch(`${baseUrl}/upload`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: chunks, duplex: 'half' })
+    expect(response.status).toEqual(413)
+    expect(await response.json()).toEqual({ error: expect.stringMatching(/^Request larger than allowed: \d+ > 100 bytes\.$/) })
+  })
+
+  test('the default limit, for an action without one', async () => {
+    expect(await post('unlimited', jsonOfSize(200))).toEqual({ status: 200, body: { body: 'x'.repeat(198) } })
+    expect(await post('unknown', jsonOfSize(200))).toEqual({ status: 200, body: { body: 'x'.repeat(198) } })
+  })
+
+  test('the other body errors are passed on', async () => {
+    expect(await post('upload', '{ not json')).toEqual({ status: 500, body: { error: expect.stringContaining('JSON') } })
+  })
+})
@@ -0,0 +1,89 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { HOP_BY_HOP_HEADERS, createActionHeaders } = require('../../src/lib/request-headers')
+
+const createReq = ({ headers, protocol = 'https' } = {}) => ({ headers, protocol })
+
+test('exports', () => {
+  expect(HOP_BY_HOP_HEADERS).toEqual(expect.arrayContaining(['connection', 'keep-alive', 'transfer-encoding', 'upgrade']))
+  expect(createActionHeaders).toBeDefined()
+})
+
+describe('createActionHeaders', () => {
+  test('the gateway headers are added', () => {
+    const req = createReq({ headers: { host: 'localhost:9080', accept: 'application/json' } })
+    const receivedAt = Date.UTC(2024, 0, 1, 12, 30, 15, 250)
+
+    expect(createActionHeaders({ req, receivedAt })).toEqual({
+      host: 'localhost:9080',
+      accept: 'application/json',
+      'x-forwarded-for': '127.0.0.1',
+      'x-forwarded-host': 'localhost:9080',
+      'x-forwarded-proto': 'https',
+      'x-request-id': expect.stringMatching(/^[0-9a-f]{32}$/),
+      'perf-br-req-in': '1704112215.250'
+    })
+  })
+
+  test('each request has its own x-request-id', () => {
+    const req = createReq({ headers: {} })
+    expect(createActionHeaders({ req })['x-request-id']).not.toEqual(createActionHeaders({ req })['x-request-id'])
+  })
+
+  test('the header names are lowercase', () => {
+    const req = createReq({ headers: { 'Content-Type': 'text/plain', 'X-GW-IMS-ORG-ID': 'some-org-id' } })
+    const headers = createActionHeaders({ req })
+    expect(headers).toMatchObject({ 'content-type': 'text/plain', 'x-gw-ims-org-id': 'some-org-id' })
+    expect(headers['Content-Type']).not.toBeDefined()
+  })
+
+  test('the hop-by-hop headers are removed, with the ones named by the connection header', () => {
+    const req = createReq({
+      headers: {
+        connection: 'keep-alive, X-Hop',
+        'keep-alive': 'timeout=5',
+        'transfer-encoding': 'chunked',
+        upgrade: 'websocket',
+        te: 'trailers',
+        'x-hop': 'value',
+        'x-end-to-end': 'value'
+      }
+    })
+    const headers = createActionHeaders({ req })
+    expect(headers['x-end-to-end']).toEqual('value')
+    const removed = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'te', 'x-hop']
+    removed.forEach(name => expect(headers[name]).not.toBeDefined())
+  })
+
+  test('the request forwarded headers are replaced', () => {
+    const req = createReq({
+      headers: { host: 'localhost:9080', 'x-forwarded-for': '10.0.0.1', 'x-forwarded-host': 'example.com', 'x-forwarded-proto': 'http' }
+    })
+    expect(createActionHeaders({ req })).toMatchObject({
+      'x-forwarded-for': '127.0.0.1',
+      'x-forwarded-host': 'localhost:9080',
+      'x-forwarded-proto': 'https'
+    })
+  })
+
+  test('a request without a host header', () => {
+    const headers = createActionHeaders({ req: createReq({ headers: {} }) })
+    expect(headers['x-forwarded-host']).not.toBeDefined()
+    expect(createActionHeaders({ req: createReq() })['x-forwarded-for']).toEqual('127.0.0.1')
+  })
+
+  test('configurable client IP', () => {
+    const req = createReq({ headers: {} })
+    expect(createActionHeaders({ req, clientIp: '203.0.113.7' })['x-forwarded-for']).toEqual('203.0.113.7')
+  })
+})
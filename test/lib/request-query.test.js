@@ -0,0 +1,49 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { parseQueryParameters, rawQueryString } = require('../../src/lib/request-query')
+
+test('exports', () => {
+  expect(parseQueryParameters).toBeDefined()
+  expect(rawQueryString).toBeDefined()
+})
+
+test('rawQueryString', () => {
+  expect(rawQueryString({ originalUrl: '/api/v1/web/foo/bar?a=1&b=%20x+y' })).toEqual('a=1&b=%20x+y')
+  expect(rawQueryString({ originalUrl: '/api/v1/web/foo/bar?' })).toEqual('')
+  expect(rawQueryString({ originalUrl: '/api/v1/web/foo/bar' })).toEqual('')
+  expect(rawQueryString({})).toEqual('')
+})
+
+describe('parseQueryParameters', () => {
+  test('string values', () => {
+    expect(parseQueryParameters('a=1&b=true&c=')).toEqual({ a: '1', b: 'true', c: '' })
+    expect(parseQueryParameters('')).toEqual({})
+  })
+
+  test('the parameters are flat (no nested objects or arrays)', () => {
+    expect(parseQueryParameters('a[b]=1&c[]=2&d.e=3')).toEqual({ 'a[b]': '1', 'c[]': '2', 'd.e': '3' })
+  })
+
+  test('the last value of a repeated key wins', () => {
+    expect(parseQueryParameters('a=1&a=2&a=3')).toEqual({ a: '3' })
+  })
+
+  test('encoded keys and values are decoded', () => {
+    expect(parseQueryParameters('name=John%20Doe&q=a+b&emoji=%F0%9F%8E%B5&a%26b=c%3Dd')).toEqual({
+      name: 'John Doe',
+      q: 'a b',
+      emoji: '🎵',
+      'a&b': 'c=d'
+    })
+  })
+})
@@ -19,10 +19,21 @@ const mockGetPort = require('get-port')
 const { URLSearchParams } = require('node:url')
 const {
   createActionParametersFromRequest, runDev, serveWebAction, serveNonWebAction, httpStatusResponse,
-  invokeAction, invokeSequence, interpolate, statusCodeMessage, isRawWebAction, isWebAction, defaultActionLoader
+  invokeAction, invokeConductor, invokeSequence, interpolate, statusCodeMessage, isRawWebAction, isWebAction, defaultActionLoader,
+  applyPackageConfig, secureWebActions, fireTrigger
 } = require('../../src/lib/run-dev')
+const { activationStore, createActivationRecord } = require('../../src/lib/activations')
+const { ActionLoadError, ActionMemoryError, ActionProcess, ActionProcessError } = require('../../src/lib/isolated-runner')
+const { actionContainers } = require('../../src/lib/action-containers')
+const { createToken } = require('../../src/lib/local-ims')
+const crypto = require('node:crypto')
+const fs = require('node:fs')
 
 jest.mock('node:path')
+jest.mock('../../src/lib/isolated-runner', () => ({
+  ...jest.requireActual('../../src/lib/isolated-runner'),
+  ActionProcess: jest.fn()
+}))
 
 /* eslint no-template-curly-in-string: 0 */
 
@@ -94,6 +105,8 @@ const createReq = ({ url, body, headers = {}, query, method = 'GET', is = jest.f
     headers,
     query,
     method,
+    protocol: 'https',
+    originalUrl: `/${url}${query ? `?${new URLSearchParams(query)}` : ''}`,
     params: [url],
     is
   }
@@ -110,6 +123,7 @@ const createConfig = ({ distDev = 'dist', hasFrontend, hasBackend, packageName =
     ow: {
       namespace: 'mynamespace',
       auth: 'myauthkey',
+      apiversion: 'v1',
       defaultApihost: 'https://localhost',
       apihost: 'https://localhost'
     },
@@ -161,6 +175,7 @@ beforeEach(() => {
   path.join.mockReset()
   path.dirname = jest.fn(() => 'dirname')
   process.chdir = jest.fn()
+  actionContainers.clear()
 })
 
 describe('test interpolate', () => {
@@ -244,6 +259,16 @@ describe('createActionParametersFromRequest', () => {
     expect(actionParams.__ow_body).not.toBeDefined()
   })
 
+  test.each([
+    ['array', ['a', 'b']],
+    ['string', 'hello'],
+    ['number', 5]
+  ])('non-raw: POST application/json %s body is not merged into the parameters', async (_, body) => {
+    const actionParams = await createAsyncFnCall({ isRaw: false, mimeType: 'application/json', body, method: 'POST' })
+    expect(actionParams[0]).not.toBeDefined()
+    expect(actionParams.__ow_body).toEqual(body)
+  })
+
   test('non-raw: POST application/x-www-form-urlencoded', async () => {
     const isRaw = false
     const method = 'POST'
@@ -307,6 +332,149 @@ describe('createActionParametersFromRequest', () => {
     expect(actionParams.__ow_body).toEqual(formData.toString()) // raw body will *NOT* be base64'ed for this content-type
   })
 
+  describe('multipart/form-data, like Runtime (see the post-data and post-raw-data e2e actions)', () => {
+    /** @private */
+    async function createFormDataCall ({ isRaw }) {
+      const formData = new FormData()
+      formData.append('title', 'Paperback Writer')
+      formData.append('manuscript', new Blob([fs.readFileSync(fixturePath('multipart/manuscript.txt'))]), 'manuscript.txt')
+      formData.append('pixel', new Blob([fs.readFileSync(fixturePath('multipart/pixel.png'))]), 'pixel.png')
+      const request = new Request('https://localhost', { method: 'POST', body: formData })
+      const contentType = request.headers.get('content-type')
+      const body = Buffer.from(await request.arrayBuffer()) // as the express raw middleware parses it
+
+      const actionParams = await createAsyncFnCall({ isRaw, mimeType: contentType, body, method: 'POST' })
+      return { actionParams, body, contentType }
+    }
+
+    test.each([false, true])('the body is base64 encoded, with its parts and boundary (raw = %s)', async (isRaw) => {
+      const { actionParams, body, contentType } = await createFormDataCall({ isRaw })
+      expect(contentType).toMatch(/^multipart\/form-data; boundary=.+/)
+      expect(actionParams.__ow_headers['content-type']).toEqual(contentType)
+      expect(actionParams.__ow_body).toEqual(body.toString('base64'))
+
+      const decodedBody = Buffer.from(actionParams.__ow_body, 'base64')
+      const boundary = contentType.split('boundary=')[1]
+      expect(decodedBody.toString('latin1').startsWith(`--${boundary}\r\n`)).toBe(true)
+      expect(decodedBody.includes(fs.readFileSync(fixturePath('multipart/pixel.png')))).toBe(true)
+      expect(decodedBody.includes(fs.readFileSync(fixturePath('multipart/manuscript.txt')))).toBe(true)
+    })
+
+    test('the form fields are not promoted to parameters (non-raw)', async () => {
+      const { actionParams } = await createFormDataCall({ isRaw: false })
+      expect(actionParams.title).not.toBeDefined()
+      expect(actionParams.manuscript).not.toBeDefined()
+      expect(actionParams.pixel).not.toBeDefined()
+    })
+  })
+
+  describe.each(['PUT', 'PATCH', 'DELETE'])('%s bodies are passed like POST bodies', (method) => {
+    test('non-raw: application/json', async () => {
+      const body = { some: 'json' }
+      const actionParams = await createAsyncFnCall({ isRaw: false, mimeType: 'application/json', body, method })
+      expect(actionParams).toMatchObject({ ...body, __ow_method: method.toLowerCase() })
+      expect(actionParams.__ow_body).not.toBeDefined()
+    })
+
+    test('non-raw: application/x-www-form-urlencoded', async () => {
+      const body = Object.fromEntries(new URLSearchParams('a=b&c=d'))
+      const actionParams = await createAsyncFnCall({ isRaw: false, mimeType: 'application/x-www-form-urlencoded', body, method })
+      expect(actionParams).toMatchObject(body)
+      expect(actionParams.__ow_body).not.toBeDefined()
+    })
+
+    test('non-raw: text/plain', async () => {
+      const body = 'here comes the sun'
+      const actionParams = await createAsyncFnCall({ isRaw: false, mimeType: 'text/plain', body, method })
+      expect(actionParams.__ow_body).toEqual(body)
+    })
+
+    test('raw: application/json', async () => {
+      const body = { some: 'json' }
+      const actionParams = await createAsyncFnCall({ isRaw: true, mimeType: 'application/json', body, method })
+      expect(actionParams.__ow_body).toEqual(Buffer.from(JSON.stringify(body)).toString('base64'))
+      expect(actionParams.some).not.toBeDefined()
+    })
+
+    test('raw: application/x-www-form-urlencoded', async () => {
+      const formData = new URLSearchParams('a=b&c=d')
+      const actionParams = await createAsyncFnCall({ isRaw: true, mimeType: 'application/x-www-form-urlencoded', body: Object.fromEntries(formData), method })
+      expect(actionParams.__ow_body).toEqual(formData.toString())
+    })
+
+    test('raw: text/plain', async () => {
+      const body = Buffer.from('here comes the sun')
+      const actionParams = await createAsyncFnCall({ isRaw: true, mimeType: 'text/plain', body, method })
+      expect(actionParams.__ow_body).toEqual(body.toString('base64'))
+    })
+
+    test('raw: multipart/form-data', async () => {
+      const body = Buffer.from('--boundary\r\nContent-Disposition: form-data; name="a"\r\n\r\nb\r\n--boundary--')
+      const actionParams = await createAsyncFnCall({ isRaw: true, mimeType: 'multipart/form-data', body, method })
+      expect(actionParams.__ow_body).toEqual(body.toString('base64'))
+    })
+  })
+
+  test('GET: the body is not passed', async () => {
+    const nonRawParams = await createAsyncFnCall({ isRaw: false, mimeType: 'application/json', body: { some: 'json' }, method: 'GET' })
+    expect(nonRawParams.some).not.toBeDefined()
+    expect(nonRawParams.__ow_body).not.toBeDefined()
+
+    const rawParams = await createAsyncFnCall({ isRaw: true, mimeType: 'text/plain', body: Buffer.from('hello'), method: 'GET' })
+    expect(rawParams.__ow_body).not.toBeDefined()
+  })
+
+  describe('query, like Runtime', () => {
+    const createQueryCall = ({ isRaw, queryString }) => createActionParametersFromRequest({
+      req: { ...createReq({ url: 'foo/bar' }), originalUrl: `/foo/bar?${queryString}` },
+      contextItem: { function: fixturePath('actions/successReturnAction.js'), web: isRaw ? 'raw' : 'yes' },
+      actionInputs: { a: 'input' }
+    })
+
+    test('non-raw: the query parameters are flat strings, without __ow_query', () => {
+      const params = createQueryCall({ isRaw: false, queryString: 'a=1&a=2&b[c]=3&d=%C3%A9t%C3%A9+x' })
+      expect(params).toMatchObject({ a: '2', 'b[c]': '3', d: 'été x' })
+      expect(params.b).not.toBeDefined()
+      expect(params.__ow_query).not.toBeDefined()
+    })
+
+    test('raw: the query string is passed as is in __ow_query, not as parameters', () => {
+      const queryString = 'a=1&a=2&b[c]=3&d=%C3%A9t%C3%A9+x'
+      const params = createQueryCall({ isRaw: true, queryString })
+      expect(params.__ow_query).toEqual(queryString)
+      expect(params.a).toEqual('input')
+      expect(params['b[c]']).not.toBeDefined()
+    })
+
+    test('raw: no query string', () => {
+      const params = createActionParametersFromRequest({
+        req: createReq({ url: 'foo/bar' }),
+        contextItem: { web: 'raw' }
+      })
+      expect(params.__ow_query).toEqual('')
+    })
+
+    test('the path parameters of an API Gateway route override the query parameters', () => {
+      const params = createActionParametersFromRequest({
+        req: { ...createReq({ url: 'foo/bar' }), originalUrl: '/foo/bar?isbn=1&a=2', apiPathParams: { isbn: '978' } },
+        contextItem: { web: 'yes' }
+      })
+      expect(params).toMatchObject({ isbn: '978', a: '2' })
+    })
+  })
+
+  test('the request metadata is not overridden by the request parameters', async () => {
+    const params = await createAsyncFnCall({ isRaw: false, mimeType: 'application/json', body: { __ow_method: 'get', __ow_headers: {} }, method: 'POST' })
+    expect(params.__ow_method).toEqual('post')
+    expect(params.__ow_headers).toEqual({
+      'content-type': 'application/json',
+      'x-forwarded-for': '127.0.0.1',
+      'x-forwarded-proto': 'https',
+      'x-request-id': expect.stringMatching(/^[0-9a-f]{32}$/),
+      'perf-br-req-in': expect.stringMatching(/^\d+\.\d{3}$/)
+    })
+  })
+
   test('interpolate', async () => {
     process.env.mustache = 'world'
     const req = createReq({
@@ -521,6 +689,89 @@ describe('isRawWebAction', () => {
   })
 })
 
+describe('applyPackageConfig', () => {
+  test('package inputs and annotations are inherited, the action ones take precedence', () => {
+    const actionConfig = {
+      foo: {
+        inputs: { apiHost: '$API_HOST', region: 'us' },
+        annotations: { 'require-adobe-auth': true, final: true },
+        actions: {
+          a: { inputs: { region: 'eu' }, annotations: { final: false } },
+          b: {}
+        },
+        sequences: {
+          seq: { actions: 'a,b' }
+        }
+      },
+      bar: {
+        inputs: { apiHost: 'bar.host' },
+        actions: {
+          c: { annotations: { final: true } }
+        }
+      },
+      noActions: { inputs: { some: 'input' } },
+      empty: null
+    }
+    applyPackageConfig({ actionConfig })
+
+    expect(actionConfig.foo.actions.a).toEqual({
+      inputs: { apiHost: '$API_HOST', region: 'eu' },
+      annotations: { 'require-adobe-auth': true, final: false }
+    })
+    expect(actionConfig.foo.actions.b).toEqual({
+      inputs: { apiHost: '$API_HOST', region: 'us' },
+      annotations: { 'require-adobe-auth': true, final: true }
+    })
+    expect(actionConfig.foo.sequences.seq).toEqual({
+      actions: 'a,b',
+      annotations: { 'require-adobe-auth': true, final: true }
+    })
+    expect(actionConfig.bar.actions.c).toEqual({
+      inputs: { apiHost: 'bar.host' },
+      annotations: { final: true }
+    })
+  })
+
+  test('no action config', () => {
+    expect(() => applyPackageConfig({ actionConfig: undefined })).not.toThrow()
+  })
+})
+
+describe('secureWebActions', () => {
+  test('require-whisk-auth true is replaced by a generated secret', () => {
+    const actionConfig = {
+      foo: {
+        actions: {
+          secured: { web: 'yes', annotations: { 'require-whisk-auth': true } },
+          other: { web: 'yes', annotations: { 'require-whisk-auth': true } },
+          secret: { web: 'yes', annotations: { 'require-whisk-auth': 'my-secret' } },
+          unsecured: { web: 'yes' },
+          nonweb: { annotations: { 'require-whisk-auth': true } }
+        },
+        sequences: {
+          seq: { actions: 'secured', web: 'yes', annotations: { 'require-whisk-auth': true } }
+        }
+      },
+      empty: {}
+    }
+    secureWebActions({ actionConfig, logger: mockLogger })
+
+    const { actions, sequences } = actionConfig.foo
+    expect(actions.secured.annotations['require-whisk-auth']).toMatch(/^\d+$/)
+    expect(actions.other.annotations['require-whisk-auth']).not.toEqual(actions.secured.annotations['require-whisk-auth'])
+    expect(sequences.seq.annotations['require-whisk-auth']).toMatch(/^\d+$/)
+    expect(actions.secret.annotations['require-whisk-auth']).toEqual('my-secret')
+    expect(actions.unsecured.annotations).toBeUndefined()
+    expect(actions.nonweb.annotations['require-whisk-auth']).toBe(true)
+    expect(mockLogger.info).toHaveBeenCalledWith(`foo/secured requires the X-Require-Whisk-Auth header: ${actions.secured.annotations['require-whisk-auth']}`)
+    expect(mockLogger.info).toHaveBeenCalledTimes(3)
+  })
+
+  test('no action config', () => {
+    expect(() => secureWebActions({ actionConfig: undefined, logger: mockLogger })).not.toThrow()
+  })
+})
+
 describe('statusCodeMessage', () => {
   test('900 - invalid', () => {
     const statusCode = 900
@@ -531,118 +782,1073 @@ describe('statusCodeMessage', () => {
     expect(statusCodeMessage(200)).toEqual('OK')
   })
 
-  test('401', () => {
-    expect(statusCodeMessage(401)).toEqual('Unauthorized')
+  test('401', () => {
+    expect(statusCodeMessage(401)).toEqual('Unauthorized')
+  })
+
+  test('404', () => {
+    expect(statusCodeMessage(404)).toEqual('Not Found')
+  })
+
+  test('500', () => {
+    expect(statusCodeMessage(500)).toEqual('Internal Server Error')
+  })
+})
+
+describe('httpStatusResponse', () => {
+  test('undefined options, throws', () => {
+    expect(() => httpStatusResponse()).toThrow()
+  })
+
+  test('empty options, throws', () => {
+    expect(() => httpStatusResponse({})).toThrow()
+  })
+
+  test('200 statusCode (no error)', () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const statusCode = 200
+    const body = 'OK'
+
+    const actionResponse = { statusCode, body }
+
+    httpStatusResponse({ actionResponse, res, logger: mockLogger })
+    expect(mockStatus).toHaveBeenCalledWith(statusCode)
+    expect(mockSend).toHaveBeenCalledWith(body)
+  })
+
+  test('401 statusCode (error)', () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const statusCode = 401
+    const body = { error: 'there was an error' }
+
+    const actionResponse = { statusCode, body }
+    httpStatusResponse({ actionResponse, res, logger: mockLogger })
+    expect(mockStatus).toHaveBeenCalledWith(statusCode)
+    expect(mockSend).toHaveBeenCalledWith(body)
+  })
+})
+
+describe('serveNonWebAction', () => {
+  const AUTH_KEY = 'my-uuid:my-key'
+  const NAMESPACE = 'my-namespace'
+  const basicAuth = (key) => `Basic ${Buffer.from(key).toString('base64')}`
+
+  const createNonWebActionConfig = () => {
+    const actionPathA = fixturePath('actions/addNumbersAction.js')
+    const actionPathB = fixturePath('actions/squareNumberAction.js')
+    return {
+      foo: {
+        actions: {
+          addNumbers: { function: actionPathA },
+          squareNumber: { function: actionPathB, inputs: { payload: 4 } },
+          throws: { function: fixturePath('actions/throwExceptionAction.js') }
+        },
+        sequences: {
+          addThenSquare: { actions: 'addNumbers, squareNumber' }
+        }
+      }
+    }
+  }
+
+  const actionLoader = ({ actionName }) => {
+    switch (actionName) {
+      case 'addNumbers': return require(fixturePath('actions/addNumbersAction.js')).main
+      case 'squareNumber': return require(fixturePath('actions/squareNumberAction.js')).main
+      case 'throws': return require(fixturePath('actions/throwExceptionAction.js')).main
+    }
+  }
+
+  beforeEach(() => {
+    process.env.AIO_RUNTIME_AUTH = AUTH_KEY
+    process.env.AIO_RUNTIME_NAMESPACE = NAMESPACE
+    activationStore.clear()
+  })
+
+  afterEach(() => {
+    delete process.env.AIO_RUNTIME_AUTH
+    delete process.env.AIO_RUNTIME_NAMESPACE
+  })
+
+  test('no authentication', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'foo/bar' })
+
+    await serveNonWebAction(req, res)
+    expect(mockStatus).toHaveBeenCalledWith(401)
+    expect(mockSend).toHaveBeenCalledWith({ error: 'The resource requires authentication, which was not supplied with the request' })
+  })
+
+  test('invalid authentication', async () => {
+    const invalidHeaders = [
+      basicAuth('some:other-key'),
+      `Bearer ${Buffer.from(AUTH_KEY).toString('base64')}`,
+      'Basic'
+    ]
+
+    for (const authorization of invalidHeaders) {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url: 'namespaces/_/actions/foo/addNumbers', method: 'POST', headers: { authorization } })
+
+      await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+      expect(mockStatus).toHaveBeenCalledWith(401)
+      expect(mockSend).toHaveBeenCalledWith({ error: 'The supplied authentication is invalid' })
+    }
+  })
+
+  test('AIO_RUNTIME_AUTH not set', async () => {
+    delete process.env.AIO_RUNTIME_AUTH
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'namespaces/_/actions/foo/addNumbers', method: 'POST', headers: { authorization: basicAuth(AUTH_KEY) } })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(401)
+  })
+
+  test('unknown resource, or unknown action', async () => {
+    const urls = [
+      'namespaces/_/triggers/foo/addNumbers',
+      'namespaces/_/actions/foo/addNumbers/extra',
+      'something/else',
+      'namespaces/_/actions/foo/unknown',
+      'namespaces/_/actions/unknown/addNumbers'
+    ]
+
+    for (const url of urls) {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url, method: 'POST', headers: { authorization: basicAuth(AUTH_KEY) } })
+
+      await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+      expect(mockStatus).toHaveBeenCalledWith(404)
+      expect(mockSend).toHaveBeenCalledWith({ error: 'The requested resource does not exist.' })
+    }
+  })
+
+  test('namespace not authorized', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'namespaces/other-namespace/actions/foo/addNumbers', method: 'POST', headers: { authorization: basicAuth(AUTH_KEY) } })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(403)
+    expect(mockSend).toHaveBeenCalledWith({ error: 'The supplied authentication is not authorized to access \'other-namespace\'.' })
+  })
+
+  test('method not supported', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: `namespaces/${NAMESPACE}/actions/foo/addNumbers`, method: 'GET', headers: { authorization: basicAuth(AUTH_KEY) } })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(405)
+  })
+
+  test('blocking, result only (action)', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const mockSet = jest.fn()
+    const res = createRes({ mockStatus, mockSend, mockSet })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/addNumbers',
+      method: 'POST',
+      query: { blocking: 'true', result: 'true' },
+      body: { payload: '1,2,3' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    expect(mockSet).toHaveBeenCalledWith({ 'x-openwhisk-activation-id': expect.any(String) })
+    expect(mockSend).toHaveBeenCalledWith({ payload: 6, body: { payload: 6 } })
+  })
+
+  test('blocking, result only (sequence)', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/addThenSquare',
+      method: 'POST',
+      query: { blocking: 'true', result: 'true' },
+      body: { payload: '1,2,3' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    expect(mockSend).toHaveBeenCalledWith({ payload: 36, body: { payload: 36 } })
+  })
+
+  test('blocking, activation record', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/squareNumber',
+      method: 'POST',
+      query: { blocking: 'true' },
+      body: ['not', 'an', 'object'], // ignored, action inputs are used
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+      activationId: expect.any(String),
+      namespace: `${NAMESPACE}/foo`,
+      name: 'squareNumber',
+      duration: expect.any(Number),
+      response: {
+        status: 'success',
+        statusCode: 0,
+        success: true,
+        result: { payload: 16, body: { payload: 16 } }
+      }
+    }))
+  })
+
+  test('blocking, application error', async () => {
+    delete process.env.AIO_RUNTIME_NAMESPACE
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/addNumbers',
+      method: 'POST',
+      query: { blocking: 'true' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(502)
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+      namespace: '_/foo',
+      response: {
+        status: 'application error',
+        statusCode: 1,
+        success: false,
+        result: { error: { statusCode: 400, body: { error: 'payload parameter was not provided (addNumbers)' } } }
+      }
+    }))
+  })
+
+  test('blocking, result only, action developer error', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/throws',
+      method: 'POST',
+      query: { blocking: 'true', result: 'true' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(502)
+    expect(mockSend).toHaveBeenCalledWith({ error: expect.stringContaining('An error has occurred') })
+  })
+
+  test('blocking, result only, sequence component does not exist', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/badSequence',
+      method: 'POST',
+      query: { blocking: 'true', result: 'true' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+    const actionConfig = createNonWebActionConfig()
+    actionConfig.foo.sequences.badSequence = { actions: 'unknown' }
+
+    await serveNonWebAction(req, res, actionConfig, DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(502)
+    expect(mockSend).toHaveBeenCalledWith({ error: { statusCode: 400, body: { error: 'Sequence component does not exist.' } } })
+  })
+
+  test('blocking, result only, sequence without components', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/emptySequence',
+      method: 'POST',
+      query: { blocking: 'true', result: 'true' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+    const actionConfig = createNonWebActionConfig()
+    actionConfig.foo.sequences.emptySequence = { actions: '' }
+
+    await serveNonWebAction(req, res, actionConfig, DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(502)
+    expect(mockSend).toHaveBeenCalledWith({ error: { statusCode: 400, body: { error: 'Sequence has no components.' } } })
+  })
+
+  test('blocking, sequence activation is linked to its component activations', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/addThenSquare',
+      method: 'POST',
+      query: { blocking: 'true' },
+      body: { payload: '1,2,3', password: 'secret' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    const sequenceActivation = mockSend.mock.calls[0][0]
+    expect(sequenceActivation).toMatchObject({
+      name: 'addThenSquare',
+      params: { payload: '1,2,3', password: '<redacted>' },
+      annotations: expect.arrayContaining([{ key: 'kind', value: 'sequence' }, { key: 'topmost', value: true }])
+    })
+    expect(sequenceActivation.logs.length).toEqual(2)
+
+    const [addActivation, squareActivation] = sequenceActivation.logs.map(id => activationStore.get(id))
+    expect(addActivation).toMatchObject({ name: 'addNumbers', cause: sequenceActivation.activationId })
+    expect(squareActivation).toMatchObject({ name: 'squareNumber', cause: sequenceActivation.activationId })
+  })
+
+  test('non-blocking', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'namespaces/_/actions/foo/addNumbers',
+      method: 'POST',
+      body: { payload: '1,2,3' },
+      headers: { authorization: basicAuth(AUTH_KEY) }
+    })
+
+    await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(202)
+    expect(mockSend).toHaveBeenCalledWith({ activationId: expect.any(String) })
+  })
+
+  describe('activations', () => {
+    const invoke = async ({ actionName, body }) => {
+      const res = createRes({ mockStatus: jest.fn(), mockSend: jest.fn() })
+      const req = createReq({
+        url: `namespaces/_/actions/foo/${actionName}`,
+        method: 'POST',
+        query: { blocking: 'true' },
+        body,
+        headers: { authorization: basicAuth(AUTH_KEY) }
+      })
+      await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+      return res.send.mock.calls[0][0]
+    }
+
+    const get = async ({ url, query, method = 'GET' }) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url, query, method, headers: { authorization: basicAuth(AUTH_KEY) } })
+      await serveNonWebAction(req, res, createNonWebActionConfig(), DIST_FOLDER, actionLoader)
+      return { status: mockStatus.mock.calls[0][0], body: mockSend.mock.calls[0][0] }
+    }
+
+    test('list (summary, docs, count, filters)', async () => {
+      const first = await invoke({ actionName: 'addNumbers', body: { payload: '1,2' } })
+      const second = await invoke({ actionName: 'squareNumber' })
+
+      let response = await get({ url: 'namespaces/_/activations' })
+      expect(response.status).toEqual(200)
+      expect(response.body.map(({ activationId }) => activationId)).toEqual([second.activationId, first.activationId])
+      expect(response.body[0].response).not.toBeDefined()
+      expect(response.body[0].logs).not.toBeDefined()
+      expect(response.body[0].statusCode).toEqual(0)
+
+      response = await get({ url: 'namespaces/_/activations', query: { docs: 'true', name: 'foo/addNumbers' } })
+      expect(response.body).toEqual([first])
+
+      response = await get({ url: 'namespaces/_/activations', query: { count: 'true' } })
+      expect(response.body).toEqual({ activations: 2 })
+
+      response = await get({ url: 'namespaces/_/activations', query: { skip: '1', limit: '1', since: `${first.start}`, upto: `${second.start}` } })
+      expect(response.body.map(({ activationId }) => activationId)).toEqual([first.activationId])
+    })
+
+    test('count: all the matching activations, regardless of skip and limit', async () => {
+      const activationResponse = { status: 'success', statusCode: 0, success: true, result: {} }
+      for (let i = 0; i < 45; i++) {
+        activationStore.add(createActivationRecord({ activationId: `id${i}`, packageName: 'foo', actionName: 'addNumbers', start: i, end: i, activationResponse }))
+      }
+      activationStore.add(createActivationRecord({ activationId: 'other', packageName: 'foo', actionName: 'squareNumber', start: 50, end: 50, activationResponse }))
+
+      let response = await get({ url: 'namespaces/_/activations', query: { count: 'true', name: 'foo/addNumbers' } })
+      expect(response).toEqual({ status: 200, body: { activations: 45 } })
+
+      response = await get({ url: 'namespaces/_/activations', query: { count: 'true', skip: '10', limit: '5', since: '40' } })
+      expect(response).toEqual({ status: 200, body: { activations: 6 } })
+    })
+
+    test.each([
+      ['limit', 'abc', 1],
+      ['limit', '0', 1],
+      ['skip', '-1', 0],
+      ['since', '1.5', 0],
+      ['upto', '', 0]
+    ])('list: %s=%s is not valid', async (key, value, min) => {
+      const response = await get({ url: 'namespaces/_/activations', query: { [key]: value } })
+      expect(response).toEqual({ status: 400, body: { error: `The ${key} parameter must be an integer of at least ${min}.` } })
+    })
+
+    test('get, logs, result', async () => {
+      const activation = await invoke({ actionName: 'squareNumber' })
+
+      let response = await get({ url: `namespaces/_/activations/${activation.activationId}` })
+      expect(response).toEqual({ status: 200, body: activation })
+
+      response = await get({ url: `namespaces/_/activations/${activation.activationId}/logs` })
+      expect(response).toEqual({ status: 200, body: { logs: [] } })
+
+      response = await get({ url: `namespaces/_/activations/${activation.activationId}/result` })
+      expect(response).toEqual({ status: 200, body: activation.response })
+    })
+
+    test('not found', async () => {
+      const activation = await invoke({ actionName: 'squareNumber' })
+      const urls = [
+        'namespaces/_/activations/unknown-id',
+        `namespaces/_/activations/${activation.activationId}/unknown`,
+        `namespaces/_/activations/${activation.activationId}/logs/extra`
+      ]
+
+      for (const url of urls) {
+        const response = await get({ url })
+        expect(response).toEqual({ status: 404, body: { error: 'The requested resource does not exist.' } })
+      }
+    })
+
+    test('method not supported', async () => {
+      const response = await get({ url: 'namespaces/_/activations', method: 'DELETE' })
+      expect(response.status).toEqual(405)
+    })
+  })
+
+  describe('triggers', () => {
+    const createTriggerConfig = () => ({
+      foo: {
+        ...createNonWebActionConfig().foo,
+        triggers: {
+          onNumbers: { inputs: { payload: '1,2' } },
+          noRules: {}
+        },
+        rules: {
+          onNumbersAdd: { trigger: 'onNumbers', action: 'addNumbers' },
+          onNumbersAddThenSquare: { trigger: 'onNumbers', action: 'foo/addThenSquare' }
+        }
+      }
+    })
+
+    const fire = async ({ url, body, method = 'POST' }) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url, body, method, headers: { authorization: basicAuth(AUTH_KEY) } })
+      await serveNonWebAction(req, res, createTriggerConfig(), DIST_FOLDER, actionLoader)
+      return { status: mockStatus.mock.calls[0][0], body: mockSend.mock.calls[0][0] }
+    }
+
+    test('fire, the rules invoke their actions', async () => {
+      const response = await fire({ url: 'namespaces/_/triggers/onNumbers', body: { payload: '1,2,3' } })
+      expect(response).toEqual({ status: 202, body: { activationId: expect.any(String) } })
+      // the actions are invoked without waiting for them
+      await jest.advanceTimersByTimeAsync(0)
+
+      const triggerActivation = activationStore.get(response.body.activationId)
+      expect(triggerActivation).toEqual(expect.objectContaining({
+        namespace: NAMESPACE,
+        name: 'onNumbers',
+        response: { status: 'success', statusCode: 0, success: true, result: { payload: '1,2,3' } },
+        annotations: expect.arrayContaining([{ key: 'path', value: `${NAMESPACE}/onNumbers` }])
+      }))
+
+      const ruleActivations = triggerActivation.logs.map(log => JSON.parse(log))
+      expect(ruleActivations).toEqual([
+        { statusCode: 0, success: true, activationId: expect.any(String), rule: `${NAMESPACE}/onNumbersAdd`, action: `${NAMESPACE}/foo/addNumbers` },
+        { statusCode: 0, success: true, activationId: expect.any(String), rule: `${NAMESPACE}/onNumbersAddThenSquare`, action: `${NAMESPACE}/foo/addThenSquare` }
+      ])
+
+      const [add, addThenSquare] = ruleActivations.map(({ activationId }) => activationStore.get(activationId))
+      expect(add).toEqual(expect.objectContaining({ name: 'addNumbers', cause: response.body.activationId }))
+      expect(add.response.result).toEqual({ payload: 6, body: { payload: 6 } })
+      expect(addThenSquare).toEqual(expect.objectContaining({ name: 'addThenSquare', cause: response.body.activationId }))
+      expect(addThenSquare.response.result).toEqual({ payload: 36, body: { payload: 36 } })
+    })
+
+    test('fire without a payload, the trigger inputs are the parameters', async () => {
+      const response = await fire({ url: 'namespaces/_/triggers/onNumbers' })
+      await jest.advanceTimersByTimeAsync(0)
+
+      expect(activationStore.get(response.body.activationId).params).toEqual({ payload: '1,2' })
+      const [add] = activationStore.get(response.body.activationId).logs.map(log => JSON.parse(log))
+      expect(activationStore.get(add.activationId).response.result).toEqual({ payload: 3, body: { payload: 3 } })
+    })
+
+    test('a trigger without rules is not activated', async () => {
+      const response = await fire({ url: `namespaces/${NAMESPACE}/triggers/noRules`, body: { payload: '1' } })
+      expect(response).toEqual({ status: 204, body: '' })
+      expect(activationStore.list({})).toEqual([])
+    })
+
+    test('not found', async () => {
+      const urls = [
+        'namespaces/_/triggers/unknown',
+        'namespaces/_/triggers/onNumbers/extra',
+        'namespaces/_/triggers'
+      ]
+
+      for (const url of urls) {
+        const response = await fire({ url })
+        expect(response).toEqual({ status: 404, body: { error: 'The requested resource does not exist.' } })
+      }
+    })
+
+    test('method not supported', async () => {
+      const response = await fire({ url: 'namespaces/_/triggers/onNumbers', method: 'GET' })
+      expect(response).toEqual({ status: 405, body: { error: 'The GET method is not supported for triggers, only POST (fire) is.' } })
+    })
+  })
+})
+
+describe('serveWebAction', () => {
+  test('action found, not web action', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'foo/bar' })
+    const packageName = 'foo'
+    const actionPath = fixturePath('actions/successNoReturnAction.js')
+
+    const actionConfig = {
+      [packageName]: {
+        actions: {
+          bar: {
+            function: actionPath
+          }
+        }
+      }
+    }
+
+    await serveWebAction(req, res, actionConfig, DIST_FOLDER)
+    expect(mockSend).toHaveBeenCalledTimes(1)
+    expect(mockStatus).toHaveBeenCalledWith(404)
+  })
+
+  test('web sequence without components', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'foo/seq' })
+    const actionConfig = { foo: { actions: {}, sequences: { seq: { actions: ' , ', web: 'yes' } } } }
+
+    await serveWebAction(req, res, actionConfig, DIST_FOLDER)
+    expect(mockStatus).toHaveBeenCalledWith(400)
+    expect(mockSend).toHaveBeenCalledWith({ error: 'Sequence has no components.' })
+  })
+
+  test('action found, is web action', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'foo/bar' })
+    const packageName = 'foo'
+    const actionPath = fixturePath('actions/successNoReturnAction.js')
+    const actionLoader = createActionLoader(actionPath)
+
+    const actionConfig = {
+      [packageName]: {
+        actions: {
+          bar: {
+            function: actionPath,
+            web: true
+          }
+        }
+      }
+    }
+
+    await serveWebAction(req, res, actionConfig, DIST_FOLDER, actionLoader)
+    expect(process.chdir).toHaveBeenCalledWith('dirname')
+    expect(res.set).toHaveBeenCalledWith('x-openwhisk-activation-id', expect.any(String))
+    expect(mockSend).toHaveBeenCalledTimes(1)
+    expect(mockStatus).toHaveBeenCalledWith(204) // because there is no body
+    expect(mockLogger.warn).not.toHaveBeenCalled()
+  })
+
+  test('action found, is web action, PUT json body', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({
+      url: 'foo/bar',
+      method: 'PUT',
+      body: { payload: '1,2,3' },
+      headers: { 'content-type': 'application/json' },
+      is: (_type) => _type === 'application/json'
+    })
+    const actionPath = fixturePath('actions/addNumbersAction.js')
+    const actionLoader = createActionLoader(actionPath)
+
+    const actionConfig = {
+      foo: {
+        actions: {
+          bar: {
+            function: actionPath,
+            web: true
+          }
+        }
+      }
+    }
+
+    await serveWebAction(req, res, actionConfig, DIST_FOLDER, actionLoader)
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    expect(mockSend).toHaveBeenCalledWith({ payload: 6 })
+  })
+
+  test('action found, is web action, isolated (run options)', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const mockRun = jest.fn().mockResolvedValue({ response: { body: 'isolated' }, initTime: 1 })
+    ActionProcess.mockImplementation(({ version }) => ({ version, run: mockRun, destroy: jest.fn() }))
+
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'foo/bar' })
+    const actionConfig = {
+      foo: {
+        actions: {
+          bar: {
+            function: fixturePath('actions/successReturnAction.js'),
+            web: true
+          }
+        }
+      }
+    }
+
+    await serveWebAction(req, res, actionConfig, DIST_FOLDER, undefined, { isolate: true })
+    expect(mockRun).toHaveBeenCalled()
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    expect(mockSend).toHaveBeenCalledWith('isolated')
+  })
+
+  describe('CORS', () => {
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'OPTIONS, GET, DELETE, POST, PUT, HEAD, PATCH',
+      'Access-Control-Allow-Headers': 'Authorization, Origin, X-Requested-With, Content-Type, Accept, User-Agent'
+    }
+    const serve = async ({ method, headers, annotations, actionMain = require(fixturePath('actions/echoParamsAction.js')).main }) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url: 'foo/echo', method, headers })
+      const actionConfig = {
+        foo: {
+          actions: {
+            echo: { function: fixturePath('actions/echoParamsAction.js'), web: true, annotations }
+          }
+        }
+      }
+      const actionLoader = jest.fn(() => actionMain)
+      await serveWebAction(req, res, actionConfig, DIST_FOLDER, actionLoader)
+      return { res, mockStatus, mockSend, actionLoader }
+    }
+
+    test('the response has the Runtime CORS headers', async () => {
+      const { res, mockStatus } = await serve({ method: 'GET' })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(res.set).toHaveBeenCalledWith(corsHeaders)
+    })
+
+    test('the action response headers override the CORS headers', async () => {
+      const actionMain = () => ({ headers: { 'Access-Control-Allow-Origin': 'https://example.com' }, body: 'ok' })
+      const { res } = await serve({ method: 'GET', actionMain })
+      // the CORS headers are set first, then the action response headers
+      expect(res.set.mock.calls[0]).toEqual([corsHeaders])
+      expect(res.set).toHaveBeenLastCalledWith(expect.objectContaining({ 'Access-Control-Allow-Origin': 'https://example.com' }))
+    })
+
+    test('OPTIONS preflight request, without invoking the action', async () => {
+      const { res, mockStatus, mockSend, actionLoader } = await serve({
+        method: 'OPTIONS',
+        headers: { 'access-control-request-method': 'POST', 'access-control-request-headers': 'x-api-key' }
+      })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith('')
+      expect(res.set).toHaveBeenCalledWith({ ...corsHeaders, 'Access-Control-Allow-Headers': 'x-api-key' })
+      expect(actionLoader).not.toHaveBeenCalled()
+    })
+
+    test.each([true, 'true'])('web-custom-options (%p): the action handles OPTIONS, without CORS headers', async (customOptions) => {
+      const { res, mockStatus, mockSend, actionLoader } = await serve({ method: 'OPTIONS', annotations: { 'web-custom-options': customOptions } })
+      expect(actionLoader).toHaveBeenCalled()
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ __ow_method: 'options' }))
+      expect(res.set).not.toHaveBeenCalledWith(corsHeaders)
+    })
+  })
+
+  describe('extensions and projections', () => {
+    const actionConfig = {
+      foo: {
+        actions: {
+          addNumbers: { function: fixturePath('actions/addNumbersAction.js'), web: true },
+          throws: { function: fixturePath('actions/throwExceptionAction.js'), web: true }
+        }
+      }
+    }
+    const serve = async (url, fixture = 'addNumbersAction.js') => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url, query: { payload: '1,2,3' } })
+      await serveWebAction(req, res, actionConfig, DIST_FOLDER, createActionLoader(fixturePath(`actions/${fixture}`)))
+      return { res, mockStatus, mockSend }
+    }
+
+    test('.json: the whole result', async () => {
+      const { res, mockStatus, mockSend } = await serve('foo/addNumbers.json')
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(res.set).toHaveBeenCalledWith({ 'Content-Type': 'application/json' })
+      expect(mockSend).toHaveBeenCalledWith({ payload: 6, body: { payload: 6 } })
+    })
+
+    test('.json: projection', async () => {
+      const { mockStatus, mockSend } = await serve('foo/addNumbers.json/body')
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith({ payload: 6 })
+    })
+
+    test('.text: projection', async () => {
+      const { res, mockSend } = await serve('foo/addNumbers.text/body/payload')
+      expect(res.set).toHaveBeenCalledWith({ 'Content-Type': 'text/plain' })
+      expect(mockSend).toHaveBeenCalledWith('6')
+    })
+
+    test('.html: default projection does not exist', async () => {
+      const { mockStatus, mockSend } = await serve('foo/addNumbers.html')
+      expect(mockStatus).toHaveBeenCalledWith(404)
+      expect(mockSend).toHaveBeenCalledWith({ error: 'The requested property does not exist.' })
+    })
+
+    test('.http: same as no extension', async () => {
+      const { mockStatus, mockSend } = await serve('foo/addNumbers.http')
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith({ payload: 6 })
+    })
+
+    test('.json: action developer error is sent as is', async () => {
+      const { mockStatus, mockSend } = await serve('foo/throws.json', 'throwExceptionAction.js')
+      expect(mockStatus).toHaveBeenCalledWith(400)
+      expect(mockSend).toHaveBeenCalledWith({ error: 'Response is not valid \'message/http\'.' })
+    })
+
+    test('unknown action with an extension', async () => {
+      const { mockStatus } = await serve('foo/unknown.json')
+      expect(mockStatus).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('Runtime web action urls', () => {
+    const actionPath = fixturePath('actions/echoParamsAction.js')
+    const actionConfig = {
+      foo: { actions: { bar: { function: actionPath, web: 'yes' } } },
+      default: { actions: { baz: { function: actionPath, web: 'yes' } } },
+      onlySequences: { sequences: { seq: { actions: 'foo/bar', web: 'yes' } } }
+    }
+    const serve = async (url) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const actionLoader = jest.fn(createActionLoader(actionPath))
+      await serveWebAction(createReq({ url }), res, actionConfig, DIST_FOLDER, actionLoader)
+      return { mockStatus, mockSend, actionLoader }
+    }
+
+    beforeEach(() => {
+      process.env.AIO_RUNTIME_NAMESPACE = 'myns'
+    })
+
+    afterEach(() => {
+      delete process.env.AIO_RUNTIME_NAMESPACE
+    })
+
+    test.each([
+      ['package/action', 'foo/bar', 'foo', 'bar'],
+      ['namespace/package/action', 'myns/foo/bar', 'foo', 'bar'],
+      ['default package: default/action', 'default/baz', 'default', 'baz'],
+      ['default package: namespace/default/action', 'myns/default/baz', 'default', 'baz'],
+      ['default package: namespace/action', 'myns/baz', 'default', 'baz'],
+      ['default package: action', 'baz', 'default', 'baz']
+    ])('%s', async (_, url, packageName, actionName) => {
+      const { mockStatus, actionLoader } = await serve(url)
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(actionLoader).toHaveBeenCalledWith(expect.objectContaining({ packageName, actionName }))
+    })
+
+    test.each([
+      ['package/action', 'foo/bar.text'],
+      ['namespace/package/action', 'myns/foo/bar.text'],
+      ['namespace/action', 'myns/baz.text'],
+      ['action', 'baz.text']
+    ])('the extension and path after the action (%s)', async (_, url) => {
+      // the path is the projection of the result (the __ow_path parameter that the action echoes)
+      const { mockStatus, mockSend } = await serve(`${url}/body/__ow_path`)
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith('body/__ow_path')
+    })
+
+    test('another namespace is not available locally', async () => {
+      const { mockStatus, actionLoader } = await serve('otherns/foo/bar')
+      expect(mockStatus).toHaveBeenCalledWith(404)
+      expect(actionLoader).not.toHaveBeenCalled()
+    })
+
+    test('without the app namespace, the namespace form is not used', async () => {
+      delete process.env.AIO_RUNTIME_NAMESPACE
+      expect((await serve('myns/foo/bar')).mockStatus).toHaveBeenCalledWith(404)
+      expect((await serve('foo/bar')).mockStatus).toHaveBeenCalledWith(200)
+    })
+
+    test('a package without actions', async () => {
+      const { mockStatus } = await serve('onlySequences/bar')
+      expect(mockStatus).toHaveBeenCalledWith(404)
+    })
   })
 
-  test('404', () => {
-    expect(statusCodeMessage(404)).toEqual('Not Found')
-  })
+  describe('parameter precedence and final parameters', () => {
+    const actionPath = fixturePath('actions/echoParamsAction.js')
+    const notAllowed = { error: 'Request defines parameters that are not allowed (e.g., reserved properties).' }
+    const serve = async ({ action = {}, query = {}, body, method = 'POST', contentType = 'application/json', apiPathParams }) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const is = (type) => type === contentType
+      const req = { ...createReq({ url: 'foo/bar', method, query, body, headers: { 'content-type': contentType }, is }), apiPathParams }
+      const actionConfig = { foo: { actions: { bar: { function: actionPath, web: 'yes', ...action } } } }
+      await serveWebAction(req, res, actionConfig, DIST_FOLDER, createActionLoader(actionPath))
+      return { mockStatus, mockSend }
+    }
 
-  test('500', () => {
-    expect(statusCodeMessage(500)).toEqual('Internal Server Error')
-  })
-})
+    test('inputs < query < body', async () => {
+      const action = { inputs: { a: 'input', b: 'input', c: 'input' } }
+      const { mockStatus, mockSend } = await serve({ action, query: { b: 'query', c: 'query' }, body: { c: 'body' } })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ a: 'input', b: 'query', c: 'body' }))
+    })
 
-describe('httpStatusResponse', () => {
-  test('undefined options, throws', () => {
-    expect(() => httpStatusResponse()).toThrow()
-  })
+    test('package inputs are interpolated, and are final parameters too', async () => {
+      process.env.MY_API_HOST = 'https://api.example.com'
+      const actionConfig = {
+        foo: {
+          inputs: { apiHost: '$MY_API_HOST' },
+          annotations: { final: true },
+          actions: { bar: { function: actionPath, web: 'yes' } }
+        }
+      }
+      applyPackageConfig({ actionConfig })
+      const serveConfig = async (query) => {
+        const mockStatus = jest.fn()
+        const mockSend = jest.fn()
+        const res = createRes({ mockStatus, mockSend })
+        const req = createReq({ url: 'foo/bar', query })
+        await serveWebAction(req, res, actionConfig, DIST_FOLDER, createActionLoader(actionPath))
+        return { mockStatus, mockSend }
+      }
 
-  test('empty options, throws', () => {
-    expect(() => httpStatusResponse({})).toThrow()
-  })
+      {
+        const { mockStatus, mockSend } = await serveConfig({})
+        expect(mockStatus).toHaveBeenCalledWith(200)
+        expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ apiHost: 'https://api.example.com' }))
+      }
+      {
+        const { mockStatus } = await serveConfig({ apiHost: 'https://evil.example.com' })
+        expect(mockStatus).toHaveBeenCalledWith(400)
+      }
+      delete process.env.MY_API_HOST
+    })
 
-  test('200 statusCode (no error)', () => {
-    const mockStatus = jest.fn()
-    const mockSend = jest.fn()
-    const res = createRes({ mockStatus, mockSend })
-    const statusCode = 200
-    const body = 'OK'
+    test('reserved parameter in the query', async () => {
+      const { mockStatus, mockSend } = await serve({ query: { __ow_headers: 'forged' } })
+      expect(mockStatus).toHaveBeenCalledWith(400)
+      expect(mockSend).toHaveBeenCalledWith(notAllowed)
+      expect(mockLogger.error).toHaveBeenCalledWith('The request parameters __ow_headers are reserved, or override final parameters of bar')
+    })
 
-    const actionResponse = { statusCode, body }
+    test('reserved parameter in the body', async () => {
+      const { mockStatus } = await serve({ body: { __ow_method: 'get' } })
+      expect(mockStatus).toHaveBeenCalledWith(400)
+    })
 
-    httpStatusResponse({ actionResponse, res, logger: mockLogger })
-    expect(mockStatus).toHaveBeenCalledWith(statusCode)
-    expect(mockSend).toHaveBeenCalledWith(body)
-  })
+    test('final: the inputs cannot be overridden', async () => {
+      const action = { inputs: { apiKey: 'secret', optional: null }, annotations: { final: true } }
+      {
+        const { mockStatus, mockSend } = await serve({ action, query: { apiKey: 'forged' } })
+        expect(mockStatus).toHaveBeenCalledWith(400)
+        expect(mockSend).toHaveBeenCalledWith(notAllowed)
+      }
+      {
+        const { mockStatus } = await serve({ action, body: { apiKey: 'forged' } })
+        expect(mockStatus).toHaveBeenCalledWith(400)
+      }
+      {
+        // an input without a value can be set
+        const { mockStatus, mockSend } = await serve({ action, query: { optional: 'set' }, body: { other: 'set' } })
+        expect(mockStatus).toHaveBeenCalledWith(200)
+        expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ apiKey: 'secret', optional: 'set', other: 'set' }))
+      }
+    })
 
-  test('401 statusCode (error)', () => {
-    const mockStatus = jest.fn()
-    const mockSend = jest.fn()
-    const res = createRes({ mockStatus, mockSend })
-    const statusCode = 401
-    const body = { error: 'there was an error' }
+    test('final: the API Gateway path parameters cannot override the inputs, or set reserved parameters', async () => {
+      const action = { inputs: { isbn: '978' }, annotations: { final: true } }
+      {
+        const { mockStatus, mockSend } = await serve({ action, method: 'GET', apiPathParams: { isbn: 'override' } })
+        expect(mockStatus).toHaveBeenCalledWith(400)
+        expect(mockSend).toHaveBeenCalledWith(notAllowed)
+      }
+      {
+        const { mockStatus } = await serve({ method: 'GET', apiPathParams: { __ow_path: 'forged' } })
+        expect(mockStatus).toHaveBeenCalledWith(400)
+      }
+      {
+        const { mockStatus, mockSend } = await serve({ method: 'GET', apiPathParams: { isbn: '979' } })
+        expect(mockStatus).toHaveBeenCalledWith(200)
+        expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ isbn: '979' }))
+      }
+    })
 
-    const actionResponse = { statusCode, body }
-    httpStatusResponse({ actionResponse, res, logger: mockLogger })
-    expect(mockStatus).toHaveBeenCalledWith(statusCode)
-    expect(mockSend).toHaveBeenCalledWith(body)
+    test('final: the body of a raw web action is not parsed into parameters', async () => {
+      const action = { web: 'raw', inputs: { apiKey: 'secret' }, annotations: { final: true } }
+      const { mockStatus, mockSend } = await serve({ action, body: { apiKey: 'forged' } })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ apiKey: 'secret' }))
+    })
+
+    test('raw: the query is not parsed into parameters, so it cannot set reserved or final parameters', async () => {
+      const action = { web: 'raw', inputs: { apiKey: 'secret' }, annotations: { final: true } }
+      const { mockStatus, mockSend } = await serve({ action, query: { apiKey: 'forged', __ow_method: 'get' } })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+        apiKey: 'secret',
+        __ow_method: 'post',
+        __ow_query: 'apiKey=forged&__ow_method=get'
+      }))
+    })
+
+    test('json request without a body', async () => {
+      const { mockStatus } = await serve({ body: undefined })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+    })
   })
-})
 
-test('serveNonWebAction', () => {
-  const mockStatus = jest.fn()
-  const mockSend = jest.fn()
-  const res = createRes({ mockStatus, mockSend })
-  const req = createReq({ url: 'foo/bar' })
+  describe('require-whisk-auth', () => {
+    const actionPath = fixturePath('actions/successReturnAction.js')
+    const serve = async ({ annotation, headers }) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const req = createReq({ url: 'foo/bar', headers })
+      const actionConfig = { foo: { actions: { bar: { function: actionPath, web: 'yes', annotations: { 'require-whisk-auth': annotation } } } } }
+      await serveWebAction(req, res, actionConfig, DIST_FOLDER, createActionLoader(actionPath))
+      return { mockStatus, mockSend }
+    }
+    const unauthorized = { error: 'The resource requires authentication, which was not supplied with the request' }
+
+    test('matching secret', async () => {
+      const { mockStatus } = await serve({ annotation: 'my-secret', headers: { 'x-require-whisk-auth': 'my-secret' } })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+    })
 
-  serveNonWebAction(req, res)
-  expect(mockStatus).toHaveBeenCalledWith(401)
-  expect(mockSend).toHaveBeenCalledWith({ error: 'The resource requires authentication, which was not supplied with the request' })
-})
+    test('matching numeric secret', async () => {
+      const { mockStatus } = await serve({ annotation: 1234, headers: { 'x-require-whisk-auth': '1234' } })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+    })
 
-describe('serveWebAction', () => {
-  test('action found, not web action', async () => {
-    const mockStatus = jest.fn()
-    const mockSend = jest.fn()
+    test('wrong secret', async () => {
+      const { mockStatus, mockSend } = await serve({ annotation: 'my-secret', headers: { 'x-require-whisk-auth': 'nope' } })
+      expect(mockStatus).toHaveBeenCalledWith(401)
+      expect(mockSend).toHaveBeenCalledWith(unauthorized)
+    })
 
-    const res = createRes({ mockStatus, mockSend })
-    const req = createReq({ url: 'foo/bar' })
-    const packageName = 'foo'
-    const actionPath = fixturePath('actions/successNoReturnAction.js')
+    test('missing header', async () => {
+      const { mockStatus, mockSend } = await serve({ annotation: 'my-secret' })
+      expect(mockStatus).toHaveBeenCalledWith(401)
+      expect(mockSend).toHaveBeenCalledWith(unauthorized)
+    })
 
-    const actionConfig = {
-      [packageName]: {
-        actions: {
-          bar: {
-            function: actionPath
-          }
-        }
-      }
-    }
+    test('true, without a generated secret', async () => {
+      const { mockStatus } = await serve({ annotation: true, headers: { 'x-require-whisk-auth': 'true' } })
+      expect(mockStatus).toHaveBeenCalledWith(401)
+    })
 
-    await serveWebAction(req, res, actionConfig, DIST_FOLDER)
-    expect(mockSend).toHaveBeenCalledTimes(1)
-    expect(mockStatus).toHaveBeenCalledWith(404)
+    test('false', async () => {
+      const { mockStatus } = await serve({ annotation: false })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+    })
   })
 
-  test('action found, is web action', async () => {
-    const mockStatus = jest.fn()
-    const mockSend = jest.fn()
+  describe('http responses', () => {
+    const actionPath = fixturePath('actions/httpResponseAction.js')
+    const actionConfig = { foo: { actions: { bar: { function: actionPath, web: true } } } }
+    const serve = async (response) => {
+      const mockStatus = jest.fn()
+      const mockSend = jest.fn()
+      const res = createRes({ mockStatus, mockSend })
+      const is = (type) => type === 'application/json'
+      const req = createReq({ url: 'foo/bar', method: 'POST', body: { response }, headers: { 'content-type': 'application/json' }, is })
+      await serveWebAction(req, res, actionConfig, DIST_FOLDER, createActionLoader(actionPath))
+      return { res, mockStatus, mockSend }
+    }
 
-    const res = createRes({ mockStatus, mockSend })
-    const req = createReq({ url: 'foo/bar' })
-    const packageName = 'foo'
-    const actionPath = fixturePath('actions/successNoReturnAction.js')
-    const actionLoader = createActionLoader(actionPath)
+    test('binary body is base64 decoded', async () => {
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47])
+      const { res, mockStatus, mockSend } = await serve({ headers: { 'Content-Type': 'image/png' }, body: png.toString('base64') })
+      expect(mockStatus).toHaveBeenCalledWith(200)
+      expect(res.set).toHaveBeenCalledWith({ 'Content-Type': 'image/png' })
+      expect(mockSend).toHaveBeenCalledWith(png)
+    })
 
-    const actionConfig = {
-      [packageName]: {
-        actions: {
-          bar: {
-            function: actionPath,
-            web: true
-          }
-        }
-      }
-    }
+    test('binary body that is not base64', async () => {
+      const { mockStatus, mockSend } = await serve({ headers: { 'Content-Type': 'image/png' }, body: 'not base64!' })
+      expect(mockStatus).toHaveBeenCalledWith(400)
+      expect(mockSend).toHaveBeenCalledWith({ error: expect.stringContaining('must be base64 encoded') })
+    })
 
-    await serveWebAction(req, res, actionConfig, DIST_FOLDER, actionLoader)
-    expect(process.chdir).toHaveBeenCalledWith('dirname')
-    expect(mockSend).toHaveBeenCalledTimes(1)
-    expect(mockStatus).toHaveBeenCalledWith(204) // because there is no body
-    expect(mockLogger.warn).not.toHaveBeenCalled()
+    test('content type is inferred', async () => {
+      const { res, mockSend } = await serve({ body: '<h1>hello</h1>' })
+      expect(res.set).toHaveBeenCalledWith({ 'Content-Type': 'text/html' })
+      expect(mockSend).toHaveBeenCalledWith('<h1>hello</h1>')
+    })
+
+    test('Set-Cookie array', async () => {
+      const { res } = await serve({ headers: { 'Set-Cookie': ['a=1', 'b=2'] }, body: { ok: true } })
+      expect(res.set).toHaveBeenCalledWith({ 'Set-Cookie': ['a=1', 'b=2'], 'Content-Type': 'application/json' })
+    })
+
+    test('redirect', async () => {
+      const { res, mockStatus, mockSend } = await serve({ statusCode: 302, headers: { Location: 'https://adobe.com' } })
+      expect(mockStatus).toHaveBeenCalledWith(302)
+      expect(res.set).toHaveBeenCalledWith({ Location: 'https://adobe.com' })
+      expect(mockSend).toHaveBeenCalledWith('')
+    })
   })
 
   test('action found, is raw web action', async () => {
@@ -774,14 +1980,208 @@ describe('serveWebAction', () => {
 })
 
 describe('invokeSequence', () => {
-  test('undefined sequence (null response)', async () => {
-    const sequence = undefined
+  describe('component references', () => {
+    const actionLoader = ({ actionName }) => require(fixturePath(`actions/${actionName}Action.js`)).main
+    const actionConfig = {
+      math: {
+        actions: {
+          addNumbers: { function: fixturePath('actions/addNumbersAction.js') }
+        },
+        sequences: {
+          crossPackage: { actions: 'addNumbers, other/squareNumber' },
+          fullyQualified: { actions: '/_/math/addNumbers, /myns/other/squareNumber' },
+          nested: { actions: 'addNumbers, other/square' },
+          cyclic: { actions: 'addNumbers, other/cyclic' },
+          otherNamespace: { actions: 'addNumbers, /whisk.system/utils/echo' }
+        }
+      },
+      other: {
+        actions: {
+          squareNumber: { function: fixturePath('actions/squareNumberAction.js') }
+        },
+        sequences: {
+          square: { actions: 'squareNumber' },
+          cyclic: { actions: 'math/cyclic' }
+        }
+      }
+    }
+    const invoke = (sequenceName) => invokeSequence({
+      actionRequestContext: {
+        contextActionLoader: actionLoader,
+        contextItem: actionConfig.math.sequences[sequenceName],
+        contextItemName: sequenceName,
+        contextItemParams: { payload: '1,2' },
+        packageName: 'math',
+        actionConfig
+      },
+      logger: mockLogger
+    })
+
+    beforeEach(() => {
+      process.env.AIO_RUNTIME_NAMESPACE = 'myns'
+    })
+
+    afterEach(() => {
+      delete process.env.AIO_RUNTIME_NAMESPACE
+    })
+
+    test('action of another package', async () => {
+      const response = await invoke('crossPackage')
+      expect(response).toMatchObject({ statusCode: 200, body: { payload: 9 } })
+      const squareActivation = activationStore.list({ name: 'other/squareNumber' })[0]
+      expect(squareActivation).toMatchObject({ cause: response.activationId })
+    })
+
+    test('fully qualified actions', async () => {
+      const response = await invoke('fullyQualified')
+      expect(response).toMatchObject({ statusCode: 200, body: { payload: 9 } })
+    })
+
+    test('nested sequence', async () => {
+      const response = await invoke('nested')
+      expect(response).toMatchObject({ statusCode: 200, body: { payload: 9 } })
+
+      // the nested sequence has its own activation, with the enclosing sequence as its cause
+      const sequenceActivation = activationStore.get(response.activationId)
+      const nestedActivation = activationStore.get(sequenceActivation.logs[1])
+      expect(nestedActivation).toMatchObject({ name: 'square', cause: response.activationId })
+      expect(activationStore.get(nestedActivation.logs[0])).toMatchObject({ name: 'squareNumber', cause: nestedActivation.activationId })
+    })
+
+    test('sequence that refers to itself', async () => {
+      const response = await invoke('cyclic')
+      expect(response).toMatchObject({ statusCode: 400, body: { error: 'Sequence may not refer to itself.' } })
+    })
+
+    test('action of another namespace', async () => {
+      const response = await invoke('otherNamespace')
+      expect(response).toMatchObject({ statusCode: 400, body: { error: 'Sequence component does not exist.' } })
+    })
+  })
+
+  describe('Runtime parity', () => {
+    const actionLoader = ({ actionName }) => require(fixturePath(`actions/${actionName}Action.js`)).main
+    const invoke = ({ actions, inputs = {}, params }) => {
+      const actionNames = [...new Set(actions.split(',').map(name => name.trim()))]
+      const actionConfig = {
+        foo: {
+          actions: Object.fromEntries(actionNames.map(name => [name, { function: fixturePath(`actions/${name}Action.js`), inputs: inputs[name] }])),
+          sequences: { seq: { actions } }
+        }
+      }
+      return invokeSequence({
+        actionRequestContext: {
+          contextActionLoader: actionLoader,
+          contextItem: actionConfig.foo.sequences.seq,
+          contextItemName: 'seq',
+          contextItemParams: params,
+          packageName: 'foo',
+          actionConfig
+        },
+        logger: mockLogger
+      })
+    }
+
+    test.each([
+      {
+        description: 'the previous result is the only params of the next action',
+        actions: 'addNumbers, squareNumber',
+        params: { payload: '1,2,3' },
+        expected: { statusCode: 200, body: { payload: 36 } },
+        status: 'success',
+        componentCount: 2
+      },
+      {
+        description: 'the previous result overrides the inputs of the next action',
+        actions: 'addNumbers, squareNumber',
+        inputs: { squareNumber: { payload: 4, extra: 'input' } },
+        params: { payload: '1,2' },
+        expected: { statusCode: 200, body: { payload: 9 } },
+        status: 'success',
+        componentCount: 2
+      },
+      {
+        description: 'the inputs of the first action are applied, under the sequence params',
+        actions: 'squareNumber, echoParams',
+        inputs: { squareNumber: { payload: 4 } },
+        params: {},
+        expected: { statusCode: 200, body: { payload: 16, body: { payload: 16 } } },
+        status: 'success',
+        componentCount: 2
+      },
+      {
+        description: 'the sequence params are not passed on to the next action',
+        actions: 'addNumbers, echoParams',
+        params: { payload: '1,2', other: 'param' },
+        expected: { statusCode: 200, body: { payload: 3, body: { payload: 3 } } },
+        status: 'success',
+        componentCount: 2
+      },
+      {
+        description: 'an error result stops the sequence',
+        actions: 'returnError, echoParams',
+        params: {},
+        expected: { statusCode: 403, body: { error: 'something wrong happened here' } },
+        status: 'application error',
+        componentCount: 1
+      },
+      {
+        description: 'an error status code result (without error) does not stop the sequence',
+        actions: 'httpResponse, echoParams',
+        params: { response: { statusCode: 404, body: 'not here' } },
+        expected: { statusCode: 200, body: { statusCode: 404, body: 'not here' } },
+        status: 'success',
+        componentCount: 2
+      },
+      {
+        description: 'an action developer error stops the sequence',
+        actions: 'throwException, echoParams',
+        params: {},
+        expected: { statusCode: 400, body: { error: "Response is not valid 'message/http'." } },
+        status: 'action developer error',
+        componentCount: 1
+      }
+    ])('$description', async ({ actions, inputs, params, expected, status, componentCount }) => {
+      const response = await invoke({ actions, inputs, params })
+      expect(response.statusCode).toEqual(expected.statusCode)
+      expect(response.body).toEqual(expected.body)
+
+      // the sequence has its own (parent) activation, with the outcome of its last component
+      const sequenceActivation = activationStore.get(response.activationId)
+      expect(sequenceActivation).toMatchObject({ name: 'seq', response: { status } })
+      expect(sequenceActivation.logs).toHaveLength(componentCount)
+    })
+
+    test('the web request metadata is passed to the first action only', async () => {
+      const response = await invoke({
+        actions: 'echoParams, echoParams',
+        params: { name: 'value', __ow_method: 'get', __ow_headers: { 'x-custom': 'header' } }
+      })
+      const firstResult = { name: 'value', __ow_method: 'get', __ow_headers: { 'x-custom': 'header' } }
+      expect(response).toMatchObject({ statusCode: 200, body: { body: firstResult } })
+      expect(response.body.__ow_headers).toBeUndefined()
+      expect(response.body.__ow_method).toBeUndefined()
+    })
+  })
+
+  test.each([
+    ['undefined', undefined],
+    ['empty', { actions: '' }]
+  ])('%s sequence (error response, and activation)', async (_, sequence) => {
     const actionRequestContext = {
-      contextItem: sequence
+      contextItem: sequence,
+      contextItemName: 'seq',
+      packageName: 'foo'
     }
 
     const response = await invokeSequence({ actionRequestContext, logger: mockLogger })
-    expect(response).toEqual(null)
+    expect(response).toMatchObject({
+      statusCode: 400,
+      body: { error: 'Sequence has no components.' },
+      activationResponse: { status: 'application error', success: false }
+    })
+    expect(mockLogger.error).toHaveBeenCalledWith('Sequence seq has no components.')
+    expect(activationStore.get(response.activationId)).toMatchObject({ name: 'seq', response: { success: false } })
   })
 
   test('unknown action in sequence', async () => {
@@ -1094,7 +2494,7 @@ describe('invokeSequence', () => {
     const response = await invokeSequence({ actionRequestContext, logger: mockLogger })
     expect(response).toMatchObject({
       body: {
-        error: "Response is not valid 'message/http'."
+        error: "Response is not valid 'message/http'. a action does not export a function named 'main'"
       },
       statusCode: 400
     })
@@ -1125,21 +2525,231 @@ describe('invokeSequence', () => {
       }
     }
 
-    const actionRequestContext = {
-      contextActionLoader: actionLoader,
-      contextItem: sequence,
-      contextItemParams: sequenceParams,
-      packageName,
-      actionConfig
+    const actionRequestContext = {
+      contextActionLoader: actionLoader,
+      contextItem: sequence,
+      contextItemParams: sequenceParams,
+      packageName,
+      actionConfig
+    }
+    const response = await invokeSequence({ actionRequestContext, logger: mockLogger })
+    // result of sequence with the two actions: 1+2+3 = 6, then 6*6 = 36
+    expect(response).toMatchObject({
+      body: {
+        payload: 36
+      },
+      statusCode: 200
+    })
+  })
+})
+
+describe('invokeConductor', () => {
+  const conductorMain = require(fixturePath('actions/conductorAction.js')).main
+  const createActionConfig = (conductorMains = {}) => ({
+    math: {
+      actions: {
+        addNumbers: { function: fixturePath('actions/addNumbersAction.js') },
+        squareNumber: { function: fixturePath('actions/squareNumberAction.js') },
+        returnError: { function: fixturePath('actions/returnErrorAction.js') },
+        conductor: { function: fixturePath('actions/conductorAction.js'), annotations: { conductor: true } },
+        ...Object.fromEntries(Object.keys(conductorMains).map(name => [name, { function: fixturePath('actions/conductorAction.js'), annotations: { conductor: 'true' } }]))
+      },
+      sequences: {
+        square: { actions: 'squareNumber' }
+      }
+    }
+  })
+  const createLoader = (conductorMains = {}) => ({ actionName }) => {
+    if (actionName === 'conductor') {
+      return conductorMain
+    }
+    return conductorMains[actionName] ?? require(fixturePath(`actions/${actionName}Action.js`)).main
+  }
+  const invoke = ({ params, conductorName = 'conductor', conductorMains } = {}) => {
+    const actionConfig = createActionConfig(conductorMains)
+    return invokeConductor({
+      actionRequestContext: {
+        contextActionLoader: createLoader(conductorMains),
+        contextItem: actionConfig.math.actions[conductorName],
+        contextItemName: conductorName,
+        contextItemParams: params,
+        packageName: 'math',
+        actionConfig
+      },
+      logger: mockLogger
+    })
+  }
+
+  test('runs the components that the conductor action returns, until it returns no action', async () => {
+    const response = await invoke({ params: { payload: '1,2', steps: ['math/addNumbers', 'math/squareNumber'] } })
+    expect(response).toMatchObject({ statusCode: 200, body: { payload: 9 } })
+
+    // the composition has its own activation, which lists the conductor and component activations
+    const compositionActivation = activationStore.get(response.activationId)
+    expect(compositionActivation).toMatchObject({ name: 'conductor', response: { status: 'success', result: { payload: 9, body: { payload: 9 } } } })
+    const stepNames = compositionActivation.logs.map(activationId => activationStore.get(activationId).name)
+    expect(stepNames).toEqual(['conductor', 'addNumbers', 'conductor', 'squareNumber', 'conductor'])
+    compositionActivation.logs.forEach(activationId => {
+      expect(activationStore.get(activationId).cause).toEqual(response.activationId)
+    })
+  })
+
+  test('the result of the composition is the conductor result, when it has no params', async () => {
+    const response = await invoke({ conductorName: 'done', conductorMains: { done: () => ({ done: true }) } })
+    expect(response).toMatchObject({ statusCode: 200, activationResponse: { success: true, result: { done: true } } })
+  })
+
+  test('component sequences and conductor actions', async () => {
+    const response = await invoke({ params: { payload: '3', steps: ['math/square', 'math/nested'] }, conductorMains: { nested: conductorMain } })
+    expect(response).toMatchObject({ statusCode: 200, body: { payload: 9 } })
+
+    const compositionActivation = activationStore.get(response.activationId)
+    const nestedActivation = activationStore.get(compositionActivation.logs[3])
+    expect(nestedActivation).toMatchObject({ name: 'nested', cause: response.activationId })
+    expect(nestedActivation.logs).toHaveLength(1)
+  })
+
+  test('a component error is passed to the conductor action', async () => {
+    const response = await invoke({ params: { steps: ['math/returnError', 'math/addNumbers'] }, conductorMains: {} })
+    // the conductor action returns the error as the result, without running the next step
+    expect(response).toMatchObject({ statusCode: 403, body: { error: 'something wrong happened here' } })
+    expect(response.activationResponse).toMatchObject({ status: 'application error' })
+    expect(activationStore.get(response.activationId).logs).toHaveLength(3)
+  })
+
+  test('an error of the conductor action ends the composition', async () => {
+    const response = await invoke({
+      params: { payload: '1', steps: ['math/addNumbers'] },
+      conductorName: 'failing',
+      conductorMains: { failing: () => ({ error: { statusCode: 409, body: { error: 'conflict' } } }) }
+    })
+    expect(response).toMatchObject({ statusCode: 409, body: { error: 'conflict' } })
+    expect(activationStore.get(response.activationId).logs).toHaveLength(1)
+  })
+
+  test.each([
+    ['the action is not a string', { action: 42 }, 'Failed to parse action name from json value 42 during composition.'],
+    ['the action does not exist', { action: 'math/unknown' }, 'Failed to resolve action with name \'math/unknown\' during composition.'],
+    ['the action is not in a package', { action: 'addNumbers' }, 'Failed to resolve action with name \'addNumbers\' during composition.']
+  ])('the composition fails when %s', async (_, conductorResult, error) => {
+    const response = await invoke({ conductorName: 'invalid', conductorMains: { invalid: () => conductorResult } })
+    expect(response).toMatchObject({
+      statusCode: 400,
+      body: { error },
+      activationResponse: { status: 'application error', result: { error } }
+    })
+    expect(mockLogger.error).toHaveBeenCalledWith(error)
+  })
+
+  test('step limit', async () => {
+    const endless = () => ({ action: 'math/addNumbers', params: { payload: '1' } })
+    const response = await invoke({ conductorName: 'endless', conductorMains: { endless } })
+    expect(response).toMatchObject({ statusCode: 400, body: { error: 'Too many actions in the composition.' } })
+    // 50 components, and a conductor invocation after each one
+    expect(activationStore.get(response.activationId).logs).toHaveLength(101)
+  })
+
+  test('web conductor action, with its inputs', async () => {
+    const mockStatus = jest.fn()
+    const mockSend = jest.fn()
+    const res = createRes({ mockStatus, mockSend })
+    const req = createReq({ url: 'math/webConductor', query: { payload: '1,2' } })
+    const actionConfig = createActionConfig()
+    actionConfig.math.actions.webConductor = {
+      function: fixturePath('actions/conductorAction.js'),
+      web: true,
+      annotations: { conductor: true },
+      inputs: { steps: ['math/addNumbers', 'math/squareNumber'] }
+    }
+
+    await serveWebAction(req, res, actionConfig, DIST_FOLDER, createLoader({ webConductor: conductorMain }))
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    expect(mockSend).toHaveBeenCalledWith({ payload: 9 })
+  })
+})
+
+describe('fireTrigger', () => {
+  const actionPath = fixturePath('actions/echoParamsAction.js')
+  const actionLoader = () => require(actionPath).main
+  const createLogger = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+
+  beforeEach(() => {
+    activationStore.clear()
+  })
+
+  test('the alarm payload, the trigger inputs and the fired payload over the action inputs', async () => {
+    const actionConfig = {
+      mypackage: {
+        actions: { echo: { function: actionPath, inputs: { name: 'action', fromAction: true } } },
+        triggers: {
+          everyMinute: { feed: '/whisk.system/alarms/alarm', inputs: { cron: '* * * * *', trigger_payload: '{"name":"alarm","fromAlarm":true}' } }
+        },
+        rules: { everyMinuteEcho: { trigger: 'everyMinute', action: 'echo' } }
+      }
+    }
+
+    const { activationId } = fireTrigger({ triggerName: 'everyMinute', payload: { fired: true }, actionConfig, distFolder: DIST_FOLDER, actionLoader, logger: createLogger() })
+    await jest.advanceTimersByTimeAsync(0)
+
+    const triggerActivation = activationStore.get(activationId)
+    // the trigger is not in a namespace (AIO_RUNTIME_NAMESPACE is not set)
+    expect(triggerActivation.namespace).toEqual('_')
+    const [rule] = triggerActivation.logs.map(log => JSON.parse(log))
+    expect(rule).toEqual({ statusCode: 0, success: true, activationId: expect.any(String), rule: '_/everyMinuteEcho', action: '_/mypackage/echo' })
+    expect(activationStore.get(rule.activationId).response.result.body).toEqual({
+      cron: '* * * * *',
+      trigger_payload: '{"name":"alarm","fromAlarm":true}',
+      name: 'alarm',
+      fromAlarm: true,
+      fromAction: true,
+      fired: true
+    })
+  })
+
+  test('a rule whose action does not exist', async () => {
+    const logger = createLogger()
+    const actionConfig = {
+      mypackage: {
+        actions: { echo: { function: actionPath } },
+        triggers: { onEvent: {} },
+        rules: {
+          onEventUnknown: { trigger: 'onEvent', action: 'unknown' },
+          onEventEcho: { trigger: 'onEvent', action: 'echo' }
+        }
+      }
+    }
+
+    const { activationId } = fireTrigger({ triggerName: 'onEvent', actionConfig, distFolder: DIST_FOLDER, actionLoader, logger })
+    await jest.advanceTimersByTimeAsync(0)
+
+    expect(logger.error).toHaveBeenCalledWith('Rule onEventUnknown: the action mypackage/unknown does not exist.')
+    const [unknown, echo] = activationStore.get(activationId).logs.map(log => JSON.parse(log))
+    expect(unknown).toEqual({ statusCode: 1, success: false, rule: '_/onEventUnknown', action: '_/mypackage/unknown', error: 'The requested resource does not exist.' })
+    expect(echo.success).toBe(true)
+  })
+
+  test('a trigger without rules', () => {
+    const logger = createLogger()
+    const actionConfig = { mypackage: { triggers: { onEvent: {} } } }
+
+    expect(fireTrigger({ triggerName: 'onEvent', actionConfig, logger })).toBeUndefined()
+    expect(logger.info).toHaveBeenCalledWith('trigger onEvent has no rules, it is not activated')
+    expect(activationStore.list({})).toEqual([])
+  })
+
+  test('an invocation that fails is logged', async () => {
+    const logger = createLogger()
+    const actionConfig = {
+      mypackage: {
+        actions: { echo: { function: actionPath } },
+        triggers: { onEvent: {} },
+        rules: { onEventEcho: { trigger: 'onEvent', action: 'echo' } }
+      }
     }
-    const response = await invokeSequence({ actionRequestContext, logger: mockLogger })
-    // result of sequence with the two actions: 1+2+3 = 6, then 6*6 = 36
-    expect(response).toMatchObject({
-      body: {
-        payload: 36
-      },
-      statusCode: 200
-    })
+    // the default action loader cannot load the action (it is not built)
+    fireTrigger({ triggerName: 'onEvent', actionConfig, distFolder: DIST_FOLDER, logger })
+    await jest.advanceTimersByTimeAsync(0)
+    expect(logger.error).toHaveBeenCalled()
   })
 })
 
@@ -1175,6 +2785,10 @@ describe('runDev', () => {
       actions: {
         myaction: {
           function: actionPath
+        },
+        mywebaction: {
+          function: actionPath,
+          web: 'yes'
         }
       }
     })
@@ -1186,6 +2800,189 @@ describe('runDev', () => {
 
     expect(frontendUrl).not.toBeDefined()
     expect(Object.keys(actionUrls).length).toBeGreaterThan(0)
+    // non-web actions are invoked via the OpenWhisk REST API
+    const nonWebActionUrl = new URL(actionUrls['mypackage/myaction'])
+    expect(nonWebActionUrl.pathname).toEqual('/api/v1/namespaces/_/actions/mypackage/myaction')
+    expect(nonWebActionUrl.search).toEqual('?blocking=true&result=true')
+    expect(new URL(actionUrls['mypackage/mywebaction']).pathname).toEqual('/api/v1/web/mypackage/mywebaction')
+  })
+
+  test('the namespaced urls of getActionUrls (custom API host) are served', async () => {
+    process.env.AIO_RUNTIME_NAMESPACE = 'mynamespace'
+    const actionPath = fixturePath('actions/echoParamsAction.js')
+    const config = createConfig({
+      hasFrontend: false,
+      hasBackend: true,
+      packageName: 'mypackage',
+      actions: { mywebaction: { function: actionPath, web: 'yes' } }
+    })
+    config.ow.apihost = 'https://custom-ow-host.example.com'
+    config.app.hostname = config.app.defaultHostname
+    const runOptions = createRunOptions({ cert: 'my-cert', key: 'my-key' })
+
+    const { actionUrls, serverCleanup } = await runDev(runOptions, config, () => {})
+    await serverCleanup()
+
+    const webActionUrl = new URL(actionUrls['mypackage/mywebaction'])
+    expect(webActionUrl.hostname).toEqual('localhost')
+    expect(webActionUrl.pathname).toEqual('/api/v1/web/mynamespace/mypackage/mywebaction')
+
+    const mockStatus = jest.fn()
+    const req = createReq({ url: webActionUrl.pathname.replace('/api/v1/web/', '') })
+    await serveWebAction(req, createRes({ mockStatus, mockSend: jest.fn() }), config.manifest.full.packages, DIST_FOLDER, createActionLoader(actionPath))
+    expect(mockStatus).toHaveBeenCalledWith(200)
+    delete process.env.AIO_RUNTIME_NAMESPACE
+  })
+
+  test('web actions with require-whisk-auth true get a secret', async () => {
+    const actionPath = fixturePath('actions/successNoReturnAction.js')
+    const config = createConfig({
+      hasFrontend: false,
+      hasBackend: true,
+      packageName: 'mypackage',
+      actions: {
+        mywebaction: {
+          function: actionPath,
+          web: 'yes',
+          annotations: { 'require-whisk-auth': true }
+        }
+      }
+    })
+
+    const { serverCleanup } = await runDev({}, config, () => {})
+    await serverCleanup()
+
+    expect(mockLogger.info).toHaveBeenCalledWith(expect.stringMatching(/^mypackage\/mywebaction requires the X-Require-Whisk-Auth header: \d+$/))
+    // the config passed in is not changed
+    expect(config.manifest.full.packages.mypackage.actions.mywebaction.annotations['require-whisk-auth']).toBe(true)
+  })
+
+  test('request body parsers, within the action request body limit', async () => {
+    const config = createConfig({
+      hasFrontend: false,
+      hasBackend: true,
+      packageName: 'mypackage',
+      actions: {
+        upload: {
+          function: fixturePath('actions/successNoReturnAction.js'),
+          web: 'raw',
+          limits: { requestBodySize: 1000 }
+        }
+      }
+    })
+    const parser = (req, res, next) => next()
+    ;['text', 'json', 'urlencoded', 'raw'].forEach(type => mockExpress[type].mockReturnValue(parser))
+
+    const { serverCleanup } = await runDev({}, config, () => {})
+    await serverCleanup()
+
+    const bodyParsers = Object.fromEntries(mockExpress.all.mock.calls.map(([route, bodyParser]) => [route, bodyParser]))
+    const parseBody = (route, url) => {
+      const next = jest.fn()
+      bodyParsers[route]({ params: [url] }, {}, next)
+      expect(next).toHaveBeenCalledWith(undefined)
+    }
+
+    // raw web action: the limit of the base64 encoded body
+    parseBody('/api/v1/web/*', 'mypackage/upload.json')
+    expect(mockExpress.text).toHaveBeenLastCalledWith({ inflate: false, limit: 1000, type: 'text/plain' })
+    expect(mockExpress.json).toHaveBeenLastCalledWith({ inflate: false, limit: 750, strict: false })
+    // non-web invocation of the action
+    parseBody('/api/v1/*', 'namespaces/_/actions/mypackage/upload')
+    expect(mockExpress.json).toHaveBeenLastCalledWith({ inflate: false, limit: 1000, strict: false })
+    // not an action: the default limit
+    parseBody('/api/v1/*', 'namespaces/_/activations')
+    expect(mockExpress.json).toHaveBeenLastCalledWith({ inflate: false, limit: 1024 * 1024, strict: false })
+  })
+
+  test('the manifest apis are served as API Gateway routes', async () => {
+    const actionPath = fixturePath('actions/echoParamsAction.js')
+    const config = createConfig({
+      hasFrontend: false,
+      hasBackend: true,
+      packageName: 'mypackage',
+      actions: {
+        greeting: { function: actionPath, web: 'yes' },
+        notWeb: { function: actionPath }
+      }
+    })
+    config.manifest.full.packages.mypackage.apis = {
+      'hello-world': {
+        hello: {
+          world: { greeting: { method: 'POST', response: 'http' } },
+          json: { greeting: {} },
+          '/books/{isbn}': { greeting: { method: 'PUT' } },
+          private: { notWeb: { method: 'GET' } }
+        }
+      }
+    }
+    mockGetPort.mockResolvedValueOnce(9080)
+
+    const { apiUrls, serverCleanup } = await runDev({}, config, () => {})
+    await serverCleanup()
+
+    expect(apiUrls).toEqual([
+      { method: 'POST', url: 'https://localhost:9080/apis/mynamespace/hello/world' },
+      { method: 'GET', url: 'https://localhost:9080/apis/mynamespace/hello/json' },
+      { method: 'PUT', url: 'https://localhost:9080/apis/mynamespace/hello/books/{isbn}' }
+    ])
+    expect(mockLogger.warn).toHaveBeenCalledWith("API route not served, GET /apis/mynamespace/hello/private (api 'hello-world'): 'notWeb' is not a web action")
+    expect(mockExpress.get).toHaveBeenCalledWith('/apis/mynamespace/hello/json', expect.any(Function), expect.any(Function), expect.any(Function))
+
+    // the route invokes its web action, with its response type
+    const [route, toWebAction, , handler] = mockExpress.post.mock.calls[0]
+    expect(route).toEqual('/apis/mynamespace/hello/world')
+    const req = createReq({ method: 'POST' })
+    req.params = {}
+    const next = jest.fn()
+    toWebAction(req, {}, next)
+    expect(req.params[0]).toEqual('mypackage/greeting.http')
+    expect(next).toHaveBeenCalled()
+
+    // the path parameters are route parameters, passed to the action
+    const [paramRoute, paramToWebAction] = mockExpress.put.mock.calls[0]
+    expect(paramRoute).toEqual('/apis/mynamespace/hello/books/:isbn')
+    const paramReq = createReq({ method: 'PUT' })
+    paramReq.params = { isbn: '978' }
+    paramToWebAction(paramReq, {}, jest.fn())
+    expect(paramReq.apiPathParams).toEqual({ isbn: '978' })
+    expect(paramReq.params[0]).toEqual('mypackage/greeting.json')
+
+    // the action is not built here, so it cannot be loaded
+    await handler(req, createRes({ mockStatus: jest.fn(), mockSend: jest.fn() }))
+    expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('greeting action could not be loaded'))
+  })
+
+  test('the manifest triggers can be fired, and the alarm triggers fire on schedule until cleanup', async () => {
+    const actionPath = fixturePath('actions/echoParamsAction.js')
+    const config = createConfig({
+      hasFrontend: false,
+      hasBackend: true,
+      packageName: 'mypackage',
+      actions: { greeting: { function: actionPath } }
+    })
+    config.manifest.full.packages.mypackage.triggers = {
+      onEvent: {},
+      everyMinute: { feed: '/whisk.system/alarms/interval', inputs: { minutes: 1 } }
+    }
+    config.manifest.full.packages.mypackage.rules = {
+      everyMinuteGreeting: { trigger: 'everyMinute', action: 'greeting' }
+    }
+    mockGetPort.mockResolvedValueOnce(9080)
+    activationStore.clear()
+
+    const { triggerUrls, serverCleanup } = await runDev({}, config, () => {})
+    expect(triggerUrls).toEqual({
+      onEvent: 'https://localhost:9080/api/v1/namespaces/_/triggers/onEvent',
+      everyMinute: 'https://localhost:9080/api/v1/namespaces/_/triggers/everyMinute'
+    })
+
+    await jest.advanceTimersByTimeAsync(60 * 1000)
+    expect(activationStore.list({ name: 'everyMinute' })).toHaveLength(1)
+
+    await serverCleanup()
+    await jest.advanceTimersByTimeAsync(60 * 1000)
+    expect(activationStore.list({ name: 'everyMinute' })).toHaveLength(1)
   })
 
   test('has front end, has back end', async () => {
@@ -1215,8 +3012,8 @@ describe('runDev', () => {
       watch: bundlerWatch
     })
 
-    mockExpress.all.mockImplementation((_, fn) => {
-      fn(req, res)
+    mockExpress.all.mockImplementation((_, ...handlers) => {
+      handlers.at(-1)(req, res)
     })
 
     // 1. run options https
@@ -1436,6 +3233,68 @@ describe('runDev', () => {
 })
 
 describe('invokeAction', () => {
+  describe('require-adobe-auth, local IMS stand-in (runOptions.localIms)', () => {
+    const orgId = '1234@AdobeOrg'
+    const actionPath = fixturePath('actions/successReturnAction.js')
+    const action = { function: actionPath, annotations: { 'require-adobe-auth': true } }
+    let keys
+
+    beforeAll(() => {
+      keys = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      })
+    })
+
+    const invoke = (headers) => invokeAction({
+      actionRequestContext: {
+        contextActionLoader: createActionLoader(actionPath),
+        contextItem: action,
+        contextItemParams: { __ow_headers: headers },
+        contextItemName: 'a',
+        packageName: 'foo',
+        runOptions: { localIms: { publicKey: keys.publicKey } }
+      },
+      logger: mockLogger
+    })
+    const token = (options) => createToken({
+      privateKey: keys.privateKey,
+      orgId,
+      userId: 'developer@AdobeID',
+      clientId: 'aio-app-dev',
+      scopes: ['openid'],
+      expiresIn: 60000,
+      ...options
+    })
+
+    test('valid token', async () => {
+      const response = await invoke({ Authorization: `Bearer ${token()}`, 'x-gw-ims-org-id': orgId })
+      expect(response).toMatchObject({ statusCode: 200, body: 'Hello Simple Action' })
+    })
+
+    test('missing header', async () => {
+      const response = await invoke({ Authorization: `Bearer ${token()}` })
+      expect(response).toMatchObject({ statusCode: 401, body: { error: 'cannot authorize request, reason: missing x-gw-ims-org-id header' } })
+    })
+
+    test('not a valid token', async () => {
+      const response = await invoke({ authorization: 'Bearer some-garbage', 'x-gw-ims-org-id': orgId })
+      expect(response).toMatchObject({ statusCode: 401, body: { error: 'cannot authorize request, reason: invalid authorization header' } })
+      expect(response.activationResponse).toMatchObject({ status: 'application error' })
+    })
+
+    test('expired token', async () => {
+      const response = await invoke({ authorization: `Bearer ${token({ now: Date.now() - 60000 })}`, 'x-gw-ims-org-id': orgId })
+      expect(response).toMatchObject({ statusCode: 401, body: { error: 'cannot authorize request, reason: token is expired' } })
+    })
+
+    test('token for another org', async () => {
+      const response = await invoke({ authorization: `Bearer ${token()}`, 'x-gw-ims-org-id': 'other@AdobeOrg' })
+      expect(response).toMatchObject({ statusCode: 403 })
+    })
+  })
+
   test('successful action (200)', async () => {
     const packageName = 'foo'
     const actionPath = fixturePath('actions/successReturnAction.js')
@@ -1470,6 +3329,325 @@ describe('invokeAction', () => {
     })
   })
 
+  test('activation is recorded, with the action logs', async () => {
+    const packageName = 'foo'
+    const actionName = 'a'
+    const action = { function: fixturePath('actions/successNoReturnAction.js'), runtime: 'nodejs:18' }
+    const actionLoader = () => (params) => {
+      process.stdout.write(`hello ${params.name}\n`)
+      return { body: 'ok' }
+    }
+
+    const actionRequestContext = {
+      contextActionLoader: actionLoader,
+      contextItem: action,
+      contextItemParams: { name: 'world' },
+      contextItemName: actionName,
+      packageName,
+      actionConfig: { [packageName]: { actions: { [actionName]: action } } }
+    }
+    const response = await invokeAction({ actionRequestContext, logger: mockLogger })
+    const activation = activationStore.get(response.activationId)
+    expect(activation).toMatchObject({
+      name: actionName,
+      params: { name: 'world' },
+      annotations: expect.arrayContaining([{ key: 'kind', value: 'nodejs:18' }])
+    })
+    expect(activation.logs).toEqual([expect.stringMatching(/ stdout: hello world$/)])
+  })
+
+  test('the dev server logger output is not in the action logs', async () => {
+    const packageName = 'foo'
+    const actionName = 'a'
+    const action = { function: fixturePath('actions/throwExceptionAction.js') }
+    const actionLoader = () => () => {
+      process.stdout.write('about to throw\n')
+      throw new Error('boom')
+    }
+    // a logger that writes to stdout and stderr, like the winston console transport
+    const write = (streamName) => (...args) => process[streamName].write(`[serveWebAction] ${args.join(' ')}\n`)
+    const logger = { debug: write('stdout'), info: write('stdout'), warn: write('stderr'), error: write('stderr') }
+
+    const actionRequestContext = {
+      contextActionLoader: actionLoader,
+      contextItem: action,
+      contextItemParams: {},
+      contextItemName: actionName,
+      packageName,
+      actionConfig: { [packageName]: { actions: { [actionName]: action } } }
+    }
+    const response = await invokeAction({ actionRequestContext, logger })
+    expect(response.statusCode).toEqual(400)
+    expect(activationStore.get(response.activationId).logs).toEqual([expect.stringMatching(/ stdout: about to throw$/)])
+  })
+
+  test('action exceeds its timeout limit (502)', async () => {
+    const packageName = 'foo'
+    const actionName = 'a'
+    const action = { function: fixturePath('actions/successNoReturnAction.js'), limits: { timeout: 1000 } }
+    let finishAction
+    const actionLoader = () => () => new Promise(resolve => { finishAction = resolve }) // resolves after the test
+
+    const actionRequestContext = {
+      contextActionLoader: actionLoader,
+      contextItem: action,
+      contextItemParams: {},
+      contextItemName: actionName,
+      packageName,
+      actionConfig: { [packageName]: { actions: { [actionName]: action } } }
+    }
+    const invocation = invokeAction({ actionRequestContext, logger: mockLogger })
+    await jest.advanceTimersByTimeAsync(1000)
+    const response = await invocation
+    expect(response).toMatchObject({
+      statusCode: 502,
+      body: { error: 'The action exceeded its time limits of 1000 milliseconds.' },
+      activationResponse: {
+        status: 'action developer error',
+        success: false
+      }
+    })
+    // the action kept running in the background, its output is captured until it completes
+    finishAction()
+  })
+
+  describe('warm and cold starts', () => {
+    const packageName = 'foo'
+    const actionName = 'a'
+    const action = { function: fixturePath('actions/successReturnAction.js') }
+    const createContext = (actionLoader, runOptions = {}) => ({
+      contextActionLoader: actionLoader,
+      contextItem: action,
+      contextItemParams: {},
+      contextItemName: actionName,
+      packageName,
+      distFolder: DIST_FOLDER,
+      actionConfig: { [packageName]: { actions: { [actionName]: action } } },
+      runOptions
+    })
+
+    test('the action manifest main field is the entry point', async () => {
+      const actionLoader = jest.fn(() => undefined)
+      const context = { ...createContext(actionLoader), contextItem: { ...action, main: 'handler' } }
+
+      const response = await invokeAction({ actionRequestContext: context, logger: mockLogger })
+      expect(actionLoader).toHaveBeenCalledWith(expect.objectContaining({ entryPoint: 'handler' }))
+      expect(response).toMatchObject({
+        statusCode: 400,
+        body: { error: 'Response is not valid \'message/http\'. a action does not export a function named \'handler\'' },
+        activationResponse: { status: 'action developer error', result: { error: 'a action does not export a function named \'handler\'' } }
+      })
+    })
+
+    test('the action cannot be loaded', async () => {
+      const actionLoader = jest.fn(() => { throw new Error('Cannot find module') })
+
+      const response = await invokeAction({ actionRequestContext: createContext(actionLoader), logger: mockLogger })
+      expect(response).toMatchObject({
+        statusCode: 400,
+        body: { error: 'Response is not valid \'message/http\'. a action could not be loaded: Cannot find module' },
+        activationResponse: { status: 'action developer error' }
+      })
+    })
+
+    test('the action stays loaded between activations (warm container)', async () => {
+      const actionLoader = jest.fn(() => () => ({ body: 'ok' }))
+
+      const first = await invokeAction({ actionRequestContext: createContext(actionLoader), logger: mockLogger })
+      const second = await invokeAction({ actionRequestContext: createContext(actionLoader), logger: mockLogger })
+      expect(second).toMatchObject({ statusCode: 200, body: 'ok' })
+      expect(actionLoader).toHaveBeenCalledTimes(1)
+
+      // only the cold start has an initTime annotation, and is logged
+      expect(activationStore.get(first.activationId).annotations).toContainEqual({ key: 'initTime', value: expect.any(Number) })
+      expect(activationStore.get(second.activationId).annotations).not.toContainEqual(expect.objectContaining({ key: 'initTime' }))
+      expect(mockLogger.info).toHaveBeenCalledWith(expect.stringMatching(`a activation ${first.activationId} was a cold start`))
+      expect(mockLogger.info).not.toHaveBeenCalledWith(expect.stringMatching(`a activation ${second.activationId} was a cold start`))
+    })
+
+    test('the action stays loaded after it throws', async () => {
+      const actionLoader = jest.fn(() => () => { throw new Error('oops') })
+
+      await invokeAction({ actionRequestContext: createContext(actionLoader), logger: mockLogger })
+      const response = await invokeAction({ actionRequestContext: createContext(actionLoader), logger: mockLogger })
+      expect(response).toMatchObject({ statusCode: 400 })
+      expect(actionLoader).toHaveBeenCalledTimes(1)
+    })
+
+    test('forced cold starts (runOptions.cold)', async () => {
+      const actionLoader = jest.fn(() => () => ({ body: 'ok' }))
+
+      await invokeAction({ actionRequestContext: createContext(actionLoader, { cold: true }), logger: mockLogger })
+      await invokeAction({ actionRequestContext: createContext(actionLoader, { cold: true }), logger: mockLogger })
+      expect(actionLoader).toHaveBeenCalledTimes(2)
+      expect(actionContainers.size).toEqual(0)
+    })
+  })
+
+  describe('isolated (runOptions.isolate)', () => {
+    const packageName = 'foo'
+    const actionName = 'a'
+    let mockRun, mockDestroy
+
+    const createContext = (action = { function: fixturePath('actions/successReturnAction.js') }, runOptions = {}) => ({
+      contextActionLoader: jest.fn(),
+      contextItem: action,
+      contextItemParams: { name: 'world' },
+      contextItemName: actionName,
+      packageName,
+      distFolder: DIST_FOLDER,
+      actionConfig: { [packageName]: { actions: { [actionName]: action } } },
+      runOptions: { isolate: true, ...runOptions }
+    })
+
+    beforeEach(() => {
+      mockRun = jest.fn()
+      mockDestroy = jest.fn()
+      ActionProcess.mockReset()
+      ActionProcess.mockImplementation(({ version }) => ({ version, run: mockRun, destroy: mockDestroy }))
+    })
+
+    test('the action process output is in the action logs, the dev server logger output is not', async () => {
+      mockRun.mockImplementation(async () => {
+        process.stdout.write('from the action process\n')
+        throw new ActionProcessError('Error: boom')
+      })
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: (...args) => process.stderr.write(`${args.join(' ')}\n`) }
+
+      const response = await invokeAction({ actionRequestContext: createContext(), logger })
+      expect(response.statusCode).toEqual(400)
+      expect(activationStore.get(response.activationId).logs).toEqual([expect.stringMatching(/ stdout: from the action process$/)])
+    })
+
+    test('runs the action in its own process (200)', async () => {
+      mockRun.mockResolvedValue({ response: { body: 'ok' }, initTime: 10 })
+      const actionRequestContext = createContext()
+
+      const response = await invokeAction({ actionRequestContext, logger: mockLogger })
+      expect(response).toMatchObject({ statusCode: 200, body: 'ok', activationResponse: { success: true } })
+      expect(ActionProcess).toHaveBeenCalledWith({
+        actionPath: expect.stringContaining('-temp/index.js'),
+        entryPoint: 'main',
+        version: expect.any(String),
+        cwd: 'dirname',
+        memorySize: 256
+      })
+      expect(mockRun).toHaveBeenCalledWith({
+        env: {
+          __OW_ACTIVATION_ID: response.activationId,
+          __OW_ACTION_NAME: actionName,
+          __OW_DEADLINE: expect.any(String)
+        },
+        params: { name: 'world' },
+        signal: expect.any(AbortSignal)
+      })
+      expect(activationStore.get(response.activationId).annotations).toContainEqual({ key: 'initTime', value: 10 })
+      // the dev server process state is untouched
+      expect(actionRequestContext.contextActionLoader).not.toHaveBeenCalled()
+      expect(process.chdir).not.toHaveBeenCalled()
+      expect(process.env.__OW_ACTION_NAME).not.toBeDefined()
+    })
+
+    test('the action process is reused (warm container)', async () => {
+      mockRun.mockResolvedValueOnce({ response: { body: 'ok' }, initTime: 10 })
+        .mockResolvedValueOnce({ response: { body: 'ok' } })
+
+      await invokeAction({ actionRequestContext: createContext(), logger: mockLogger })
+      const response = await invokeAction({ actionRequestContext: createContext(), logger: mockLogger })
+      expect(response).toMatchObject({ statusCode: 200, body: 'ok' })
+      expect(ActionProcess).toHaveBeenCalledTimes(1)
+      expect(mockDestroy).not.toHaveBeenCalled()
+      expect(activationStore.get(response.activationId).annotations).not.toContainEqual(expect.objectContaining({ key: 'initTime' }))
+    })
+
+    test('forced cold starts (runOptions.cold)', async () => {
+      mockRun.mockResolvedValue({ response: { body: 'ok' }, initTime: 10 })
+
+      await invokeAction({ actionRequestContext: createContext(undefined, { cold: true }), logger: mockLogger })
+      await invokeAction({ actionRequestContext: createContext(undefined, { cold: true }), logger: mockLogger })
+      expect(ActionProcess).toHaveBeenCalledTimes(2)
+      expect(mockDestroy).toHaveBeenCalledTimes(2)
+    })
+
+    test('action cannot be loaded (400)', async () => {
+      mockRun.mockRejectedValue(new ActionLoadError('does not export a function named \'handler\''))
+
+      const response = await invokeAction({ actionRequestContext: createContext({ function: 'index.js', main: 'handler' }), logger: mockLogger })
+      expect(ActionProcess).toHaveBeenCalledWith(expect.objectContaining({ entryPoint: 'handler' }))
+      expect(response).toMatchObject({
+        statusCode: 400,
+        body: { error: 'Response is not valid \'message/http\'. a action does not export a function named \'handler\'' },
+        activationResponse: { status: 'action developer error' }
+      })
+      expect(mockDestroy).toHaveBeenCalled()
+    })
+
+    test('action throws, its process is reused (400)', async () => {
+      mockRun.mockRejectedValue(new ActionProcessError('Error: oops'))
+
+      const response = await invokeAction({ actionRequestContext: createContext(), logger: mockLogger })
+      expect(response).toMatchObject({
+        statusCode: 400,
+        body: { error: 'Response is not valid \'message/http\'.' },
+        activationResponse: { result: { error: 'An error has occurred: Error: oops' } }
+      })
+      expect(mockDestroy).not.toHaveBeenCalled()
+      expect(actionContainers.size).toEqual(1)
+    })
+
+    test('action process crashes (400)', async () => {
+      mockRun.mockRejectedValue(new Error('The action process exited unexpectedly (SIGKILL).'))
+
+      const response = await invokeAction({ actionRequestContext: createContext(), logger: mockLogger })
+      expect(response).toMatchObject({
+        statusCode: 400,
+        body: { error: 'Response is not valid \'message/http\'.' },
+        activationResponse: {
+          status: 'action developer error',
+          result: { error: 'An error has occurred: Error: The action process exited unexpectedly (SIGKILL).' }
+        }
+      })
+      expect(mockDestroy).toHaveBeenCalled()
+    })
+
+    test('action exhausts its memory, its process is aborted (502)', async () => {
+      mockRun.mockRejectedValue(new ActionMemoryError('The action process ran out of memory.'))
+
+      const response = await invokeAction({ actionRequestContext: createContext(), logger: mockLogger })
+      expect(response).toMatchObject({
+        statusCode: 502,
+        body: { error: 'The action exhausted its memory and was aborted.' },
+        activationResponse: {
+          status: 'action developer error',
+          statusCode: 2,
+          success: false,
+          result: { error: 'The action exhausted its memory and was aborted.' }
+        }
+      })
+      expect(mockDestroy).toHaveBeenCalled()
+    })
+
+    test('action exceeds its timeout limit, its process is killed (502)', async () => {
+      let actionSignal
+      mockRun.mockImplementation(({ signal }) => {
+        actionSignal = signal
+        // like the action process, the run fails when the process is killed
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('The action process was stopped.'))))
+      })
+      const action = { function: fixturePath('actions/successReturnAction.js'), limits: { timeout: 1000 } }
+
+      const invocation = invokeAction({ actionRequestContext: createContext(action), logger: mockLogger })
+      await jest.advanceTimersByTimeAsync(1000)
+      const response = await invocation
+      expect(response).toMatchObject({
+        statusCode: 502,
+        body: { error: 'The action exceeded its time limits of 1000 milliseconds.' }
+      })
+      expect(actionSignal.aborted).toBe(true)
+      expect(mockDestroy).toHaveBeenCalled()
+    })
+  })
+
   test('successful action (204)', async () => {
     const packageName = 'foo'
     const actionPath = fixturePath('actions/successNoReturnAction.js')
@@ -1619,6 +3797,29 @@ describe('defaultActionLoader', () => {
     expect(actionFunction).toBeDefined()
   })
 
+  test('entry point (the manifest main field)', async () => {
+    const params = {
+      distFolder: fixturePath(DIST_FOLDER),
+      packageName: 'my-package',
+      actionName: 'handlerAction'
+    }
+
+    expect(await defaultActionLoader({ ...params, entryPoint: 'handler' })).toEqual(expect.any(Function))
+    // the action bundle does not export main
+    expect(await defaultActionLoader(params)).toBeUndefined()
+  })
+
+  test('ESM bundle, default export', async () => {
+    const params = {
+      distFolder: fixturePath(DIST_FOLDER),
+      packageName: 'my-package',
+      actionName: 'esmDefaultAction'
+    }
+
+    const actionFunction = await defaultActionLoader(params)
+    expect(actionFunction()).toEqual({ body: 'Hello ESM Action' })
+  })
+
   test('failure', async () => {
     const params = {
       distFolder: fixturePath(DIST_FOLDER),
@@ -0,0 +1,125 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const {
+  DEFAULT_PACKAGE, MAX_SEQUENCE_ACTIONS, parseComponentName, resolveComponent, sequenceComponentNames, validateSequence
+} = require('../../src/lib/sequences')
+
+const actionConfig = {
+  foo: {
+    actions: { a: {}, b: {} },
+    sequences: { seq: { actions: 'a, b' } }
+  },
+  bar: {
+    actions: { c: {} }
+  },
+  [DEFAULT_PACKAGE]: {
+    actions: { d: {} }
+  }
+}
+
+test('exports', () => {
+  expect(DEFAULT_PACKAGE).toEqual('default')
+  expect(MAX_SEQUENCE_ACTIONS).toEqual(50)
+  expect(parseComponentName).toBeDefined()
+  expect(resolveComponent).toBeDefined()
+  expect(sequenceComponentNames).toBeDefined()
+  expect(validateSequence).toBeDefined()
+})
+
+test('sequenceComponentNames', () => {
+  expect(sequenceComponentNames({ actions: 'a, b ,c' })).toEqual(['a', 'b', 'c'])
+  expect(sequenceComponentNames({ actions: 'a,, ' })).toEqual(['a'])
+  expect(sequenceComponentNames({})).toEqual([])
+  expect(sequenceComponentNames(undefined)).toEqual([])
+})
+
+test('parseComponentName', () => {
+  const parse = (componentName) => parseComponentName({ componentName, packageName: 'foo' })
+  expect(parse('a')).toEqual({ packageName: 'foo', name: 'a' })
+  expect(parse('bar/c')).toEqual({ packageName: 'bar', name: 'c' })
+  expect(parse('/ns/bar/c')).toEqual({ namespace: 'ns', packageName: 'bar', name: 'c' })
+  expect(parse('/ns/d')).toEqual({ namespace: 'ns', packageName: DEFAULT_PACKAGE, name: 'd' })
+  // not valid
+  expect(parse('ns/bar/c')).toBeUndefined()
+  expect(parse('/ns')).toBeUndefined()
+  expect(parse('/ns/bar/c/d')).toBeUndefined()
+  expect(parse('bar/')).toBeUndefined()
+  expect(parse('//c')).toBeUndefined()
+})
+
+test('resolveComponent', () => {
+  const resolve = (componentName) => resolveComponent({ actionConfig, componentName, packageName: 'foo', namespace: 'myns' })
+  expect(resolve('a')).toEqual({ packageName: 'foo', name: 'a', action: actionConfig.foo.actions.a, sequence: undefined })
+  expect(resolve('seq')).toEqual({ packageName: 'foo', name: 'seq', action: undefined, sequence: actionConfig.foo.sequences.seq })
+  expect(resolve('bar/c')).toMatchObject({ packageName: 'bar', name: 'c' })
+  expect(resolve('/_/bar/c')).toMatchObject({ packageName: 'bar', name: 'c' })
+  expect(resolve('/myns/bar/c')).toMatchObject({ packageName: 'bar', name: 'c' })
+  expect(resolve('/myns/d')).toMatchObject({ packageName: DEFAULT_PACKAGE, name: 'd' })
+  // does not exist locally
+  expect(resolve('c')).toBeUndefined()
+  expect(resolve('nope/c')).toBeUndefined()
+  expect(resolve('/otherns/bar/c')).toBeUndefined()
+  expect(resolve('not/a/valid/name')).toBeUndefined()
+})
+
+describe('validateSequence', () => {
+  const validate = (config, sequenceName = 'main') => validateSequence({ actionConfig: config, packageName: 'foo', sequenceName, namespace: 'myns' })
+
+  test('valid: same package, other package, fully qualified, nested', () => {
+    const config = {
+      ...actionConfig,
+      foo: {
+        ...actionConfig.foo,
+        sequences: {
+          ...actionConfig.foo.sequences,
+          main: { actions: 'a, bar/c, /_/bar/c, /myns/d, seq' }
+        }
+      }
+    }
+    expect(validate(config)).toEqual([])
+  })
+
+  test('component does not exist', () => {
+    const config = { foo: { actions: { a: {} }, sequences: { main: { actions: 'a, z, bar/z' } } } }
+    expect(validate(config)).toEqual([
+      'Sequence component \'z\' does not exist (sequence = \'main\')',
+      'Sequence component \'bar/z\' does not exist (sequence = \'main\')'
+    ])
+  })
+
+  test('component in another namespace', () => {
+    const config = { foo: { actions: { a: {} }, sequences: { main: { actions: 'a, /whisk.system/utils/echo' } } } }
+    expect(validate(config)).toEqual([
+      'Sequence component \'/whisk.system/utils/echo\' is in another namespace, which is not available locally (sequence = \'main\')'
+    ])
+  })
+
+  test('refers to itself', () => {
+    expect(validate({ foo: { sequences: { main: { actions: 'main' } } } })).toEqual([
+      'Sequence \'main\' may not refer to itself (through \'main\')'
+    ])
+    // through a nested sequence
+    expect(validate({ foo: { actions: { a: {} }, sequences: { main: { actions: 'a, other' }, other: { actions: 'a, foo/main' } } } })).toEqual([
+      'Sequence \'main\' may not refer to itself (through \'foo/main\')'
+    ])
+  })
+
+  test('too many actions', () => {
+    const nested = Array(30).fill('a').join(',')
+    const config = { foo: { actions: { a: {} }, sequences: { main: { actions: 'a, nested, nested' }, nested: { actions: nested } } } }
+    expect(validate(config)).toEqual([
+      'Sequence \'main\' has too many actions (61 > 50)'
+    ])
+    expect(validate(config, 'nested')).toEqual([])
+  })
+})
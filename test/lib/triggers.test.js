@@ -0,0 +1,303 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { alarmFeed, alarmPayload, findTrigger, findTriggerRules, nextAlarmTime, scheduleAlarms, validateTriggers } = require('../../src/lib/triggers')
+
+const utc = (...args) => Date.UTC(...args)
+const MINUTE = 60 * 1000
+
+const createActionConfig = () => ({
+  mypackage: {
+    actions: { greeting: { function: 'greeting.js' } },
+    sequences: { greetings: { actions: 'greeting' } },
+    triggers: {
+      onEvent: {},
+      everyMinute: { feed: '/whisk.system/alarms/alarm', inputs: { cron: '* * * * *' } }
+    },
+    rules: {
+      onEventGreeting: { trigger: 'onEvent', action: 'greeting' },
+      onEventGreetings: { trigger: 'onEvent', action: 'mypackage/greetings' },
+      everyMinuteGreeting: { trigger: 'everyMinute', action: 'greeting' }
+    }
+  },
+  otherpackage: {
+    actions: { hello: { function: 'hello.js' } },
+    rules: {
+      onEventHello: { trigger: 'onEvent', action: 'hello' }
+    }
+  }
+})
+
+const createLogger = () => ({ info: jest.fn(), error: jest.fn() })
+
+test('exports', () => {
+  expect(alarmFeed).toBeDefined()
+  expect(alarmPayload).toBeDefined()
+  expect(findTrigger).toBeDefined()
+  expect(findTriggerRules).toBeDefined()
+  expect(nextAlarmTime).toBeDefined()
+  expect(scheduleAlarms).toBeDefined()
+  expect(validateTriggers).toBeDefined()
+})
+
+describe('findTrigger', () => {
+  test('a trigger of any package', () => {
+    const actionConfig = createActionConfig()
+    expect(findTrigger(actionConfig, 'onEvent')).toBe(actionConfig.mypackage.triggers.onEvent)
+    expect(findTrigger(actionConfig, 'everyMinute')).toBe(actionConfig.mypackage.triggers.everyMinute)
+  })
+
+  test('a trigger that does not exist', () => {
+    expect(findTrigger(createActionConfig(), 'unknown')).toBeUndefined()
+    expect(findTrigger(undefined, 'onEvent')).toBeUndefined()
+    expect(findTrigger({ mypackage: null }, 'onEvent')).toBeUndefined()
+  })
+})
+
+describe('findTriggerRules', () => {
+  test('the rules of all the packages', () => {
+    expect(findTriggerRules(createActionConfig(), 'onEvent')).toEqual([
+      { ruleName: 'onEventGreeting', packageName: 'mypackage', actionName: 'greeting' },
+      { ruleName: 'onEventGreetings', packageName: 'mypackage', actionName: 'greetings' },
+      { ruleName: 'onEventHello', packageName: 'otherpackage', actionName: 'hello' }
+    ])
+  })
+
+  test('no rules', () => {
+    expect(findTriggerRules(createActionConfig(), 'unknown')).toEqual([])
+    expect(findTriggerRules(undefined, 'onEvent')).toEqual([])
+    expect(findTriggerRules({ mypackage: null }, 'onEvent')).toEqual([])
+    expect(findTriggerRules({ mypackage: { rules: { noAction: { trigger: 'onEvent' }, none: null } } }, 'onEvent')).toEqual([])
+  })
+})
+
+describe('alarmFeed', () => {
+  test('the alarms feeds', () => {
+    expect(alarmFeed({ feed: '/whisk.system/alarms/alarm' })).toEqual('alarm')
+    expect(alarmFeed({ feed: 'whisk.system/alarms/interval' })).toEqual('interval')
+    expect(alarmFeed({ feed: '/whisk.system/alarms/once' })).toEqual('once')
+  })
+
+  test('not an alarm', () => {
+    expect(alarmFeed({})).toBeUndefined()
+    expect(alarmFeed(undefined)).toBeUndefined()
+    expect(alarmFeed({ feed: '/whisk.system/alarms/unknown' })).toBeUndefined()
+    expect(alarmFeed({ feed: '/whisk.system/messaging/messageHubFeed' })).toBeUndefined()
+  })
+})
+
+describe('alarmPayload', () => {
+  test('an object payload', () => {
+    expect(alarmPayload({ trigger_payload: { name: 'alarm' } })).toEqual({ name: 'alarm' })
+  })
+
+  test('a JSON payload', () => {
+    expect(alarmPayload({ trigger_payload: '{"name":"alarm"}' })).toEqual({ name: 'alarm' })
+  })
+
+  test('no payload', () => {
+    expect(alarmPayload()).toEqual({})
+    expect(alarmPayload({ trigger_payload: null })).toEqual({})
+    expect(alarmPayload({ trigger_payload: 42 })).toEqual({})
+    expect(alarmPayload({ trigger_payload: 'not json' })).toEqual({})
+  })
+})
+
+describe('validateTriggers', () => {
+  test('valid triggers and rules', () => {
+    expect(validateTriggers({ actionConfig: createActionConfig() })).toEqual([])
+    expect(validateTriggers({ actionConfig: undefined })).toEqual([])
+    expect(validateTriggers({ actionConfig: { mypackage: null } })).toEqual([])
+  })
+
+  test('valid alarms', () => {
+    const triggers = {
+      cron: { feed: '/whisk.system/alarms/alarm', inputs: { cron: '0 */2 * * *', startDate: '2024-01-01T00:00:00.000Z', stopDate: 1735689600000 } },
+      interval: { feed: '/whisk.system/alarms/interval', inputs: { minutes: '5' } },
+      once: { feed: '/whisk.system/alarms/once', inputs: { date: '1735689600000' } }
+    }
+    expect(validateTriggers({ actionConfig: { mypackage: { triggers } } })).toEqual([])
+  })
+
+  test('a feed that is not available locally', () => {
+    const triggers = { onMessage: { feed: '/whisk.system/messaging/messageHubFeed' } }
+    expect(validateTriggers({ actionConfig: { mypackage: { triggers } } })).toEqual([
+      'Trigger \'onMessage\' has the feed \'/whisk.system/messaging/messageHubFeed\', only the /whisk.system/alarms feeds (alarm, interval, once) are available locally'
+    ])
+  })
+
+  test('invalid alarm inputs', () => {
+    const triggers = {
+      cron: { feed: '/whisk.system/alarms/alarm', inputs: { cron: '* * *' } },
+      interval: { feed: '/whisk.system/alarms/interval', inputs: { minutes: 0 } },
+      fraction: { feed: '/whisk.system/alarms/interval', inputs: { minutes: 1.5 } },
+      once: { feed: '/whisk.system/alarms/once' },
+      dates: { feed: '/whisk.system/alarms/interval', inputs: { minutes: 1, startDate: 'tomorrow', stopDate: 'never' } }
+    }
+    expect(validateTriggers({ actionConfig: { mypackage: { triggers } } })).toEqual([
+      'Alarm trigger \'cron\': Invalid cron expression \'* * *\', it must have 5 fields (minute, hour, day of month, month, day of week)',
+      'Alarm trigger \'interval\': the minutes input must be a positive integer',
+      'Alarm trigger \'fraction\': the minutes input must be a positive integer',
+      'Alarm trigger \'once\': the date input must be a date',
+      'Alarm trigger \'dates\': the startDate input must be a date',
+      'Alarm trigger \'dates\': the stopDate input must be a date'
+    ])
+  })
+
+  test('invalid rules', () => {
+    const actionConfig = createActionConfig()
+    actionConfig.otherpackage.rules = {
+      noTrigger: { action: 'hello' },
+      noAction: { trigger: 'onEvent' },
+      empty: null,
+      unknownTrigger: { trigger: 'unknown', action: 'hello' },
+      otherPackageAction: { trigger: 'onEvent', action: 'mypackage/greeting' }
+    }
+    expect(validateTriggers({ actionConfig })).toEqual([
+      'Rule \'noTrigger\' must have a trigger and an action',
+      'Rule \'noAction\' must have a trigger and an action',
+      'Rule \'empty\' must have a trigger and an action',
+      'Rule \'unknownTrigger\': the trigger \'unknown\' does not exist',
+      'Rule \'otherPackageAction\': the action \'mypackage/greeting\' does not exist in package \'otherpackage\''
+    ])
+  })
+})
+
+describe('nextAlarmTime', () => {
+  const now = utc(2024, 0, 1, 12, 0, 30)
+
+  test('alarm (cron)', () => {
+    const trigger = { feed: '/whisk.system/alarms/alarm', inputs: { cron: '*/10 * * * *' } }
+    expect(nextAlarmTime({ trigger, after: now, scheduledAt: now })).toEqual(utc(2024, 0, 1, 12, 10))
+  })
+
+  test('alarm (cron) with a startDate', () => {
+    const trigger = { feed: '/whisk.system/alarms/alarm', inputs: { cron: '*/10 * * * *', startDate: utc(2024, 0, 2) } }
+    // an alarm can fire at its startDate
+    expect(nextAlarmTime({ trigger, after: now, scheduledAt: now })).toEqual(utc(2024, 0, 2))
+    expect(nextAlarmTime({ trigger, after: utc(2024, 0, 2), scheduledAt: now })).toEqual(utc(2024, 0, 2, 0, 10))
+  })
+
+  test('alarm (cron) with a stopDate', () => {
+    const trigger = { feed: '/whisk.system/alarms/alarm', inputs: { cron: '*/10 * * * *', stopDate: utc(2024, 0, 1, 12, 10) } }
+    expect(nextAlarmTime({ trigger, after: now, scheduledAt: now })).toEqual(utc(2024, 0, 1, 12, 10))
+    expect(nextAlarmTime({ trigger, after: utc(2024, 0, 1, 12, 10), scheduledAt: now })).toBeUndefined()
+  })
+
+  test('interval', () => {
+    const trigger = { feed: '/whisk.system/alarms/interval', inputs: { minutes: 5 } }
+    expect(nextAlarmTime({ trigger, after: now, scheduledAt: now })).toEqual(now + 5 * MINUTE)
+    expect(nextAlarmTime({ trigger, after: now + 5 * MINUTE, scheduledAt: now })).toEqual(now + 10 * MINUTE)
+    expect(nextAlarmTime({ trigger, after: now + 7 * MINUTE, scheduledAt: now })).toEqual(now + 10 * MINUTE)
+  })
+
+  test('interval with a startDate', () => {
+    const startDate = utc(2024, 0, 1, 13)
+    const trigger = { feed: '/whisk.system/alarms/interval', inputs: { minutes: '60', startDate: new Date(startDate).toISOString() } }
+    expect(nextAlarmTime({ trigger, after: now, scheduledAt: now })).toEqual(startDate + 60 * MINUTE)
+    const pastTrigger = { feed: '/whisk.system/alarms/interval', inputs: { minutes: '60', startDate: utc(2024, 0, 1, 11, 30) } }
+    expect(nextAlarmTime({ trigger: pastTrigger, after: now, scheduledAt: now })).toEqual(utc(2024, 0, 1, 12, 30))
+  })
+
+  test('once', () => {
+    const trigger = { feed: '/whisk.system/alarms/once', inputs: { date: new Date(now + MINUTE).toISOString() } }
+    expect(nextAlarmTime({ trigger, after: now, scheduledAt: now })).toEqual(now + MINUTE)
+    expect(nextAlarmTime({ trigger, after: now + MINUTE, scheduledAt: now })).toBeUndefined()
+    expect(nextAlarmTime({ trigger: { feed: '/whisk.system/alarms/once' }, after: now, scheduledAt: now })).toBeUndefined()
+  })
+})
+
+describe('scheduleAlarms', () => {
+  const now = utc(2024, 0, 1, 12, 0, 30)
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('an alarm fires its trigger on schedule', async () => {
+    const logger = createLogger()
+    const fireTrigger = jest.fn().mockResolvedValue({ activationId: 'some-id' })
+    const { alarms, stop } = scheduleAlarms({ actionConfig: createActionConfig(), fireTrigger, logger })
+
+    expect(alarms).toEqual(['everyMinute'])
+    await jest.advanceTimersByTimeAsync(29 * 1000)
+    expect(fireTrigger).not.toHaveBeenCalled()
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(fireTrigger).toHaveBeenCalledWith({ triggerName: 'everyMinute' })
+    expect(logger.info).toHaveBeenCalledWith('alarm trigger everyMinute fired (2024-01-01T12:01:00.000Z)')
+    await jest.advanceTimersByTimeAsync(2 * MINUTE)
+    expect(fireTrigger).toHaveBeenCalledTimes(3)
+
+    stop()
+    await jest.advanceTimersByTimeAsync(10 * MINUTE)
+    expect(fireTrigger).toHaveBeenCalledTimes(3)
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('a trigger that fails to fire is logged', async () => {
+    const logger = createLogger()
+    const error = new Error('fire error')
+    const fireTrigger = jest.fn().mockRejectedValue(error)
+    const { stop } = scheduleAlarms({ actionConfig: createActionConfig(), fireTrigger, logger })
+
+    await jest.advanceTimersByTimeAsync(30 * 1000)
+    expect(logger.error).toHaveBeenCalledWith(error)
+    stop()
+  })
+
+  test('a once alarm fires once', async () => {
+    const logger = createLogger()
+    const fireTrigger = jest.fn().mockResolvedValue(undefined)
+    const triggers = {
+      soon: { feed: '/whisk.system/alarms/once', inputs: { date: now + MINUTE, trigger_payload: { name: 'soon' } } },
+      past: { feed: '/whisk.system/alarms/once', inputs: { date: now - MINUTE } }
+    }
+    const { alarms } = scheduleAlarms({ actionConfig: { mypackage: { triggers } }, fireTrigger, logger })
+
+    expect(alarms).toEqual(['soon', 'past'])
+    expect(logger.info).toHaveBeenCalledWith('alarm trigger past does not fire anymore')
+    await jest.advanceTimersByTimeAsync(10 * MINUTE)
+    expect(fireTrigger).toHaveBeenCalledTimes(1)
+    expect(fireTrigger).toHaveBeenCalledWith({ triggerName: 'soon' })
+    expect(logger.info).toHaveBeenCalledWith('alarm trigger soon does not fire anymore')
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('an alarm later than the longest timer delay', async () => {
+    const logger = createLogger()
+    const fireTrigger = jest.fn().mockResolvedValue(undefined)
+    const date = now + 30 * 24 * 60 * MINUTE
+    const triggers = { later: { feed: '/whisk.system/alarms/once', inputs: { date } } }
+    scheduleAlarms({ actionConfig: { mypackage: { triggers } }, fireTrigger, logger })
+
+    await jest.advanceTimersByTimeAsync(2 ** 31 - 1)
+    expect(fireTrigger).not.toHaveBeenCalled()
+    expect(jest.getTimerCount()).toEqual(1)
+    await jest.advanceTimersByTimeAsync(date - Date.now())
+    expect(fireTrigger).toHaveBeenCalledTimes(1)
+  })
+
+  test('the triggers that are not valid alarms are not scheduled', () => {
+    const triggers = {
+      onEvent: {},
+      invalid: { feed: '/whisk.system/alarms/interval', inputs: { minutes: -1 } }
+    }
+    const { alarms } = scheduleAlarms({ actionConfig: { mypackage: { triggers }, other: null }, fireTrigger: jest.fn(), logger: createLogger() })
+    expect(alarms).toEqual([])
+    expect(scheduleAlarms({ actionConfig: undefined, fireTrigger: jest.fn(), logger: createLogger() }).alarms).toEqual([])
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+})
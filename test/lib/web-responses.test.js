@@ -0,0 +1,239 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const {
+  DEFAULT_WEB_EXTENSION, WEB_EXTENSIONS, corsHeaders, isBinaryContentType, isJsonContentType, parseWebActionName, webExtensionResponse, webHttpResponse
+} = require('../../src/lib/web-responses')
+
+const success = (result) => ({ status: 'success', statusCode: 0, success: true, result })
+const applicationError = (error) => ({ status: 'application error', statusCode: 1, success: false, result: { error } })
+
+test('exports', () => {
+  expect(DEFAULT_WEB_EXTENSION).toEqual('http')
+  expect(Object.keys(WEB_EXTENSIONS)).toEqual(['json', 'html', 'svg', 'text'])
+  expect(corsHeaders).toBeDefined()
+  expect(isBinaryContentType).toBeDefined()
+  expect(isJsonContentType).toBeDefined()
+  expect(parseWebActionName).toBeDefined()
+  expect(webExtensionResponse).toBeDefined()
+  expect(webHttpResponse).toBeDefined()
+})
+
+test('isJsonContentType', () => {
+  expect(isJsonContentType('application/json')).toBe(true)
+  expect(isJsonContentType('Application/JSON; charset=utf-8')).toBe(true)
+  expect(isJsonContentType('application/problem+json')).toBe(true)
+  expect(isJsonContentType('text/plain')).toBe(false)
+})
+
+test('isBinaryContentType', () => {
+  ['image/png', 'image/jpeg; foo=bar', 'audio/mpeg', 'video/mp4', 'font/woff2', 'application/octet-stream', 'application/pdf', 'application/zip']
+    .forEach(contentType => expect(isBinaryContentType(contentType)).toBe(true))
+  ;['text/html', 'text/plain; charset=utf-8', 'application/json', 'application/javascript', 'application/xml', 'image/svg+xml', 'application/ld+json', 'multipart/mixed', 'text']
+    .forEach(contentType => expect(isBinaryContentType(contentType)).toBe(false))
+})
+
+test('corsHeaders', () => {
+  const defaultHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'OPTIONS, GET, DELETE, POST, PUT, HEAD, PATCH',
+    'Access-Control-Allow-Headers': 'Authorization, Origin, X-Requested-With, Content-Type, Accept, User-Agent'
+  }
+  expect(corsHeaders()).toEqual(defaultHeaders)
+  expect(corsHeaders({ 'content-type': 'application/json' })).toEqual(defaultHeaders)
+  // the headers of a preflight request are allowed
+  expect(corsHeaders({ 'access-control-request-headers': 'x-api-key, x-gw-ims-org-id' })).toEqual({
+    ...defaultHeaders,
+    'Access-Control-Allow-Headers': 'x-api-key, x-gw-ims-org-id'
+  })
+})
+
+describe('webHttpResponse', () => {
+  test('no body (e.g. a redirect)', () => {
+    const headers = { Location: 'https://adobe.com' }
+    expect(webHttpResponse({ statusCode: 302, headers })).toEqual({ statusCode: 302, headers, body: '' })
+    expect(webHttpResponse({ statusCode: 204, body: null })).toEqual({ statusCode: 204, headers: {}, body: '' })
+    expect(webHttpResponse({ statusCode: 200, body: '' })).toEqual({ statusCode: 200, headers: {}, body: '' })
+  })
+
+  test('content type is inferred from the body', () => {
+    expect(webHttpResponse({ statusCode: 200, body: { hello: 'world' } })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: { hello: 'world' }
+    })
+    expect(webHttpResponse({ statusCode: 200, body: [1, 2] })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: [1, 2]
+    })
+    expect(webHttpResponse({ statusCode: 200, body: '<p>hello</p>' })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/html' },
+      body: '<p>hello</p>'
+    })
+    expect(webHttpResponse({ statusCode: 200, body: 42 })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/html' },
+      body: '42'
+    })
+  })
+
+  test('json content type: a number or boolean body is sent as JSON (not as a status code)', () => {
+    const headers = { 'content-type': 'application/json' }
+    expect(webHttpResponse({ statusCode: 200, headers, body: 5 })).toEqual({ statusCode: 200, headers, body: '5' })
+    expect(webHttpResponse({ statusCode: 200, headers, body: true })).toEqual({ statusCode: 200, headers, body: 'true' })
+    expect(webHttpResponse({ statusCode: 200, headers, body: false })).toEqual({ statusCode: 200, headers, body: 'false' })
+    expect(webHttpResponse({ statusCode: 200, headers, body: { hello: 'world' } })).toEqual({ statusCode: 200, headers, body: { hello: 'world' } })
+  })
+
+  test('text content type: the body is sent as a string', () => {
+    expect(webHttpResponse({ statusCode: 200, headers: { 'content-type': 'text/plain' }, body: { hello: 'world' } })).toEqual({
+      statusCode: 200,
+      headers: { 'content-type': 'text/plain' },
+      body: '{"hello":"world"}'
+    })
+    expect(webHttpResponse({ statusCode: 200, headers: { 'content-type': 'application/json' }, body: '{"hello":"world"}' })).toMatchObject({
+      body: '{"hello":"world"}'
+    })
+  })
+
+  test('binary content type: the body is base64 decoded', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+    const response = webHttpResponse({ statusCode: 200, headers: { 'Content-Type': 'image/png' }, body: png.toString('base64') })
+    expect(response).toEqual({ statusCode: 200, headers: { 'Content-Type': 'image/png' }, body: png })
+
+    // line breaks are allowed
+    const pdf = Buffer.from('%PDF-1.4 some document content that is long enough to be wrapped')
+    const wrapped = pdf.toString('base64').replace(/(.{20})/g, '$1\n')
+    expect(webHttpResponse({ statusCode: 200, headers: { 'Content-Type': 'application/pdf' }, body: wrapped }).body).toEqual(pdf)
+  })
+
+  test('binary content type: the body is not base64', () => {
+    const expected = { statusCode: 400, body: { error: 'Response is not valid \'message/http\'. The body of a binary content type must be base64 encoded.' } }
+    expect(webHttpResponse({ statusCode: 200, headers: { 'Content-Type': 'image/png' }, body: 'not base64!' })).toEqual(expected)
+    expect(webHttpResponse({ statusCode: 200, headers: { 'Content-Type': 'image/png' }, body: { not: 'a string' } })).toEqual(expected)
+  })
+
+  test('header arrays (Set-Cookie) are kept', () => {
+    const headers = { 'Set-Cookie': ['a=1; Path=/', 'b=2; HttpOnly'] }
+    expect(webHttpResponse({ statusCode: 200, headers, body: 'ok' }).headers).toEqual({
+      'Set-Cookie': ['a=1; Path=/', 'b=2; HttpOnly'],
+      'Content-Type': 'text/html'
+    })
+  })
+})
+
+describe('parseWebActionName', () => {
+  test('no extension', () => {
+    expect(parseWebActionName('myaction')).toEqual({ name: 'myaction', extension: 'http' })
+    expect(parseWebActionName()).toEqual({ name: '', extension: 'http' })
+  })
+
+  test('known extensions', () => {
+    ['json', 'html', 'svg', 'text', 'http'].forEach(extension => {
+      expect(parseWebActionName(`myaction.${extension}`)).toEqual({ name: 'myaction', extension })
+    })
+    expect(parseWebActionName('my.action.json')).toEqual({ name: 'my.action', extension: 'json' })
+  })
+
+  test('unknown extension (part of the action name)', () => {
+    expect(parseWebActionName('myaction.xml')).toEqual({ name: 'myaction.xml', extension: 'http' })
+    expect(parseWebActionName('.json')).toEqual({ name: '.json', extension: 'http' })
+  })
+})
+
+describe('webExtensionResponse', () => {
+  const result = {
+    body: { items: [1, 2], count: 2 },
+    html: '<p>hello</p>',
+    svg: '<svg></svg>',
+    text: 'hello',
+    nothing: null
+  }
+
+  test('json: whole result', () => {
+    expect(webExtensionResponse({ extension: 'json', projection: [], activationResponse: success(result) })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: result
+    })
+  })
+
+  test('json: projection', () => {
+    expect(webExtensionResponse({ extension: 'json', projection: ['body', 'items', ''], activationResponse: success(result) })).toMatchObject({
+      statusCode: 200,
+      body: [1, 2]
+    })
+  })
+
+  test('json: projection is not json', () => {
+    const expected = { statusCode: 400, body: { error: 'Response is not valid \'application/json\'.' } }
+    expect(webExtensionResponse({ extension: 'json', projection: ['body', 'count'], activationResponse: success(result) })).toEqual(expected)
+    expect(webExtensionResponse({ extension: 'json', projection: ['nothing'], activationResponse: success(result) })).toEqual(expected)
+  })
+
+  test('projection does not exist', () => {
+    const expected = { statusCode: 404, body: { error: 'The requested property does not exist.' } }
+    expect(webExtensionResponse({ extension: 'json', projection: ['nope'], activationResponse: success(result) })).toEqual(expected)
+    expect(webExtensionResponse({ extension: 'json', projection: ['body', 'items', '0'], activationResponse: success(result) })).toEqual(expected)
+    expect(webExtensionResponse({ extension: 'json', projection: ['text', 'length'], activationResponse: success(result) })).toEqual(expected)
+  })
+
+  test('html, svg, text: default projection', () => {
+    expect(webExtensionResponse({ extension: 'html', projection: [], activationResponse: success(result) })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/html' },
+      body: '<p>hello</p>'
+    })
+    expect(webExtensionResponse({ extension: 'svg', projection: [], activationResponse: success(result) })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'image/svg+xml' },
+      body: '<svg></svg>'
+    })
+    expect(webExtensionResponse({ extension: 'text', projection: [], activationResponse: success(result) })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'hello'
+    })
+  })
+
+  test('html, svg: not a string', () => {
+    expect(webExtensionResponse({ extension: 'html', projection: ['body'], activationResponse: success(result) })).toEqual({
+      statusCode: 400,
+      body: { error: 'Response is not valid \'text/html\'.' }
+    })
+    expect(webExtensionResponse({ extension: 'svg', projection: ['body'], activationResponse: success(result) })).toEqual({
+      statusCode: 400,
+      body: { error: 'Response is not valid \'image/svg+xml\'.' }
+    })
+  })
+
+  test('text: other values', () => {
+    const text = (projection) => webExtensionResponse({ extension: 'text', projection, activationResponse: success(result) }).body
+    expect(text(['body', 'count'])).toEqual('2')
+    expect(text(['nothing'])).toEqual('null')
+    expect(text(['body', 'items'])).toEqual(JSON.stringify([1, 2], null, 2))
+  })
+
+  test('application error: the error is projected', () => {
+    const error = { statusCode: 400, body: { error: 'bad request' } }
+    expect(webExtensionResponse({ extension: 'json', projection: ['body'], activationResponse: applicationError(error) })).toMatchObject({
+      statusCode: 200,
+      body: error
+    })
+    expect(webExtensionResponse({ extension: 'html', projection: [], activationResponse: applicationError('<p>oops</p>') })).toMatchObject({
+      statusCode: 200,
+      body: '<p>oops</p>'
+    })
+  })
+})